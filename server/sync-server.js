@@ -0,0 +1,122 @@
+/* ---------------------- sync server ----------------------
+   Reference backend for the app's "Sync server" storage option: one
+   shared timeline document kept in a JSON file on disk. No dependencies:
+
+     npm run sync-server
+     PORT=8787 DATA_FILE=timeline-data.json ALLOW_ORIGIN=https://you.github.io npm run sync-server
+
+   Routes (see src/Storage.jsx):
+
+     GET /document                    → 200 { revision, savedAt, doc } | 404
+     PUT /document  If-Match: "<rev>" → 200 { revision, savedAt } | 409 { revision, savedAt, doc }
+
+   Every accepted PUT bumps the revision. A PUT whose If-Match is not the
+   current revision gets 409 with the current document, and the client
+   merges. There is no authentication: run it on a network you trust. */
+
+import { createServer } from "node:http";
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = resolve(process.env.DATA_FILE || "timeline-data.json");
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || "*";
+const MAX_BODY = 50 * 1024 * 1024; // embedded images make documents large
+
+/** { revision, savedAt, doc } or null before the first save. */
+async function readStore() {
+  try {
+    return JSON.parse(await readFile(DATA_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/** Write to a temporary file first so a crash never leaves half a document. */
+async function writeStore(store) {
+  const tmp = `${DATA_FILE}.tmp`;
+  await writeFile(tmp, JSON.stringify(store));
+  await rename(tmp, DATA_FILE);
+}
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error("Document too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolveBody(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    ...(body?.revision != null && { ETag: `"${body.revision}"` }),
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+const unquote = (tag) => String(tag || "").replace(/^W\//, "").replace(/"/g, "");
+
+// one request at a time touches the file, so two saves can't interleave
+let queue = Promise.resolve();
+const serialized = (fn) => (queue = queue.then(fn, fn));
+
+async function handle(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", ALLOW_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "GET, PUT, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, If-Match");
+  res.setHeader("Access-Control-Expose-Headers", "ETag");
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  const path = new URL(req.url, "http://localhost").pathname.replace(/\/+$/, "");
+  if (path !== "/document") return send(res, 404, { error: "Not found" });
+
+  if (req.method === "GET") {
+    const store = await readStore();
+    return store ? send(res, 200, store) : send(res, 404, { error: "No document yet" });
+  }
+
+  if (req.method === "PUT") {
+    let doc;
+    try {
+      doc = JSON.parse(await readBody(req));
+    } catch (err) {
+      return send(res, err.status || 400, { error: err.status ? err.message : "Body must be JSON" });
+    }
+    if (!doc || typeof doc !== "object" || !Array.isArray(doc.items)) {
+      return send(res, 400, { error: "Body must be a timeline document with an items array" });
+    }
+    return serialized(async () => {
+      const store = await readStore();
+      // a save must say which revision it builds on once there is one
+      if (store && unquote(req.headers["if-match"]) !== String(store.revision)) return send(res, 409, store);
+      const next = { revision: (store?.revision || 0) + 1, savedAt: new Date().toISOString(), doc };
+      await writeStore(next);
+      console.log(`${next.savedAt} revision ${next.revision}: ${doc.items.length} item(s)`);
+      return send(res, 200, { revision: next.revision, savedAt: next.savedAt });
+    });
+  }
+
+  res.setHeader("Allow", "GET, PUT, OPTIONS");
+  return send(res, 405, { error: "Method not allowed" });
+}
+
+createServer((req, res) => {
+  handle(req, res).catch((err) => {
+    console.error(err);
+    if (!res.headersSent) send(res, 500, { error: String(err?.message || err) });
+  });
+}).listen(PORT, () => {
+  console.log(`Timeline sync server on http://localhost:${PORT}/document, data in ${DATA_FILE}`);
+});
@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useEffect } from "react";
+import React, { useMemo, useState, useEffect, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   ChevronLeft,
@@ -14,30 +14,126 @@ import {
   Trash2,
   Upload,
   Download,
+  AlertTriangle,
+  ChartGantt,
+  Printer,
+  Link,
+  Check,
+  Map as MapIcon,
+  Undo2,
+  Redo2,
+  BookOpen,
+  FolderOpen,
 } from "lucide-react";
+import {
+  externalizeMedia,
+  inlineMedia,
+  pruneMediaBlobs,
+  isQuotaError,
+  useMediaUrl,
+} from "./mediaStore.js";
+import {
+  parseDate,
+  yearRange,
+  compareDates,
+  isInverted,
+  stringifyDate,
+  formatDate,
+  formatYears,
+} from "./dates.js";
+import TimelineCanvas from "./TimelineCanvas.jsx";
+import MapView from "./MapView.jsx";
+import {
+  defaultPeriods,
+  PeriodsPanel,
+  coercePeriod,
+  periodYears,
+  periodsForDate,
+} from "./Periods.jsx";
+import { parseHash, useHashRoute } from "./hashRoute.js";
+import { useHistory } from "./history.js";
+import PrintReport from "./PrintReport.jsx";
+import { readSiteData, buildSiteHtml } from "./siteExport.js";
+import { loadDatasets, splitOverlay, applyOverlay, addShippedEntities, DatasetsPanel } from "./Datasets.jsx";
+import ImportDialog, { ColumnMappingDialog } from "./ImportDialog.jsx";
+import { parseDelimited, itemsToDelimited } from "./csv.js";
+import { toTimelineJS, fromTimelineJS, isTimelineJS, toICS, fromICS, isICS, toGeoJSON, fromGeoJSON, isGeoJSON } from "./formats.js";
+import { MultiSelect } from "./TagInput.jsx";
+import { coerceCitations, FootnoteRefs, Footnotes, Bibliography } from "./Citations.jsx";
+import { coerceRelations, unlinkTarget, RelatedEntries } from "./Relations.jsx";
+import { buildIndex, parseQuery, searchIndex, matchRanges } from "./search.js";
+import { makeDocument, migrate, versionOf } from "./schema.js";
+import { coerceRevisions, withRevision, getEditorName, setEditorName, HistoryPanel } from "./Revisions.jsx";
+import EntryForm from "./EntryForm.jsx";
+import {
+  coerceFieldDef,
+  coerceCustomValues,
+  mergeFieldDefs,
+  matchesFieldFilters,
+  CustomValues,
+  FieldFilters,
+  FieldsPanel,
+} from "./CustomFields.jsx";
+import { STATUS, coerceStatus, coerceReviewNotes, publicItems, StatusBadge, ReviewPanel, ReviewQueue } from "./Review.jsx";
+import {
+  openStorage,
+  createAdapter,
+  createSyncQueue,
+  mergeDocuments,
+  writeStorageSettings,
+  StoragePanel,
+  storageLabel,
+} from "./Storage.jsx";
+import {
+  PRESET_FILTERS,
+  CollectionsPanel,
+  coercePreset,
+  coerceCollection,
+  collectionItems,
+  mergeById,
+} from "./Collections.jsx";
+import {
+  LANGS,
+  LANG_NAMES,
+  DEFAULT_CONTENT_LANG,
+  I18nContext,
+  translate,
+  detectLang,
+  useI18n,
+  coerceTranslations,
+  localize,
+  localizeItems,
+  localizedError,
+  errorText,
+} from "./i18n.jsx";
+import {
+  ENTITY,
+  EMPTY_REGISTRY,
+  EntityProfile,
+  RegistryPanel,
+  coerceRegistry,
+  mergeRegistry,
+  findEntity,
+  linkEntities,
+  renameInItems,
+  entriesFor,
+} from "./Registry.jsx";
 
 const START_YEAR = 1750;
 const CURRENT_YEAR = new Date().getFullYear();
-const STORAGE_KEY = "timeline-items-v1";
+const LANG_KEY = "timeline-lang-v1"; // UI language
+// set when running as an exported read-only site (see siteExport.js)
+const SITE = readSiteData();
+const SYNC_INTERVAL = 30000; // ms between checks for others' changes on a sync server
 
-/* ---------------------- helpers ---------------------- */
-function getYear(dateStr) {
-  const y = parseInt(dateStr?.slice(0, 4), 10);
-  return Number.isFinite(y) ? y : START_YEAR;
-}
+// formats offered for the filtered / full item list (JSON backup is separate)
+const EXPORT_FORMATS = ["csv", "tsv", "timelinejs", "ics", "geojson"];
 
-function formatDate(d) {
-  try {
-    if (/^\d{4}$/.test(d)) return d;
-    const dt = new Date(d);
-    return dt.toLocaleDateString(undefined, {
-      year: "numeric",
-      month: "short",
-      day: dt.getUTCDate() === 1 ? undefined : "2-digit",
-    });
-  } catch {
-    return d;
-  }
+/* ---------------------- helpers ---------------------- */
+/** Does the item's (possibly ranged) date overlap [from, to]? */
+function inYears(date, from, to) {
+  const [y0, y1] = yearRange(date) ?? [START_YEAR, START_YEAR];
+  return y1 >= from && y0 <= to;
 }
 
 function youtubeEmbed(url) {
@@ -67,39 +163,199 @@ function vimeoEmbed(url) {
 }
 
 /* ---------------------- data load/save ---------------------- */
-function getInitialItems() {
+/** Save `text` as `timeline-<timestamp>.<ext>`. */
+function downloadFile(text, ext, type) {
+  const blob = new Blob([text], { type });
+  const ts = new Date();
+  const yyyy = ts.getFullYear();
+  const mm = String(ts.getMonth() + 1).padStart(2, "0");
+  const dd = String(ts.getDate()).padStart(2, "0");
+  const hh = String(ts.getHours()).padStart(2, "0");
+  const mi = String(ts.getMinutes()).padStart(2, "0");
+  const ss = String(ts.getSeconds()).padStart(2, "0");
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `timeline-${yyyy}${mm}${dd}-${hh}${mi}${ss}.${ext}`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Normalise an untrusted item. Anything that had to be fixed up is
+ * reported through `warn(key, vars)`, a message key (the import preview lists these).
+ * An item without a status gets `status`: new imported entries wait for
+ * review, the user's own saved data and the shipped datasets count as published.
+ */
+function coerceItem(raw, warn = () => {}, status = STATUS.REVIEW) {
+  const safe = typeof raw === "object" && raw ? { ...raw } : {};
+  safe.title = String(safe.title ?? "").trim();
+  safe.description = String(safe.description ?? "");
+  safe.lang = LANGS.includes(safe.lang) ? safe.lang : DEFAULT_CONTENT_LANG;
+  safe.translations = coerceTranslations(safe.translations, safe.lang);
+  // only a translation given (e.g. a spreadsheet with just title_es): make it the original
+  const only = !safe.title && LANGS.find((l) => safe.translations[l]?.title);
+  if (only) {
+    ({ title: safe.title, description: safe.description } = safe.translations[only]);
+    delete safe.translations[only];
+    safe.lang = only;
+  }
+  if (!safe.title) warn("import.warnEmptyTitle");
+  const rawDate = typeof safe.date === "object" ? safe.date?.start : safe.date;
+  safe.date = parseDate(safe.date);
+  if (!String(rawDate ?? "").trim()) warn("import.warnMissingDate");
+  else if (!safe.date.start) warn("import.warnBadDate", { date: rawDate });
+  else if (isInverted(safe.date)) warn("import.warnInvertedDate", { date: stringifyDate(safe.date) });
+  safe.place = toList(safe.place);
+  safe.event = toList(safe.event);
+  safe.person = toList(safe.person);
+  safe.citations = coerceCitations(safe.citations);
+  // id
+  if (!safe.id) {
+    const slug = (safe.title || "item")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/(^-|-$)/g, "");
+    safe.id = `${slug}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  } else {
+    safe.id = String(safe.id);
+  }
+  safe.relations = coerceRelations(safe.relations, safe.id);
+  safe.revisions = coerceRevisions(safe.revisions);
+  safe.status = coerceStatus(safe.status, status);
+  safe.reviewNotes = coerceReviewNotes(safe.reviewNotes);
+  safe.custom = coerceCustomValues(safe.custom);
+  if (safe.updatedAt !== undefined) {
+    if (Number.isNaN(Date.parse(safe.updatedAt))) delete safe.updatedAt;
+    else safe.updatedAt = String(safe.updatedAt);
+  }
+  // media
+  const media = Array.isArray(safe.media) ? safe.media : [];
+  safe.media = media
+    .map((m) => ({
+      type: m?.type === "video" ? "video" : "image",
+      url: m?.ref ? undefined : String(m?.url ?? ""),
+      ref: m?.ref ? String(m.ref) : undefined,
+      caption: m?.caption ? String(m.caption) : undefined,
+    }))
+    .filter((m) => !!(m.url || m.ref));
+  const dropped = media.length - safe.media.length;
+  if (dropped) warn("import.warnMediaDropped", { n: dropped });
+  return safe;
+}
+
+/** Saved UI language, else the exported site's, else the browser's. */
+function getInitialLang() {
+  if (SITE) return LANGS.includes(SITE.lang) ? SITE.lang : detectLang();
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    return raw ? JSON.parse(raw) : [];
+    const saved = localStorage.getItem(LANG_KEY);
+    return LANGS.includes(saved) ? saved : detectLang();
   } catch {
-    return [];
+    return detectLang();
   }
 }
 
+/** The app's data from a document (the saved one, or an exported site's). */
+function stateFromDocument(doc) {
+  const list = (key) => (Array.isArray(doc[key]) ? doc[key] : []);
+  // items are the user's own: additions and edits on top of the shipped datasets
+  const linked = linkEntities(list("items").map((it) => coerceItem(it, undefined, STATUS.PUBLISHED)), doc.registry ? coerceRegistry(doc.registry) : EMPTY_REGISTRY);
+  return {
+    items: linked.items,
+    registry: linked.registry,
+    deleted: list("deleted").map(String),
+    disabledDatasets: list("disabledDatasets").map(String),
+    periods: (Array.isArray(doc.periods) ? doc.periods : defaultPeriods(getInitialLang())).map(coercePeriod),
+    presets: list("presets").map(coercePreset),
+    collections: list("collections").map(coerceCollection),
+    fields: list("fields").map(coerceFieldDef),
+  };
+}
+
+/** "person:<id>" from the URL hash → { kind, id } */
+function parseProfileParam(param) {
+  const m = /^(person|place):(.+)$/.exec(param || "");
+  return m ? { kind: m[1], id: m[2] } : null;
+}
+
+/** The storage banner for a failed save: `{ key, error }`, shown in the reader's language. */
+function saveProblem(err) {
+  return isQuotaError(err) ? { key: "storage.full" } : { key: "storage.saveFailed", error: err };
+}
+
+/** The item stamped as changed now (`updatedAt`, ISO time). */
+function touched(item) {
+  return { ...item, updatedAt: new Date().toISOString() };
+}
+
+function uniqueSorted(values) {
+  return Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+}
+
+/** "A, B" for list fields (place, event, person). */
+function listText(values) {
+  return (values || []).join(", ");
+}
+
+/** Old data stored place/event/person as single strings. */
+function toList(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return Array.from(new Set(list.map((v) => String(v ?? "").trim()).filter(Boolean)));
+}
+
+/** Semi-transparent version of a "#rrggbb" colour, for band backgrounds. */
+function tint(color, alpha = "55") {
+  return /^#[0-9a-f]{6}$/i.test(color) ? color + alpha : color;
+}
+
 /* ---------------------- views ---------------------- */
-const VIEW = { DATE: "Date", PLACE: "Place", EVENT: "Event", PERSON: "Person" };
+const VIEW = { DATE: "Date", PLACE: "Place", EVENT: "Event", PERSON: "Person", MAP: "Map" };
+
+const FILTER_DEFAULTS = {
+  view: VIEW.DATE,
+  query: "",
+  yearFrom: START_YEAR,
+  yearTo: CURRENT_YEAR,
+  place: [],
+  event: [],
+  person: [],
+  match: "any",
+  fieldFilters: [],
+  profile: "",
+  collection: "",
+};
 
 /* ---------------------- media ---------------------- */
+function ImageFigure({ m }) {
+  const src = useMediaUrl(m);
+  return (
+    <figure className="rounded-2xl overflow-hidden shadow">
+      {src ? (
+        <img
+          src={src}
+          alt={m.caption || "media"}
+          className="w-full h-auto object-cover"
+        />
+      ) : (
+        <div className="aspect-video w-full bg-gray-100" />
+      )}
+      {m.caption ? (
+        <figcaption className="text-sm text-gray-500 p-2">
+          {m.caption}
+        </figcaption>
+      ) : null}
+    </figure>
+  );
+}
+
 function MediaRenderer({ media }) {
+  const { t } = useI18n();
   if (!media?.length) return null;
   return (
     <div className="mt-4 grid grid-cols-1 gap-4">
       {media.map((m, idx) => {
         if (m.type === "image") {
-          return (
-            <figure key={idx} className="rounded-2xl overflow-hidden shadow">
-              <img
-                src={m.url}
-                alt={m.caption || "media"}
-                className="w-full h-auto object-cover"
-              />
-              {m.caption ? (
-                <figcaption className="text-sm text-gray-500 p-2">
-                  {m.caption}
-                </figcaption>
-              ) : null}
-            </figure>
-          );
+          return <ImageFigure key={m.ref || idx} m={m} />;
         }
         if (m.type === "video") {
           const isYouTube = /youtu/.test(m.url);
@@ -113,7 +369,7 @@ function MediaRenderer({ media }) {
                   <iframe
                     className="w-full h-full"
                     src={src}
-                    title="Embedded video"
+                    title={t("media.embeddedVideo")}
                     loading="lazy"
                     allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
                     allowFullScreen
@@ -122,7 +378,7 @@ function MediaRenderer({ media }) {
               ) : (
                 <video controls className="w-full">
                   <source src={m.url} />
-                  Your browser does not support the video tag.
+                  {t("media.noVideo")}
                 </video>
               )}
               {m.caption ? (
@@ -138,87 +394,142 @@ function MediaRenderer({ media }) {
 }
 
 /* ---------------------- filters ---------------------- */
-function useFilters(items) {
-  const [query, setQuery] = useState("");
-  const [view, setView] = useState(VIEW.DATE);
-  const [yearFrom, setYearFrom] = useState(START_YEAR);
-  const [yearTo, setYearTo] = useState(CURRENT_YEAR);
-  const [place, setPlace] = useState("All");
-  const [event, setEvent] = useState("All");
-  const [person, setPerson] = useState("All");
-
-  const places = useMemo(
-    () => ["All", ...Array.from(new Set(items.map((i) => i.place).filter(Boolean))).sort((a, b) => a.localeCompare(b))],
-    [items]
-  );
-  const events = useMemo(
-    () => ["All", ...Array.from(new Set(items.map((i) => i.event).filter(Boolean))).sort((a, b) => a.localeCompare(b))],
-    [items]
-  );
-  const persons = useMemo(
-    () => ["All", ...Array.from(new Set(items.map((i) => i.person).filter(Boolean))).sort((a, b) => a.localeCompare(b))],
-    [items]
-  );
+/** `fields`: the custom field definitions the `fieldFilters` refer to. */
+function useFilters(items, registry, fields, initial = {}) {
+  const init = { ...FILTER_DEFAULTS, ...initial };
+  const [query, setQuery] = useState(init.query);
+  const [view, setView] = useState(Object.values(VIEW).includes(init.view) ? init.view : VIEW.DATE);
+  const [yearFrom, setYearFrom] = useState(init.yearFrom);
+  const [yearTo, setYearTo] = useState(init.yearTo);
+  const [place, setPlace] = useState(init.place);
+  const [event, setEvent] = useState(init.event);
+  const [person, setPerson] = useState(init.person);
+  const [match, setMatch] = useState(init.match === "all" ? "all" : "any");
+  const [fieldFilters, setFieldFilters] = useState(init.fieldFilters);
+
+  // people and places come from the registry (canonical names only)
+  const places = useMemo(() => uniqueSorted(registry.places.map((r) => r.name)), [registry]);
+  const events = useMemo(() => uniqueSorted(items.flatMap((i) => i.event)), [items]);
+  const persons = useMemo(() => uniqueSorted(registry.people.map((r) => r.name)), [registry]);
+
+  const index = useMemo(() => buildIndex(items, registry), [items, registry]);
+  const terms = useMemo(() => parseQuery(query), [query]);
+  const scores = useMemo(() => searchIndex(index, terms), [index, terms]);
 
   const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
+    // empty selection = All; otherwise the item needs any/all of the chosen values
+    const matches = (values, selected) =>
+      !selected.length ||
+      (match === "all"
+        ? selected.every((v) => values.includes(v))
+        : selected.some((v) => values.includes(v)));
     let out = items.filter((i) => {
-      const y = getYear(i.date);
-      const inYear = y >= yearFrom && y <= yearTo;
-      const inPlace = place === "All" || i.place === place;
-      const inEvent = event === "All" || i.event === event;
-      const inPerson = person === "All" || i.person === person;
-      const inQuery =
-        !q ||
-        i.title?.toLowerCase().includes(q) ||
-        i.description?.toLowerCase().includes(q) ||
-        i.place?.toLowerCase().includes(q) ||
-        i.event?.toLowerCase().includes(q) ||
-        i.person?.toLowerCase().includes(q) ||
-        i.date?.includes(q);
-      return inYear && inPlace && inEvent && inPerson && inQuery;
+      const inYear = inYears(i.date, yearFrom, yearTo);
+      const inPlace = matches(i.place, place);
+      const inEvent = matches(i.event, event);
+      const inPerson = matches(i.person, person);
+      const inQuery = !scores || scores.has(i.id);
+      const inFields = matchesFieldFilters(i, fields, fieldFilters);
+      return inYear && inPlace && inEvent && inPerson && inQuery && inFields;
     });
 
+    const byList = (key) => (a, b) => listText(a[key]).localeCompare(listText(b[key])) || compareDates(a.date, b.date);
     if (view === VIEW.DATE) {
-      out.sort((a, b) => new Date(a.date) - new Date(b.date));
-    } else if (view === VIEW.PLACE) {
-      out.sort((a, b) => a.place.localeCompare(b.place) || new Date(a.date) - new Date(b.date));
+      out.sort((a, b) => compareDates(a.date, b.date));
+    } else if (view === VIEW.PLACE || view === VIEW.MAP) {
+      out.sort(byList("place"));
     } else if (view === VIEW.EVENT) {
-      out.sort((a, b) => a.event.localeCompare(b.event) || new Date(a.date) - new Date(b.date));
+      out.sort(byList("event"));
     } else if (view === VIEW.PERSON) {
-      out.sort((a, b) => (a.person || "").localeCompare(b.person || "") || new Date(a.date) - new Date(b.date));
+      out.sort(byList("person"));
     }
+    // with a search, best matches first (the sort is stable, so ties keep the view's order)
+    if (scores) out.sort((a, b) => scores.get(b.id) - scores.get(a.id));
     return out;
-  }, [items, query, yearFrom, yearTo, place, event, person, view]);
+  }, [items, scores, yearFrom, yearTo, place, event, person, match, fields, fieldFilters, view]);
+
+  function applyPeriod(period) {
+    if (!period) {
+      setYearFrom(START_YEAR);
+      setYearTo(CURRENT_YEAR);
+      return;
+    }
+    const [from, to] = periodYears(period);
+    setYearFrom(from);
+    setYearTo(to);
+  }
 
   return {
     view, setView,
-    query, setQuery,
+    query, setQuery, terms,
     yearFrom, setYearFrom,
     yearTo, setYearTo,
     place, setPlace, places,
     event, setEvent, events,
     person, setPerson, persons,
+    match, setMatch,
+    fieldFilters, setFieldFilters,
+    applyPeriod,
     filtered,
   };
 }
 
+/** `text` with the parts matching the search terms marked. */
+function Highlight({ text, terms, field }) {
+  const ranges = terms?.length ? matchRanges(text, terms, field) : [];
+  if (!ranges.length) return text ?? null;
+  const parts = [];
+  let at = 0;
+  for (const [start, end] of ranges) {
+    if (start > at) parts.push(text.slice(at, start));
+    parts.push(<mark key={start} className="rounded-sm bg-yellow-200 text-gray-900">{text.slice(start, end)}</mark>);
+    at = end;
+  }
+  if (at < text.length) parts.push(text.slice(at));
+  return <>{parts}</>;
+}
+
+/** A list field ("a, b") with matches marked. */
+function HighlightList({ values, terms, field }) {
+  return values.map((v, i) => (
+    <React.Fragment key={v}>
+      {i > 0 && ", "}
+      <Highlight text={v} terms={terms} field={field} />
+    </React.Fragment>
+  ));
+}
+
 /* ---------------------- right rail ---------------------- */
 function RightRail({
   items, view, setView,
-  query, setQuery,
+  query, setQuery, terms,
   yearFrom, setYearFrom,
   yearTo, setYearTo,
   place, setPlace, places,
   event, setEvent, events,
   person, setPerson, persons,
+  match, setMatch,
+  fields, fieldFilters, setFieldFilters, onAddField, onUpdateField, onDeleteField,
+  periods, applyPeriod, onAddPeriod, onUpdatePeriod, onDeletePeriod,
+  registry, allItems, onOpenProfile,
+  datasets, disabledDatasets, onToggleDataset,
+  presets, onApplyPreset, onSavePreset, onDeletePreset,
+  collections, activeCollection, onOpenCollection, onCreateCollection, onUpdateCollection, onDeleteCollection,
+  storageSettings, lastSaved, onSwitchStorage,
   selectedId, onSelect
 }) {
+  const { t } = useI18n();
+  const activePeriod = periods.find((p) => {
+    const [from, to] = periodYears(p);
+    return from === yearFrom && to === yearTo;
+  });
+  let prevPeriodIds = new Set();
+
   return (
     <aside className="sticky top-0 h-screen overflow-y-auto border-l border-gray-200 bg-white/70 backdrop-blur p-4">
       <div className="flex items-center justify-between gap-2 mb-3">
         <div className="flex items-center gap-1 text-sm font-medium">
-          <Filter className="w-4 h-4" /> Filters
+          <Filter className="w-4 h-4" /> {t("filters.title")}
         </div>
         <div className="inline-flex rounded-2xl border bg-white shadow-sm overflow-hidden">
           {Object.values(VIEW).map((v) => (
@@ -226,13 +537,14 @@ function RightRail({
               key={v}
               onClick={() => setView(v)}
               className={`px-3 py-1.5 text-sm flex items-center gap-1 ${view === v ? "bg-gray-900 text-white" : "hover:bg-gray-100"}`}
-              title={`View by ${v}`}
+              title={t("filters.viewBy", { view: t(`view.${v}`) })}
             >
               {v === "Date" && <Calendar className="w-4 h-4" />}
               {v === "Place" && <MapPin className="w-4 h-4" />}
               {v === "Event" && <Tag className="w-4 h-4" />}
               {v === "Person" && <User className="w-4 h-4" />}
-              {v}
+              {v === "Map" && <MapIcon className="w-4 h-4" />}
+              {t(`view.${v}`)}
             </button>
           ))}
         </div>
@@ -242,13 +554,14 @@ function RightRail({
         <input
           value={query}
           onChange={(e) => setQuery(e.target.value)}
-          placeholder="Search title, place, event, person…"
+          placeholder={t("filters.searchPlaceholder")}
+          title={t("filters.searchHelp")}
           className="w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-gray-300"
         />
 
         <div className="grid grid-cols-2 gap-2 text-sm">
           <label className="flex flex-col gap-1">
-            <span className="text-gray-500">From</span>
+            <span className="text-gray-500">{t("filters.from")}</span>
             <input
               type="number" min={START_YEAR} max={CURRENT_YEAR}
               value={yearFrom} onChange={(e) => setYearFrom(Number(e.target.value))}
@@ -256,7 +569,7 @@ function RightRail({
             />
           </label>
           <label className="flex flex-col gap-1">
-            <span className="text-gray-500">To</span>
+            <span className="text-gray-500">{t("filters.to")}</span>
             <input
               type="number" min={START_YEAR} max={CURRENT_YEAR}
               value={yearTo} onChange={(e) => setYearTo(Number(e.target.value))}
@@ -266,45 +579,65 @@ function RightRail({
         </div>
 
         <label className="flex flex-col gap-1">
-          <span className="text-gray-500">Place</span>
+          <span className="text-gray-500">{t("filters.period")}</span>
           <select
-            value={place}
-            onChange={(e) => setPlace(e.target.value)}
+            value={activePeriod?.id || ""}
+            onChange={(e) => applyPeriod(periods.find((p) => p.id === e.target.value))}
             className="w-full rounded-xl border px-3 py-2 text-sm"
           >
-            {places.map((p) => (<option key={p} value={p}>{p}</option>))}
+            <option value="">{activePeriod || (yearFrom === START_YEAR && yearTo === CURRENT_YEAR) ? t("filters.allYears") : t("filters.customRange")}</option>
+            {periods.map((p) => (<option key={p.id} value={p.id}>{p.title}</option>))}
           </select>
         </label>
 
-        <label className="flex flex-col gap-1">
-          <span className="text-gray-500">Event</span>
-          <select
-            value={event}
-            onChange={(e) => setEvent(e.target.value)}
-            className="w-full rounded-xl border px-3 py-2 text-sm"
-          >
-            {events.map((t) => (<option key={t} value={t}>{t}</option>))}
-          </select>
-        </label>
+        <div className="flex flex-col gap-1">
+          <span className="text-gray-500">{t("filters.place")}</span>
+          <MultiSelect label={t("filters.place")} value={place} onChange={setPlace} options={places} />
+        </div>
 
-        <label className="flex flex-col gap-1">
-          <span className="text-gray-500">Person</span>
-          <select
-            value={person}
-            onChange={(e) => setPerson(e.target.value)}
-            className="w-full rounded-xl border px-3 py-2 text-sm"
-          >
-            {persons.map((t) => (<option key={t} value={t}>{t}</option>))}
-          </select>
-        </label>
+        <div className="flex flex-col gap-1">
+          <span className="text-gray-500">{t("filters.event")}</span>
+          <MultiSelect label={t("filters.event")} value={event} onChange={setEvent} options={events} />
+        </div>
+
+        <div className="flex flex-col gap-1">
+          <span className="text-gray-500">{t("filters.person")}</span>
+          <MultiSelect label={t("filters.person")} value={person} onChange={setPerson} options={persons} />
+        </div>
+
+        <FieldFilters fields={fields} value={fieldFilters} onChange={setFieldFilters} />
+
+        {(place.length + event.length + person.length > 1) && (
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            {t("filters.match")}
+            <select value={match} onChange={(e) => setMatch(e.target.value)} className="rounded-lg border px-2 py-1">
+              <option value="any">{t("filters.matchAny")}</option>
+              <option value="all">{t("filters.matchAll")}</option>
+            </select>
+          </label>
+        )}
       </div>
 
       <div className="mt-6">
-        <div className="text-xs uppercase tracking-wide text-gray-400 mb-2">Timeline</div>
+        <div className="text-xs uppercase tracking-wide text-gray-400 mb-2">{t("filters.timeline")}</div>
+        {activeCollection && (
+          <div className="mb-3 flex items-center justify-between gap-2 rounded-xl bg-gray-100 px-3 py-2 text-sm">
+            <span className="inline-flex items-center gap-1 min-w-0 truncate font-medium">
+              <FolderOpen className="w-4 h-4 shrink-0" /> {t("collections.showing", { name: activeCollection.name })}
+            </span>
+            <button onClick={() => onOpenCollection("")} className="text-xs text-gray-600 hover:underline whitespace-nowrap">
+              {t("collections.close")}
+            </button>
+          </div>
+        )}
         <ol className="relative border-s-2 border-gray-200 ml-3">
           <AnimatePresence initial={false}>
             {items.map((item) => {
               const active = item.id === selectedId;
+              // period bands only make sense when the list is chronological (not ranked or hand-ordered)
+              const bands = view === VIEW.DATE && !terms.length && !activeCollection ? periodsForDate(periods, item.date) : [];
+              const starting = bands.filter((p) => !prevPeriodIds.has(p.id));
+              prevPeriodIds = new Set(bands.map((p) => p.id));
               return (
                 <motion.li
                   key={item.id}
@@ -314,45 +647,117 @@ function RightRail({
                   transition={{ duration: 0.15 }}
                   className="mb-5 ms-4"
                 >
-                  <span className={`absolute -start-1.5 flex h-3 w-3 rounded-full ${active ? "bg-gray-900" : "bg-gray-300"} border border-white`}></span>
-                  <button
-                    onClick={() => onSelect(item.id)}
-                    className={`text-left block w-full rounded-xl px-3 py-2 ${active ? "bg-gray-900 text-white" : "hover:bg-gray-50"}`}
-                    title={item.title}
-                  >
-                    <div className="flex items-center justify-between gap-3">
-                      <div className="text-sm font-semibold truncate">{item.title}</div>
-                      <div className="text-xs whitespace-nowrap opacity-70">{getYear(item.date)}</div>
+                  <span
+                    className={`absolute -start-1.5 flex h-3 w-3 rounded-full ${
+                      item.status !== STATUS.PUBLISHED ? "bg-white border-2 border-dashed border-gray-400" : active ? "bg-gray-900 border border-white" : "bg-gray-300 border border-white"
+                    }`}
+                  ></span>
+                  {starting.map((p) => (
+                    <div key={p.id} className="mb-1 text-[11px] font-medium text-gray-600 flex items-center gap-1">
+                      <span className="h-2 w-2 rounded-sm" style={{ background: p.color }} />
+                      {p.title}
                     </div>
-                    <div className="text-xs opacity-70 truncate">
-                      {item.place} • {item.event}{item.person ? ` • ${item.person}` : ""}
-                    </div>
-                  </button>
+                  ))}
+                  <div className="relative">
+                    {bands.map((p, idx) => (
+                      <span
+                        key={p.id}
+                        className="absolute top-0 -bottom-5 w-1 pointer-events-none"
+                        style={{ right: idx * 6, background: p.color }}
+                      />
+                    ))}
+                    <button
+                      onClick={() => onSelect(item.id)}
+                      className={`text-left block w-full rounded-xl px-3 py-2 ${active ? "bg-gray-900 text-white" : "hover:bg-gray-50"}`}
+                      style={!active && bands.length ? { background: tint(bands[bands.length - 1].color, "33") } : undefined}
+                      title={item.title}
+                    >
+                      <div className="flex items-center justify-between gap-3">
+                        <div className="text-sm font-semibold truncate"><Highlight text={item.title} terms={terms} field="title" /></div>
+                        <div className="flex items-center gap-1 text-xs whitespace-nowrap">
+                          <StatusBadge status={item.status} />
+                          <span className="opacity-70">{formatYears(item.date)}</span>
+                        </div>
+                      </div>
+                      <div className="text-xs opacity-70 truncate">
+                        {[["place", item.place], ["event", item.event], ["person", item.person]]
+                          .filter(([, l]) => l.length)
+                          .map(([field, l], i) => (
+                            <React.Fragment key={field}>
+                              {i > 0 && " • "}
+                              <HighlightList values={l} terms={terms} field={field} />
+                            </React.Fragment>
+                          ))}
+                      </div>
+                    </button>
+                  </div>
                 </motion.li>
               );
             })}
           </AnimatePresence>
         </ol>
       </div>
+
+      <ReviewQueue items={allItems} selectedId={selectedId} onSelect={onSelect} />
+
+      <PeriodsPanel
+        periods={periods}
+        onAdd={onAddPeriod}
+        onUpdate={onUpdatePeriod}
+        onDelete={onDeletePeriod}
+        onApply={applyPeriod}
+      />
+
+      <CollectionsPanel
+        presets={presets}
+        onApplyPreset={onApplyPreset}
+        onSavePreset={onSavePreset}
+        onDeletePreset={onDeletePreset}
+        collections={collections}
+        items={allItems}
+        activeId={activeCollection?.id}
+        selectedId={selectedId}
+        onOpen={(id) => onOpenCollection(id || "")}
+        onSelectEntry={onSelect}
+        onCreate={onCreateCollection}
+        onUpdate={onUpdateCollection}
+        onDelete={onDeleteCollection}
+      />
+
+      <FieldsPanel fields={fields} onAdd={onAddField} onUpdate={onUpdateField} onDelete={onDeleteField} />
+
+      <RegistryPanel registry={registry} items={allItems} onOpen={onOpenProfile} />
+
+      <DatasetsPanel datasets={datasets} disabled={disabledDatasets} onToggle={onToggleDataset} />
+
+      {storageSettings && <StoragePanel settings={storageSettings} lastSaved={lastSaved} onSwitch={onSwitchStorage} />}
     </aside>
   );
 }
 
 /* ---------------------- detail + quick add/edit ---------------------- */
-function Detail({ item, onPrev, onNext, showAdd, setShowAdd, onAdd, onUpdate, onDelete }) {
+/** Without `onUpdate` (exported site) the pane is read-only. */
+function Detail({ item, items, fields, terms, onPrev, onNext, onSelect, showAdd, setShowAdd, onAdd, onUpdate, onRestore, onDelete, suggestions, onOpenProfile }) {
   const [editing, setEditing] = useState(false);
+  const { lang, t } = useI18n();
+
+  if (!item && !onUpdate) return <p className="p-6 text-gray-500">{t("detail.noMatches")}</p>;
 
   // Empty state still shows "Add entry"
   if (!item) {
     return (
       <div className="p-6">
         <div className="flex items-start justify-between gap-2">
-          <p className="text-gray-500">Use <b>Add entry</b> to add your first item.</p>
+          <p className="text-gray-500">
+            {t("detail.empty").split("{add}").map((part, i) => (
+              <React.Fragment key={i}>{i > 0 && <b>{t("detail.addEntry")}</b>}{part}</React.Fragment>
+            ))}
+          </p>
           <button
             onClick={() => setShowAdd(!showAdd)}
             className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
           >
-            {showAdd ? <X className="w-4 h-4" /> : <Plus className="w-4 h-4" />} {showAdd ? "Close" : "Add entry"}
+            {showAdd ? <X className="w-4 h-4" /> : <Plus className="w-4 h-4" />} {showAdd ? t("detail.close") : t("detail.addEntry")}
           </button>
         </div>
 
@@ -364,8 +769,8 @@ function Detail({ item, onPrev, onNext, showAdd, setShowAdd, onAdd, onUpdate, on
               exit={{ opacity: 0, y: -8 }}
               className="mt-6 p-4 rounded-2xl border bg-white shadow-sm"
             >
-              <h2 className="text-lg font-semibold mb-3">Quick add your first entry</h2>
-              <QuickAdd onAdd={onAdd} />
+              <h2 className="text-lg font-semibold mb-3">{t("detail.quickAddFirst")}</h2>
+              <QuickAdd onAdd={onAdd} suggestions={suggestions} fields={fields} />
             </motion.div>
           )}
         </AnimatePresence>
@@ -377,69 +782,115 @@ function Detail({ item, onPrev, onNext, showAdd, setShowAdd, onAdd, onUpdate, on
     return (
       <div className="p-6">
         <div className="flex items-center justify-between">
-          <h2 className="text-xl font-semibold">Edit entry</h2>
+          <h2 className="text-xl font-semibold">{t("detail.editEntry")}</h2>
           <button
             onClick={() => setEditing(false)}
             className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
           >
-            <X className="w-4 h-4" /> Cancel
+            <X className="w-4 h-4" /> {t("form.cancel")}
           </button>
         </div>
         <EditForm
           item={item}
+          fields={fields}
+          suggestions={suggestions}
           onCancel={() => setEditing(false)}
-          onSave={(updated) => { onUpdate(updated); setEditing(false); }}
+          onSave={(updated, change) => { onUpdate(updated, change); setEditing(false); }}
         />
       </div>
     );
   }
 
+  const text = localize(item, lang);
+
   return (
     <div className="p-6">
       <div className="flex items-start justify-between gap-2">
         <div>
           <div className="text-sm text-gray-500">
-            {formatDate(item.date)} • {item.place} • {item.event}{item.person ? ` • ${item.person}` : ""}
+            {[
+              [formatDate(item.date, lang)],
+              item.place.map((n) => (
+                <button key={n} onClick={() => onOpenProfile(ENTITY.PLACE, n)} className="hover:underline hover:text-gray-900"><Highlight text={n} terms={terms} field="place" /></button>
+              )),
+              item.event.map((n) => <Highlight key={n} text={n} terms={terms} field="event" />),
+              item.person.map((n) => (
+                <button key={n} onClick={() => onOpenProfile(ENTITY.PERSON, n)} className="hover:underline hover:text-gray-900"><Highlight text={n} terms={terms} field="person" /></button>
+              )),
+            ]
+              .filter((group) => group.length)
+              .map((group, i) => (
+                <React.Fragment key={i}>
+                  {i > 0 && " • "}
+                  {group.map((node, j) => (<React.Fragment key={j}>{j > 0 && ", "}{node}</React.Fragment>))}
+                </React.Fragment>
+              ))}
           </div>
-          <h1 className="text-2xl font-bold mt-1">{item.title}</h1>
+          <h1 className="text-2xl font-bold mt-1">
+            <Highlight text={text.title} terms={terms} field="title" />
+            <StatusBadge status={item.status} className="ml-2 align-middle" />
+          </h1>
+          {!text.translated && (
+            <div className="mt-1 text-xs text-gray-400">{t("detail.untranslated", { lang: t(`lang.${lang}`) })}</div>
+          )}
         </div>
         <div className="flex items-center gap-2">
-          <button
-            onClick={() => setShowAdd(!showAdd)}
-            className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
-            title="Add entry"
-          >
-            <Plus className="w-4 h-4" /> Add entry
-          </button>
-          <button
-            onClick={() => setEditing(true)}
-            className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
-            title="Edit"
-          >
-            <Pencil className="w-4 h-4" /> Edit
-          </button>
-          <button
-            onClick={() => {
-              if (confirm("Delete this entry?")) onDelete(item.id);
-            }}
-            className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-red-50 text-red-600 border-red-300"
-            title="Delete"
-          >
-            <Trash2 className="w-4 h-4" /> Delete
-          </button>
+          {onUpdate && (
+            <>
+              <button
+                onClick={() => setShowAdd(!showAdd)}
+                className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
+                title={t("detail.addEntry")}
+              >
+                <Plus className="w-4 h-4" /> {t("detail.addEntry")}
+              </button>
+              <button
+                onClick={() => setEditing(true)}
+                className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
+                title={t("detail.edit")}
+              >
+                <Pencil className="w-4 h-4" /> {t("detail.edit")}
+              </button>
+              <button
+                onClick={() => {
+                  if (confirm(t("detail.confirmDelete"))) onDelete(item.id);
+                }}
+                className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-red-50 text-red-600 border-red-300"
+                title={t("detail.delete")}
+              >
+                <Trash2 className="w-4 h-4" /> {t("detail.delete")}
+              </button>
+            </>
+          )}
           <div className="inline-flex rounded-xl overflow-hidden border">
-            <button onClick={onPrev} className="px-3 py-2 hover:bg-gray-50" title="Previous">
+            <button onClick={onPrev} className="px-3 py-2 hover:bg-gray-50" title={t("detail.previous")}>
               <ChevronLeft className="w-5 h-5" />
             </button>
-            <button onClick={onNext} className="px-3 py-2 hover:bg-gray-50" title="Next">
+            <button onClick={onNext} className="px-3 py-2 hover:bg-gray-50" title={t("detail.next")}>
               <ChevronRight className="w-5 h-5" />
             </button>
           </div>
         </div>
       </div>
 
-      <p className="mt-4 leading-7 text-gray-800">{item.description}</p>
+      <p className="mt-4 leading-7 text-gray-800">
+        <Highlight text={text.description} terms={terms} field="description" />
+        <FootnoteRefs citations={item.citations} />
+      </p>
       <MediaRenderer media={item.media} />
+      <CustomValues item={item} fields={fields} />
+      <RelatedEntries
+        item={item}
+        items={items}
+        onSelect={onSelect}
+        onChange={onUpdate && ((relations) => onUpdate({ ...item, relations }))}
+      />
+      <Footnotes citations={item.citations} />
+      {item.updatedAt && (
+        <p className="mt-4 text-xs text-gray-400">{t("detail.updated", { date: new Date(item.updatedAt).toLocaleString(lang) })}</p>
+      )}
+      {onUpdate && <ReviewPanel item={item} onChange={onUpdate} />}
+      <HistoryPanel item={item} onRestore={onRestore && ((revision) => onRestore(item, revision))} />
 
       <AnimatePresence>
         {showAdd && (
@@ -449,8 +900,8 @@ function Detail({ item, onPrev, onNext, showAdd, setShowAdd, onAdd, onUpdate, on
             exit={{ opacity: 0, y: -8 }}
             className="mt-8 p-4 rounded-2xl border bg-white shadow-sm"
           >
-            <h2 className="text-lg font-semibold mb-3">Quick add a new entry</h2>
-            <QuickAdd onAdd={onAdd} />
+            <h2 className="text-lg font-semibold mb-3">{t("detail.quickAdd")}</h2>
+            <QuickAdd onAdd={onAdd} suggestions={suggestions} fields={fields} />
           </motion.div>
         )}
       </AnimatePresence>
@@ -458,402 +909,692 @@ function Detail({ item, onPrev, onNext, showAdd, setShowAdd, onAdd, onUpdate, on
   );
 }
 
-function QuickAdd({ onAdd }) {
-  const [title, setTitle] = useState("");
-  const [date, setDate] = useState("1900-01-01");
-  const [place, setPlace] = useState("");
-  const [event, setEvent] = useState("");
-  const [person, setPerson] = useState("");
-  const [description, setDescription] = useState("");
-
-  // image via URL or upload
-  const [imageUrl, setImageUrl] = useState("");
-  const [imageData, setImageData] = useState(""); // data URL from file
-  const [videoUrl, setVideoUrl] = useState("");
-
-  function onPickImage(e) {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => setImageData(String(reader.result));
-    reader.readAsDataURL(file);
-  }
-
-  function submit(e) {
-    e.preventDefault();
-    const id = `${title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "")}-${Date.now()}`;
-
-    const media = [];
-    if (imageData) media.push({ type: "image", url: imageData });
-    else if (imageUrl) media.push({ type: "image", url: imageUrl });
-    if (videoUrl) media.push({ type: "video", url: videoUrl });
-
-    onAdd({ id, title, date, place, event, person, description, media });
-
-    // reset
-    setTitle(""); setDate("1900-01-01");
-    setPlace(""); setEvent(""); setPerson("");
-    setDescription(""); setImageUrl(""); setImageData(""); setVideoUrl("");
-    const fileInput = document.getElementById("image-file-input");
-    if (fileInput) fileInput.value = "";
-  }
+/** "Add entry": new entries wait as drafts (or for review) until someone publishes them. */
+function QuickAdd({ onAdd, suggestions, fields }) {
+  const { t } = useI18n();
+  const [round, setRound] = useState(0); // a fresh, empty form after each add
 
   return (
-    <form onSubmit={submit} className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Title</span>
-        <input value={title} onChange={(e) => setTitle(e.target.value)} required className="rounded-xl border px-3 py-2" />
-      </label>
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Date</span>
-        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} required className="rounded-xl border px-3 py-2" />
-      </label>
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Place</span>
-        <input value={place} onChange={(e) => setPlace(e.target.value)} required className="rounded-xl border px-3 py-2" />
-      </label>
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Event (category)</span>
-        <input value={event} onChange={(e) => setEvent(e.target.value)} required className="rounded-xl border px-3 py-2" />
-      </label>
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Person</span>
-        <input value={person} onChange={(e) => setPerson(e.target.value)} className="rounded-xl border px-3 py-2" placeholder="e.g., Juan Perón" />
-      </label>
-      <label className="flex flex-col gap-1 md:col-span-2">
-        <span className="text-gray-500">Description</span>
-        <textarea value={description} onChange={(e) => setDescription(e.target.value)} rows={4} className="rounded-xl border px-3 py-2" />
-      </label>
-
-      {/* Image by URL */}
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Image URL (optional)</span>
-        <input value={imageUrl} onChange={(e) => setImageUrl(e.target.value)} className="rounded-xl border px-3 py-2" placeholder="https://…" />
-        <span className="text-xs text-gray-400 mt-1">Or upload a file →</span>
-      </label>
-
-      {/* Image by upload */}
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Upload image (optional)</span>
-        <input id="image-file-input" type="file" accept="image/*" onChange={onPickImage} className="rounded-xl border px-3 py-2" />
-        {imageData && <span className="text-xs text-gray-500">✓ Image attached</span>}
-      </label>
-
-      {/* Video (URL) */}
-      <label className="flex flex-col gap-1 md:col-span-2">
-        <span className="text-gray-500">Video URL (optional)</span>
-        <input value={videoUrl} onChange={(e) => setVideoUrl(e.target.value)} className="rounded-xl border px-3 py-2" placeholder="YouTube/Vimeo/MP4" />
-      </label>
-
-      <div className="md:col-span-2 flex justify-end">
-        <button type="submit" className="rounded-xl bg-gray-900 text-white px-4 py-2 hover:bg-black">Add</button>
+    <EntryForm
+      key={round}
+      item={null}
+      fields={fields}
+      suggestions={suggestions}
+      onSubmit={(entry, submitter) => {
+        onAdd({ ...entry, status: submitter === STATUS.REVIEW ? STATUS.REVIEW : STATUS.DRAFT });
+        setRound((n) => n + 1);
+      }}
+    >
+      <div className="md:col-span-2 flex justify-end gap-2">
+        <button type="submit" value={STATUS.DRAFT} className="rounded-xl border px-4 py-2 hover:bg-gray-50">{t("form.saveDraft")}</button>
+        <button type="submit" value={STATUS.REVIEW} className="rounded-xl bg-gray-900 text-white px-4 py-2 hover:bg-black">{t("form.submitReview")}</button>
       </div>
-    </form>
+    </EntryForm>
   );
 }
 
-function EditForm({ item, onSave, onCancel }) {
-  const existingImage = item.media?.find((m) => m.type === "image") || null;
-  const existingVideo = item.media?.find((m) => m.type === "video") || null;
-
-  const [title, setTitle] = useState(item.title);
-  const [date, setDate] = useState(item.date);
-  const [place, setPlace] = useState(item.place || "");
-  const [event, setEvent] = useState(item.event || "");
-  const [person, setPerson] = useState(item.person || "");
-  const [description, setDescription] = useState(item.description || "");
-
-  const [imageUrl, setImageUrl] = useState(
-    existingImage && !String(existingImage.url).startsWith("data:") ? existingImage.url : ""
-  );
-  const [imageData, setImageData] = useState(""); // new data URL from file
-  const [keepExistingImage, setKeepExistingImage] = useState(!!existingImage);
-
-  const [videoUrl, setVideoUrl] = useState(existingVideo?.url || "");
-
-  function onPickImage(e) {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      setImageData(String(reader.result));
-      setKeepExistingImage(false);
-    };
-    reader.readAsDataURL(file);
-  }
-
-  function submit(e) {
-    e.preventDefault();
-    const media = [];
-
-    if (imageData) {
-      media.push({ type: "image", url: imageData });
-    } else if (imageUrl) {
-      media.push({ type: "image", url: imageUrl });
-    } else if (keepExistingImage && existingImage) {
-      media.push(existingImage);
-    }
-
-    if (videoUrl) media.push({ type: "video", url: videoUrl });
-
-    onSave({
-      ...item,
-      title,
-      date,
-      place,
-      event,
-      person,
-      description,
-      media,
-    });
-  }
+function EditForm({ item, fields, onSave, onCancel, suggestions }) {
+  const { t } = useI18n();
+  const [editor, setEditor] = useState(getEditorName);
+  const [note, setNote] = useState("");
 
   return (
-    <form onSubmit={submit} className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Title</span>
-        <input value={title} onChange={(e) => setTitle(e.target.value)} required className="rounded-xl border px-3 py-2" />
-      </label>
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Date</span>
-        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} required className="rounded-xl border px-3 py-2" />
-      </label>
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Place</span>
-        <input value={place} onChange={(e) => setPlace(e.target.value)} required className="rounded-xl border px-3 py-2" />
-      </label>
+    <EntryForm
+      item={item}
+      fields={fields}
+      suggestions={suggestions}
+      onSubmit={(entry) => {
+        setEditorName(editor.trim());
+        onSave(entry, { editor, note });
+      }}
+    >
+      {/* recorded with the revision (see Revisions.jsx) */}
       <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Event (category)</span>
-        <input value={event} onChange={(e) => setEvent(e.target.value)} required className="rounded-xl border px-3 py-2" />
+        <span className="text-gray-500">{t("form.editor")}</span>
+        <input value={editor} onChange={(e) => setEditor(e.target.value)} className="rounded-xl border px-3 py-2" />
       </label>
       <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Person</span>
-        <input value={person} onChange={(e) => setPerson(e.target.value)} className="rounded-xl border px-3 py-2" />
-      </label>
-      <label className="flex flex-col gap-1 md:col-span-2">
-        <span className="text-gray-500">Description</span>
-        <textarea value={description} onChange={(e) => setDescription(e.target.value)} rows={4} className="rounded-xl border px-3 py-2" />
-      </label>
-
-      {/* Image by URL */}
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Image URL</span>
-        <input
-          value={imageUrl}
-          onChange={(e) => {
-            setImageUrl(e.target.value);
-            setKeepExistingImage(false);
-          }}
-          className="rounded-xl border px-3 py-2"
-          placeholder="https://…"
-        />
-        {existingImage && (
-          <label className="mt-1 inline-flex items-center gap-2 text-xs text-gray-600">
-            <input
-              type="checkbox"
-              checked={keepExistingImage && !imageData && !imageUrl}
-              onChange={(e) => setKeepExistingImage(e.target.checked)}
-            />
-            Keep current image (if no new file/URL)
-          </label>
-        )}
-      </label>
-
-      {/* Image upload */}
-      <label className="flex flex-col gap-1">
-        <span className="text-gray-500">Upload image</span>
-        <input
-          id="edit-image-file-input"
-          type="file"
-          accept="image/*"
-          onChange={onPickImage}
-          className="rounded-xl border px-3 py-2"
-        />
-        {(imageData || (keepExistingImage && existingImage)) && (
-          <span className="text-xs text-gray-500">✓ Image will be saved</span>
-        )}
-      </label>
-
-      {/* Video URL */}
-      <label className="flex flex-col gap-1 md:col-span-2">
-        <span className="text-gray-500">Video URL</span>
-        <input
-          value={videoUrl}
-          onChange={(e) => setVideoUrl(e.target.value)}
-          className="rounded-xl border px-3 py-2"
-          placeholder="YouTube/Vimeo/MP4"
-        />
+        <span className="text-gray-500">{t("form.note")}</span>
+        <input value={note} onChange={(e) => setNote(e.target.value)} className="rounded-xl border px-3 py-2" placeholder={t("form.notePlaceholder")} />
       </label>
 
       <div className="md:col-span-2 flex justify-end gap-2">
         <button type="button" onClick={onCancel} className="rounded-xl border px-4 py-2 hover:bg-gray-50">
-          Cancel
+          {t("form.cancel")}
         </button>
         <button type="submit" className="rounded-xl bg-gray-900 text-white px-4 py-2 hover:bg-black">
-          Save
+          {t("form.save")}
         </button>
       </div>
-    </form>
+    </EntryForm>
   );
 }
 
 /* ---------------------- app ---------------------- */
+/** Waits for the storage backend (see Storage.jsx) before the app starts. */
 export default function TimelineApp() {
-  const [items, setItems] = useState(getInitialItems());
+  const [stored, setStored] = useState(SITE ? { doc: SITE } : null);
+  useEffect(() => {
+    if (!stored) openStorage().then(setStored);
+  }, []);
+  if (!stored) return <div className="min-h-screen grid place-items-center text-sm text-gray-500">{translate(getInitialLang(), "app.loading")}</div>;
+  return <Timeline stored={stored} />;
+}
 
-  // persist to localStorage
+function Timeline({ stored }) {
+  const [initialData] = useState(() => stateFromDocument(stored.doc));
+  const [items, setItems] = useState(initialData.items);
+  const [registry, setRegistry] = useState(initialData.registry);
+  const [periods, setPeriods] = useState(initialData.periods);
+  const [presets, setPresets] = useState(initialData.presets);
+  const [collections, setCollections] = useState(initialData.collections);
+  const [fields, setFields] = useState(initialData.fields); // custom field definitions
+  const [storageError, setStorageError] = useState(stored.error || null); // { key, error? }
+  const [initialRoute] = useState(() => parseHash(window.location.hash));
+  const [importPreview, setImportPreview] = useState(null);
+  const [columnImport, setColumnImport] = useState(null); // CSV/TSV awaiting its column mapping
+  const [showExport, setShowExport] = useState(false);
+  const [exportAll, setExportAll] = useState(false);
+  const [printing, setPrinting] = useState(false);
+
+  const [lang, setLang] = useState(getInitialLang);
+  const i18n = useMemo(() => ({ lang, t: (key, vars) => translate(lang, key, vars) }), [lang]);
+  const { t } = i18n;
   useEffect(() => {
+    document.documentElement.lang = lang;
+    if (SITE) return;
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
-    } catch {}
-  }, [items]);
+      localStorage.setItem(LANG_KEY, lang);
+    } catch {
+      // not worth a warning; the language just won't stick
+    }
+  }, [lang]);
+
+  // undo/redo over items (+ the registry, which item edits can extend)
+  const history = useHistory({ items, registry }, (state) => {
+    setItems(state.items);
+    setRegistry(state.registry);
+  });
+  const [toast, setToast] = useState(null); // { text, action: "undo" | "redo" }
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  /** Snapshot for undo, then show an "Undo <label>" toast; `label` is a message key. */
+  function record(label) {
+    history.record(label);
+    setToast({ label, action: "undo" });
+  }
+  function handleUndo() {
+    const label = history.undo();
+    if (label) setToast({ label, action: "redo" });
+  }
+  function handleRedo() {
+    const label = history.redo();
+    if (label) setToast({ label, action: "undo" });
+  }
+
+  const undoKeys = useRef();
+  undoKeys.current = { handleUndo, handleRedo };
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // leave text fields their own undo
+      const target = e.target;
+      if (target?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target?.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undoKeys.current.handleUndo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        undoKeys.current.handleRedo();
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  /* ---------- shipped datasets ---------- */
+  const [datasets, setDatasets] = useState([]);
+  const [disabledDatasets, setDisabledDatasets] = useState(initialData.disabledDatasets);
+  const baseRef = useRef({ items: [], loaded: false }); // shipped items currently applied
+  // ids of shipped items the user deleted, kept even while their dataset is switched off
+  const deletedRef = useRef(initialData.deleted);
+
+  /** What of `list` is the user's own, relative to the shipped `base`. */
+  function overlayOf(base, list) {
+    if (!base.loaded) return { overlay: list, deleted: deletedRef.current };
+    const split = splitOverlay(base.items, list);
+    const baseIds = new Set(base.items.map((it) => it.id));
+    return { overlay: split.overlay, deleted: [...split.deleted, ...deletedRef.current.filter((id) => !baseIds.has(id))] };
+  }
+
+  useEffect(() => {
+    if (SITE) return;
+    let cancelled = false;
+    loadDatasets((it) => coerceItem(it, undefined, STATUS.PUBLISHED))
+      .then((loaded) => {
+        if (cancelled) return;
+        setRegistry((prev) => loaded.reduce((reg, d) => addShippedEntities(reg, d.registry), prev));
+        setDatasets(loaded);
+      })
+      .catch(() => {}); // no manifest: the app runs on local data alone
+    return () => { cancelled = true; };
+  }, []);
+
+  // re-apply the overlay whenever the set of shipped items changes
+  useEffect(() => {
+    if (!datasets.length) return;
+    const shipped = datasets.filter((d) => !disabledDatasets.includes(d.id)).flatMap((d) => d.items);
+    const linked = linkEntities(shipped, registry);
+    if (linked.registry !== registry) setRegistry(linked.registry);
+    const prevBase = baseRef.current;
+    baseRef.current = { items: linked.items, loaded: true };
+    setItems((prev) => {
+      const { overlay, deleted } = overlayOf(prevBase, prev);
+      return applyOverlay(linked.items, overlay, deleted);
+    });
+  }, [datasets, disabledDatasets]);
+
+  function toggleDataset(id) {
+    setDisabledDatasets((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  }
+
+  // the timeline's own custom fields plus those of the datasets switched on
+  const allFields = useMemo(
+    () => mergeFieldDefs(fields, datasets.filter((d) => !disabledDatasets.includes(d.id))),
+    [fields, datasets, disabledDatasets]
+  );
+
+  /* ---------- storage ---------- */
+  const docRef = useRef(null); // the document as last handed to the backend
+  const [lastSaved, setLastSaved] = useState(null);
+  const [conflicts, setConflicts] = useState([]); // [{ id, mine, theirs }], from a sync server
+  const [sync] = useState(() =>
+    SITE || stored.error
+      ? null
+      : createSyncQueue(stored.adapter, {
+          onResult: (result, sent) => {
+            // others' changes: fold them into whatever was edited meanwhile
+            if (result.doc) applyDocument(mergeDocuments(sent, docRef.current, result.doc).doc);
+            if (result.conflicts?.length) {
+              setConflicts((prev) => [...prev.filter((c) => !result.conflicts.some((n) => n.id === c.id)), ...result.conflicts]);
+            }
+            setLastSaved(new Date());
+            setStorageError(null);
+          },
+          onError: (err) => setStorageError(saveProblem(err)),
+        })
+  );
+
+  /** Replace the data with a document merged from the sync server. */
+  function applyDocument(doc) {
+    const next = stateFromDocument(doc);
+    const base = baseRef.current;
+    deletedRef.current = next.deleted;
+    setItems(base.loaded ? applyOverlay(base.items, next.items, next.deleted) : next.items);
+    setRegistry(next.registry);
+    setPeriods(next.periods);
+    setPresets(next.presets);
+    setCollections(next.collections);
+    setFields(next.fields);
+    setDisabledDatasets((prev) => (prev.join("\n") === next.disabledDatasets.join("\n") ? prev : next.disabledDatasets));
+  }
+
+  // save (items only as the overlay on shipped data)
+  useEffect(() => {
+    if (!sync) return;
+    const { overlay, deleted } = overlayOf(baseRef.current, items);
+    deletedRef.current = deleted;
+    docRef.current = makeDocument({ items: overlay, deleted, disabledDatasets, periods, registry, presets, collections, fields }, "savedAt");
+    sync.save(docRef.current);
+  }, [items, periods, registry, disabledDatasets, presets, collections, fields]);
+
+  // pick up what others saved on a sync server
+  useEffect(() => {
+    if (!sync || !stored.adapter.pull) return;
+    const timer = setInterval(() => sync.pull(() => docRef.current), SYNC_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  function resolveConflict(conflict, keepMine) {
+    stored.adapter.resolve(conflict.id);
+    setConflicts((prev) => prev.filter((c) => c.id !== conflict.id));
+    if (keepMine) {
+      sync.save(docRef.current);
+      return;
+    }
+    record("undo.takeTheirs");
+    const theirs = conflict.theirs && link(coerceItem(conflict.theirs, undefined, STATUS.PUBLISHED));
+    setItems((prev) => {
+      if (!theirs) return prev.filter((it) => it.id !== conflict.id);
+      return prev.some((it) => it.id === theirs.id) ? prev.map((it) => (it.id === theirs.id ? theirs : it)) : [...prev, theirs];
+    });
+  }
+
+  /** Copy the data to another backend (unless it already has some) and reload from it. */
+  async function switchStorage(settings) {
+    try {
+      const target = createAdapter(settings);
+      const existing = await target.load();
+      if (existing && !confirm(t("storage.confirmExisting", { where: storageLabel(settings, t) }))) return;
+      if (!existing) await target.save(docRef.current);
+      writeStorageSettings(settings);
+      window.location.reload();
+    } catch (err) {
+      alert(t("storage.switchFailed", { message: errorText(err, t) }));
+    }
+  }
+
+  // one-off: move legacy inline images into IndexedDB, then drop orphaned blobs
+  useEffect(() => {
+    if (SITE) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const moved = await externalizeMedia(items);
+        const people = await externalizeMedia(registry.people);
+        if (cancelled) return;
+        // patch by id: shipped datasets may have arrived in the meantime
+        const movedById = new Map(moved.filter((it, idx) => it !== items[idx]).map((it) => [it.id, it]));
+        const peopleById = new Map(people.filter((r, idx) => r !== registry.people[idx]).map((r) => [r.id, r]));
+        if (movedById.size) setItems((prev) => prev.map((it) => movedById.get(it.id) || it));
+        if (peopleById.size) setRegistry((prev) => ({ ...prev, people: prev.people.map((r) => peopleById.get(r.id) || r) }));
+        // blobs referenced only from undo history must survive too
+        const kept = history.snapshots.flatMap((h) => [...h.items, ...h.registry.people]);
+        await pruneMediaBlobs([...moved, ...people, ...kept]);
+      } catch (err) {
+        if (!cancelled && isQuotaError(err)) setStorageError({ key: "media.full" });
+      }
+    })();
+    return () => { cancelled = true; };
+  }, []);
 
   const {
     view, setView,
-    query, setQuery,
+    query, setQuery, terms,
     yearFrom, setYearFrom,
     yearTo, setYearTo,
     place, setPlace, places,
     event, setEvent, events,
     person, setPerson, persons,
+    match, setMatch,
+    fieldFilters, setFieldFilters,
+    applyPeriod,
     filtered,
-  } = useFilters(items);
+  } = useFilters(items, registry, allFields, initialRoute);
+
+  const [selectedId, setSelectedId] = useState(initialRoute.selectedId ?? null);
+  // person/place profile shown instead of Detail: { kind, id }
+  const [profile, setProfile] = useState(() => parseProfileParam(initialRoute.profile));
+  const profileParam = profile ? `${profile.kind}:${profile.id}` : "";
+  const [showBibliography, setShowBibliography] = useState(false);
+
+  // an open collection replaces the filtered list, in its own order
+  const [collectionId, setCollectionId] = useState(initialRoute.collection || "");
+  const activeCollection = collections.find((c) => c.id === collectionId) || null;
+  const list = useMemo(
+    () => (activeCollection ? collectionItems(activeCollection, items) : filtered),
+    [activeCollection, items, filtered]
+  );
 
-  const [selectedId, setSelectedId] = useState(null);
   const selectedIndex = useMemo(
-    () => filtered.findIndex((i) => i.id === selectedId),
-    [filtered, selectedId]
+    () => list.findIndex((i) => i.id === selectedId),
+    [list, selectedId]
   );
-  const selected = filtered[selectedIndex] || filtered[0] || null;
+  const selected = list[selectedIndex] || list[0] || null;
 
   useEffect(() => {
-    if (!selectedId && filtered[0]) setSelectedId(filtered[0].id);
-  }, [filtered, selectedId]);
+    if (!selectedId && list[0]) setSelectedId(list[0].id);
+  }, [list, selectedId]);
+
+  // keep selection + filters in the URL hash (shareable, back/forward aware)
+  useHashRoute(
+    { selectedId, view, query, yearFrom, yearTo, place, event, person, match, fieldFilters, profile: profileParam, collection: activeCollection?.id || "" },
+    FILTER_DEFAULTS,
+    (next) => {
+      setView(Object.values(VIEW).includes(next.view) ? next.view : VIEW.DATE);
+      setQuery(next.query);
+      setYearFrom(next.yearFrom);
+      setYearTo(next.yearTo);
+      setPlace(next.place);
+      setEvent(next.event);
+      setPerson(next.person);
+      setMatch(next.match === "all" ? "all" : "any");
+      setFieldFilters(next.fieldFilters);
+      setSelectedId(next.selectedId ?? null);
+      setProfile(parseProfileParam(next.profile));
+      setCollectionId(next.collection || "");
+    }
+  );
+
+  const [copied, setCopied] = useState(false);
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      prompt(t("header.copyPrompt"), window.location.href);
+    }
+  }
 
   function handleSelect(id) {
     setSelectedId(id);
+    setProfile(null);
+    setShowBibliography(false);
   }
   function handlePrev() {
-    if (!filtered.length) return;
-    const idx = selectedIndex <= 0 ? filtered.length - 1 : selectedIndex - 1;
-    setSelectedId(filtered[idx].id);
+    if (!list.length) return;
+    const idx = selectedIndex <= 0 ? list.length - 1 : selectedIndex - 1;
+    setSelectedId(list[idx].id);
   }
   function handleNext() {
-    if (!filtered.length) return;
-    const idx = selectedIndex >= filtered.length - 1 ? 0 : selectedIndex + 1;
-    setSelectedId(filtered[idx].id);
+    if (!list.length) return;
+    const idx = selectedIndex >= list.length - 1 ? 0 : selectedIndex + 1;
+    setSelectedId(list[idx].id);
   }
 
+  /* ---------- presets & collections ---------- */
+  function savePreset(name) {
+    const filters = { view, query, yearFrom, yearTo, place, event, person, match, fieldFilters };
+    setPresets((prev) => [...prev, coercePreset({ name, filters })]);
+  }
+  function applyPreset(preset) {
+    const f = { ...FILTER_DEFAULTS, ...preset.filters };
+    setView(Object.values(VIEW).includes(f.view) ? f.view : VIEW.DATE);
+    setQuery(f.query);
+    setYearFrom(f.yearFrom);
+    setYearTo(f.yearTo);
+    setPlace(f.place);
+    setEvent(f.event);
+    setPerson(f.person);
+    setMatch(f.match === "all" ? "all" : "any");
+    setFieldFilters(f.fieldFilters);
+    setCollectionId("");
+  }
+  function createCollection(name) {
+    const created = coerceCollection({ name, itemIds: selected ? [selected.id] : [] });
+    setCollections((prev) => [...prev, created]);
+    setCollectionId(created.id);
+  }
+  function updateCollection(updated) {
+    setCollections((prev) => prev.map((c) => (c.id === updated.id ? updated : c)));
+  }
+  function deleteCollection(id) {
+    setCollections((prev) => prev.filter((c) => c.id !== id));
+    if (collectionId === id) setCollectionId("");
+  }
+
+  const [showCanvas, setShowCanvas] = useState(true);
+
   const [showAdd, setShowAdd] = useState(false);
+  /** Fold the item's people/places onto registry names, adding new records. */
+  function link(item) {
+    const linked = linkEntities([item], registry);
+    if (linked.registry !== registry) setRegistry(linked.registry);
+    return linked.items[0];
+  }
+
   function handleAdd(newItem) {
-    setItems((prev) => [...prev, newItem]);
+    record("undo.add");
+    const linked = withRevision(null, link(touched(newItem)), { editor: getEditorName() });
+    setItems((prev) => [...prev, linked]);
     setShowAdd(false);
-    setSelectedId(newItem.id);
+    setSelectedId(linked.id);
   }
 
-  function handleUpdate(updated) {
-    setItems((prev) => prev.map((i) => (i.id === updated.id ? updated : i)));
-    setSelectedId(updated.id);
+  /** `change`: { editor, note } for the revision this save records. */
+  function handleUpdate(updated, change) {
+    record("undo.edit");
+    const previous = items.find((i) => i.id === updated.id);
+    const linked = withRevision(previous, link(touched(updated)), { editor: getEditorName(), ...change });
+    setItems((prev) => prev.map((i) => (i.id === linked.id ? linked : i)));
+    setSelectedId(linked.id);
+  }
+
+  /** Bring back an earlier revision's content (the review status stays); the restore is recorded as a revision too. */
+  function handleRestore(item, revision) {
+    const date = revision.at ? new Date(revision.at).toLocaleString(lang) : t("history.beforeHistory");
+    const restored = { ...revision.snapshot, id: item.id, revisions: item.revisions, reviewNotes: item.reviewNotes, status: item.status };
+    handleUpdate(coerceItem(restored), { note: t("history.restoredNote", { date }) });
   }
 
   function handleDelete(id) {
-    setItems((prev) => prev.filter((i) => i.id !== id));
+    record("undo.delete");
+    setItems((prev) => unlinkTarget(prev.filter((i) => i.id !== id), id));
     setSelectedId(null);
   }
 
+  function handleAddPeriod(period) {
+    setPeriods((prev) => [...prev, period]);
+  }
+  function handleUpdatePeriod(updated) {
+    setPeriods((prev) => prev.map((p) => (p.id === updated.id ? updated : p)));
+  }
+  function handleDeletePeriod(id) {
+    setPeriods((prev) => prev.filter((p) => p.id !== id));
+  }
+
+  /* ---------- custom fields ---------- */
+  function handleAddField(field) {
+    setFields((prev) => [...prev, field]);
+  }
+  function handleUpdateField(updated) {
+    setFields((prev) => prev.map((f) => (f.id === updated.id ? updated : f)));
+  }
+  /** Entries keep their values; defining the field again brings them back. */
+  function handleDeleteField(id) {
+    setFields((prev) => prev.filter((f) => f.id !== id));
+    setFieldFilters((prev) => prev.filter((entry) => !entry.startsWith(`${id}:`)));
+  }
+
+  /* ---------- people & places ---------- */
+  const profileRecord = profile
+    ? registry[profile.kind === ENTITY.PERSON ? "people" : "places"].find((r) => r.id === profile.id) || null
+    : null;
+
+  function openProfile(kind, name) {
+    const rec = registry[kind === ENTITY.PERSON ? "people" : "places"].find((r) => r.name === name);
+    if (rec) {
+      setProfile({ kind, id: rec.id });
+      setShowBibliography(false);
+    }
+  }
+
+  function updateEntity(kind, updated) {
+    const key = kind === ENTITY.PERSON ? "people" : "places";
+    const previous = registry[key].find((r) => r.id === updated.id);
+    let entity = updated;
+    record(`undo.edit.${kind}`);
+    if (previous && previous.name !== updated.name) {
+      // keep the old name resolvable for later imports
+      entity = { ...updated, aliases: Array.from(new Set([...updated.aliases, previous.name])) };
+      setItems((prev) => renameInItems(prev, kind, [previous.name], updated.name));
+    }
+    setRegistry((prev) => ({ ...prev, [key]: prev[key].map((r) => (r.id === entity.id ? entity : r)) }));
+  }
+
+  function mergeEntity(kind, from, into) {
+    const key = kind === ENTITY.PERSON ? "people" : "places";
+    record(`undo.merge.${kind}`);
+    const merged = { ...into, aliases: Array.from(new Set([...into.aliases, from.name, ...from.aliases])) };
+    setRegistry((prev) => ({
+      ...prev,
+      [key]: prev[key].filter((r) => r.id !== from.id).map((r) => (r.id === into.id ? merged : r)),
+    }));
+    setItems((prev) => renameInItems(prev, kind, [from.name], into.name));
+    setProfile({ kind, id: into.id });
+  }
+
+  function deleteEntity(kind, entity) {
+    record(`undo.delete.${kind}`);
+    const key = kind === ENTITY.PERSON ? "people" : "places";
+    setRegistry((prev) => ({ ...prev, [key]: prev[key].filter((r) => r.id !== entity.id) }));
+    setProfile(null);
+  }
+
   /* ---------- export / import ---------- */
 
-  function exportJSON() {
+  async function exportJSON() {
     try {
-      const data = JSON.stringify(items, null, 2);
-      const blob = new Blob([data], { type: "application/json" });
-      const ts = new Date();
-      const yyyy = ts.getFullYear();
-      const mm = String(ts.getMonth() + 1).padStart(2, "0");
-      const dd = String(ts.getDate()).padStart(2, "0");
-      const hh = String(ts.getHours()).padStart(2, "0");
-      const mi = String(ts.getMinutes()).padStart(2, "0");
-      const ss = String(ts.getSeconds()).padStart(2, "0");
-      const filename = `timeline-${yyyy}${mm}${dd}-${hh}${mi}${ss}.json`;
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = filename;
-      a.click();
-      URL.revokeObjectURL(url);
+      // embed stored images so the file is self-contained
+      const data = JSON.stringify(
+        makeDocument({
+          items: await inlineMedia(items),
+          periods,
+          registry: { ...registry, people: await inlineMedia(registry.people) },
+          presets,
+          collections,
+          fields: allFields.map(coerceFieldDef),
+        }),
+        null,
+        2
+      );
+      downloadFile(data, "json", "application/json");
     } catch (e) {
-      alert("Export failed: " + e?.message || e);
+      alert(t("app.exportFailed", { message: errorText(e, t) }));
     }
   }
 
-  function coerceItem(raw) {
-    const safe = typeof raw === "object" && raw ? { ...raw } : {};
-    safe.title = String(safe.title ?? "").trim();
-    safe.date = String(safe.date ?? "").trim();
-    safe.place = String(safe.place ?? "");
-    safe.event = String(safe.event ?? "");
-    safe.person = String(safe.person ?? "");
-    safe.description = String(safe.description ?? "");
-    // id
-    if (!safe.id) {
-      const slug = (safe.title || "item")
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, "-")
-        .replace(/(^-|-$)/g, "");
-      safe.id = `${slug}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
-    } else {
-      safe.id = String(safe.id);
+  /** Single-file read-only viewer with everything embedded (see siteExport.js). */
+  async function exportSite() {
+    try {
+      const html = await buildSiteHtml(
+        makeDocument({
+          items: await inlineMedia(publicItems(items)),
+          periods,
+          registry: { ...registry, people: await inlineMedia(registry.people) },
+          presets,
+          collections,
+          fields: allFields.map(coerceFieldDef),
+          lang,
+        }),
+        t("app.title")
+      );
+      downloadFile(html, "html", "text/html;charset=utf-8");
+    } catch (e) {
+      alert(t("app.exportFailed", { message: errorText(e, t) }));
     }
-    // media
-    const media = Array.isArray(safe.media) ? safe.media : [];
-    safe.media = media
-      .map((m) => ({
-        type: m?.type === "video" ? "video" : "image",
-        url: String(m?.url ?? ""),
-        caption: m?.caption ? String(m.caption) : undefined,
-      }))
-      .filter((m) => !!m.url);
-    return safe;
-  }
-
-  function importFromText(jsonText, mode = "merge") {
-    const parsed = JSON.parse(jsonText);
-    if (!Array.isArray(parsed)) throw new Error("File must contain a JSON array");
-    const incoming = parsed.map(coerceItem);
-
-    if (mode === "replace") {
-      setItems(incoming);
-      setSelectedId(incoming[0]?.id ?? null);
-      return incoming.length;
-    } else {
-      // merge by id (file wins)
-      setItems((prev) => {
-        const map = new Map(prev.map((i) => [i.id, i]));
-        for (const it of incoming) map.set(it.id, it);
-        const merged = Array.from(map.values());
-        // keep current selection if still present
-        const still = merged.find((i) => i.id === selectedId);
-        if (!still) setSelectedId(merged[0]?.id ?? null);
-        return merged;
-      });
-      return incoming.length;
+  }
+
+  /** Export the filtered list (or everything) in one of the EXPORT_FORMATS. */
+  async function exportAs(format, all) {
+    const chosen = all ? items : timelineList;
+    const list = publicItems(chosen);
+    try {
+      if (format === "csv") downloadFile(itemsToDelimited(list, ",", allFields), "csv", "text/csv;charset=utf-8");
+      else if (format === "tsv") downloadFile(itemsToDelimited(list, "\t", allFields), "tsv", "text/tab-separated-values;charset=utf-8");
+      else if (format === "ics") downloadFile(toICS(list, t("app.title")), "ics", "text/calendar;charset=utf-8");
+      else if (format === "timelinejs") {
+        downloadFile(toTimelineJS(await inlineMedia(list), periods, t("app.title")), "timelinejs.json", "application/json");
+      } else if (format === "geojson") {
+        downloadFile(toGeoJSON(await inlineMedia(list), registry), "geojson", "application/geo+json");
+      }
+      const left = format === "geojson" ? list.filter((it) => !it.place.length).length
+        : format === "ics" || format === "timelinejs" ? list.filter((it) => !it.date.start).length : 0;
+      const unpublished = chosen.length - list.length;
+      const notes = [
+        unpublished ? t("app.unpublishedLeftOut", { n: unpublished }) : "",
+        left ? t(format === "geojson" ? "app.noPlaceLeftOut" : "app.noDateLeftOut", { n: left }) : "",
+      ].filter(Boolean);
+      if (notes.length) alert(notes.join("\n"));
+    } catch (e) {
+      alert(t("app.exportFailed", { message: errorText(e, t) }));
     }
   }
 
+  /** Parse an export file into an import preview; nothing is applied yet. */
+  function readImport(text, fileName) {
+    if (isICS(text)) return readForeign(fromICS(text), fileName);
+    const parsed = JSON.parse(text);
+    if (isTimelineJS(parsed)) return readForeign(fromTimelineJS(parsed), fileName);
+    if (isGeoJSON(parsed)) return readForeign(fromGeoJSON(parsed), fileName);
+    // older exports are a bare array of items; migrate brings them up to date
+    const doc = migrate(parsed);
+    const rawItems = doc.items;
+    if (!Array.isArray(rawItems)) throw localizedError("import.noItems");
+    return {
+      ...previewItems(rawItems, fileName),
+      source: { schemaVersion: versionOf(parsed), appVersion: doc.appVersion, exportedAt: doc.exportedAt },
+      periods: Array.isArray(doc.periods) ? doc.periods.map(coercePeriod) : null,
+      registry: coerceRegistry(doc.registry),
+      presets: Array.isArray(doc.presets) ? doc.presets.map(coercePreset) : null,
+      collections: Array.isArray(doc.collections) ? doc.collections.map(coerceCollection) : null,
+      fields: Array.isArray(doc.fields) ? doc.fields.map(coerceFieldDef) : null,
+    };
+  }
+
+  /** Preview for an interchange format (see formats.js). */
+  function readForeign({ items: rawItems, periods: rawPeriods, places }, fileName) {
+    // coordinates from the file go onto matching registry places
+    const placeRecords = places.map((p) => {
+      const existing = registry.places.find((r) => r.id === p.id) || findEntity(registry, ENTITY.PLACE, p.name);
+      return existing ? { ...existing, lat: p.lat, lng: p.lng } : p;
+    });
+    return {
+      ...previewItems(rawItems, fileName),
+      periods: rawPeriods.length ? rawPeriods.map(coercePeriod) : null,
+      registry: coerceRegistry({ people: [], places: placeRecords }),
+    };
+  }
+
+  /**
+   * Run raw items through `coerceItem`, collecting its warnings. An entry
+   * we already have keeps its status when the file has none (re-importing
+   * our own CSV/ICS/… export must not send it back to review).
+   */
+  function previewItems(rawItems, fileName) {
+    const warnings = [];
+    const byId = new Map();
+    const statusOf = new Map(items.map((it) => [it.id, it.status]));
+    rawItems.forEach((raw, i) => {
+      const label = `#${i + 1}${raw?.title ? ` "${String(raw.title).trim()}"` : ""}`;
+      const local = raw?.id ? statusOf.get(String(raw.id)) : undefined;
+      const it = coerceItem(raw, (message, vars) => warnings.push({ label, message, vars }), local);
+      if (byId.has(it.id)) warnings.push({ label, message: "import.warnDuplicateId", vars: { id: it.id } });
+      byId.set(it.id, it);
+    });
+    return { fileName, items: Array.from(byId.values()), periods: null, registry: EMPTY_REGISTRY, presets: null, collections: null, fields: null, warnings };
+  }
+
+  /** Apply a previewed import; `resolved` is the item list the dialog settled on. */
+  async function applyImport(preview, mode, resolved) {
+    const nextItems = await externalizeMedia(resolved);
+    const incomingRegistry = { ...preview.registry, people: await externalizeMedia(preview.registry.people) };
+
+    record(`undo.import.${mode}`);
+    if (preview.periods) setPeriods((prev) => mergeById(prev, preview.periods, mode === "replace"));
+    if (preview.presets) setPresets((prev) => mergeById(prev, preview.presets, mode === "replace"));
+    if (preview.collections) setCollections((prev) => mergeById(prev, preview.collections, mode === "replace"));
+    if (preview.fields) setFields((prev) => mergeById(prev, preview.fields, mode === "replace"));
+    // files without a registry rebuild it from the items' names
+    const linked = linkEntities(nextItems, mode === "replace" ? incomingRegistry : mergeRegistry(registry, incomingRegistry));
+    setRegistry(linked.registry);
+    setItems(linked.items);
+    // keep current selection if still present
+    if (!linked.items.some((i) => i.id === selectedId)) setSelectedId(linked.items[0]?.id ?? null);
+  }
+
   function onChooseImportFile(e) {
     const file = e.target.files?.[0];
     if (!file) return;
-    const replace = confirm(
-      "Import JSON\n\nOK = REPLACE current items with file\nCancel = MERGE with current items"
-    );
-    const mode = replace ? "replace" : "merge";
     const reader = new FileReader();
     reader.onload = () => {
       try {
-        const count = importFromText(String(reader.result), mode);
-        alert(`Imported ${count} item(s) (${mode}).`);
+        const text = String(reader.result);
+        if (/\.(csv|tsv|txt)$/i.test(file.name)) {
+          const rows = parseDelimited(text);
+          if (!rows.length) throw localizedError("import.noRows");
+          setColumnImport({ fileName: file.name, rows });
+        } else {
+          setImportPreview(readImport(text, file.name));
+        }
       } catch (err) {
-        alert("Import failed: " + (err?.message || err));
+        alert(t("app.importFailed", { message: errorText(err, t) }));
       } finally {
         e.target.value = "";
       }
@@ -866,92 +1607,382 @@ export default function TimelineApp() {
     if (input) input.click();
   }
 
-  const timelineList = filtered;
+  const timelineList = list;
+  // titles/descriptions in the reader's language, for the views that only display them
+  const shownList = useMemo(() => localizeItems(timelineList, lang), [timelineList, lang]);
+  const shownAll = useMemo(() => localizeItems(items, lang), [items, lang]);
+
+  if (printing) {
+    const chosen = [...place, ...event, ...person];
+    const summary = [
+      `${yearFrom}–${yearTo}`,
+      query.trim() ? `“${query.trim()}”` : "",
+      chosen.length ? chosen.join(match === "all" ? " + " : " / ") : "",
+    ].filter(Boolean).join(" · ");
+    return (
+      <I18nContext.Provider value={i18n}>
+        <PrintReport items={localizeItems(publicItems(timelineList), lang)} view={view} title={t("app.title")} summary={summary} onClose={() => setPrinting(false)} />
+      </I18nContext.Provider>
+    );
+  }
 
   return (
-    <div className="min-h-screen bg-gray-50">
-      <header className="sticky top-0 z-10 bg-white/80 backdrop-blur border-b">
-        <div className="w-full mx-auto px-4 py-3 flex items-center justify-between gap-3">
-          <div className="min-w-0">
-            <h1 className="text-4xl font-bold">History of the testimony in South America</h1>
-          </div>
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen bg-gray-50">
+        <header className="sticky top-0 z-10 bg-white/80 backdrop-blur border-b">
+          <div className="w-full mx-auto px-4 py-3 flex items-center justify-between gap-3">
+            <div className="min-w-0">
+              <h1 className="text-4xl font-bold">{t("app.title")}</h1>
+            </div>
 
-          <div className="flex items-center gap-2 shrink-0">
-            <span className="hidden md:inline text-sm text-gray-500">{timelineList.length} items</span>
+            <div className="flex items-center gap-2 shrink-0">
+              <span className="hidden md:inline text-sm text-gray-500">{t("app.items", { n: timelineList.length })}</span>
+
+              <select
+                value={lang}
+                onChange={(e) => setLang(e.target.value)}
+                className="rounded-xl border px-2 py-2 text-sm bg-white"
+                aria-label={t("app.language")}
+                title={t("app.language")}
+              >
+                {LANGS.map((l) => (<option key={l} value={l}>{LANG_NAMES[l]}</option>))}
+              </select>
+
+              {!SITE && (
+                <>
+                  <button
+                    onClick={handleUndo}
+                    disabled={!history.undoLabel}
+                    className="rounded-xl border p-2 hover:bg-gray-50 disabled:opacity-40"
+                    title={history.undoLabel ? t("header.undo", { label: t(history.undoLabel) }) : t("header.nothingToUndo")}
+                  >
+                    <Undo2 className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={handleRedo}
+                    disabled={!history.redoLabel}
+                    className="rounded-xl border p-2 hover:bg-gray-50 disabled:opacity-40"
+                    title={history.redoLabel ? t("header.redo", { label: t(history.redoLabel) }) : t("header.nothingToRedo")}
+                  >
+                    <Redo2 className="w-4 h-4" />
+                  </button>
+                </>
+              )}
 
-            <button
-              onClick={exportJSON}
-              className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
-              title="Export JSON"
-            >
-              <Download className="w-4 h-4" /> Export
-            </button>
+              <button
+                onClick={copyLink}
+                className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
+                title={t("header.linkTitle")}
+              >
+                {copied ? <Check className="w-4 h-4" /> : <Link className="w-4 h-4" />} {copied ? t("header.copied") : t("header.link")}
+              </button>
+
+              <button
+                onClick={() => setShowCanvas(!showCanvas)}
+                className={`inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm ${showCanvas ? "bg-gray-900 text-white" : "hover:bg-gray-50"}`}
+                title={t("header.timelineTitle")}
+              >
+                <ChartGantt className="w-4 h-4" /> {t("header.timeline")}
+              </button>
+
+              <button
+                onClick={() => setPrinting(true)}
+                className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
+                title={t("header.printTitle")}
+              >
+                <Printer className="w-4 h-4" /> {t("header.print")}
+              </button>
+
+              <button
+                onClick={() => setShowBibliography(!showBibliography)}
+                className={`inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm ${showBibliography ? "bg-gray-900 text-white" : "hover:bg-gray-50"}`}
+                title={t("header.sourcesTitle")}
+              >
+                <BookOpen className="w-4 h-4" /> {t("header.sources")}
+              </button>
+
+              <div className="relative">
+                <button
+                  onClick={() => setShowExport(!showExport)}
+                  className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
+                  title={t("header.export")}
+                >
+                  <Download className="w-4 h-4" /> {t("header.export")}
+                </button>
+                {showExport && (
+                  <>
+                    <div className="fixed inset-0 z-10" onClick={() => setShowExport(false)} />
+                    <div className="absolute right-0 z-20 mt-1 w-64 rounded-xl border bg-white shadow-lg p-1 text-sm">
+                      <button
+                        onClick={() => { setShowExport(false); exportJSON(); }}
+                        className="w-full rounded-lg px-3 py-1.5 text-left hover:bg-gray-50"
+                      >
+                        {t("header.exportJson")}
+                      </button>
+                      {!SITE && (
+                        <button
+                          onClick={() => { setShowExport(false); exportSite(); }}
+                          className="w-full rounded-lg px-3 py-1.5 text-left hover:bg-gray-50"
+                          title={t("header.exportSiteTitle")}
+                        >
+                          {t("header.exportSite")}
+                        </button>
+                      )}
+                      <div className="my-1 border-t" />
+                      <div className="m-1 inline-flex rounded-xl border overflow-hidden text-xs">
+                        {[
+                          [false, t("header.filtered", { n: timelineList.length })],
+                          [true, t("header.all", { n: items.length })],
+                        ].map(([all, label]) => (
+                          <button
+                            key={label}
+                            onClick={() => setExportAll(all)}
+                            className={`px-3 py-1 ${exportAll === all ? "bg-gray-900 text-white" : "hover:bg-gray-100"}`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      {EXPORT_FORMATS.map((format) => (
+                        <button
+                          key={format}
+                          onClick={() => { setShowExport(false); exportAs(format, exportAll); }}
+                          className="w-full rounded-lg px-3 py-1.5 text-left hover:bg-gray-50"
+                        >
+                          {t(`export.${format}`)}
+                        </button>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
 
-            <button
-              onClick={triggerImport}
-              className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
-              title="Import JSON"
-            >
-              <Upload className="w-4 h-4" /> Import
-            </button>
+              {!SITE && (
+                <>
+                  <button
+                    onClick={triggerImport}
+                    className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
+                    title={t("header.importTitle")}
+                  >
+                    <Upload className="w-4 h-4" /> {t("header.import")}
+                  </button>
 
-            {/* hidden file input for import */}
-            <input
-              id="import-json-input"
-              type="file"
-              accept="application/json,.json"
-              className="hidden"
-              onChange={onChooseImportFile}
-            />
+                  {/* hidden file input for import */}
+                  <input
+                    id="import-json-input"
+                    type="file"
+                    accept="application/json,.json,text/csv,.csv,.tsv,.txt,text/calendar,.ics,.geojson"
+                    className="hidden"
+                    onChange={onChooseImportFile}
+                  />
+                </>
+              )}
+            </div>
           </div>
-        </div>
-      </header>
-
-      <main className="w-full mx-auto grid grid-cols-1 md:grid-cols-[2fr_1fr] gap-0">
-        <section className="bg-white">
-          <Detail
-            item={selected}
-            onPrev={handlePrev}
-            onNext={handleNext}
-            showAdd={showAdd}
-            setShowAdd={setShowAdd}
-            onAdd={handleAdd}
-            onUpdate={handleUpdate}
-            onDelete={handleDelete}
+        </header>
+
+        {storageError && (
+          <div role="alert" className="bg-red-50 border-b border-red-200 text-red-700 text-sm">
+            <div className="w-full mx-auto px-4 py-2 flex items-center gap-2">
+              <AlertTriangle className="w-4 h-4 shrink-0" />
+              <span className="flex-1">
+                {t(storageError.key, { where: storageLabel(stored.settings, t), message: storageError.error && errorText(storageError.error, t) })}
+              </span>
+              <button onClick={exportJSON} className="rounded-xl border border-red-300 px-3 py-1 hover:bg-red-100">
+                {t("header.exportBackup")}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {conflicts.map((c) => (
+          <div key={c.id} role="alert" className="bg-amber-50 border-b border-amber-200 text-amber-900 text-sm">
+            <div className="w-full mx-auto px-4 py-2 flex flex-wrap items-center gap-2">
+              <AlertTriangle className="w-4 h-4 shrink-0" />
+              <span className="flex-1">
+                {t(c.theirs ? "storage.conflict" : "storage.conflictDeleted", {
+                  title: (c.mine || c.theirs).title,
+                  date: c.theirs?.updatedAt ? new Date(c.theirs.updatedAt).toLocaleString(lang) : "—",
+                })}
+              </span>
+              <button onClick={() => resolveConflict(c, true)} className="rounded-xl border border-amber-300 px-3 py-1 hover:bg-amber-100">
+                {t("storage.keepMine")}
+              </button>
+              <button onClick={() => resolveConflict(c, false)} className="rounded-xl border border-amber-300 px-3 py-1 hover:bg-amber-100">
+                {t("storage.takeTheirs")}
+              </button>
+            </div>
+          </div>
+        ))}
+
+        <main className="w-full mx-auto grid grid-cols-1 md:grid-cols-[2fr_1fr] gap-0">
+          <section className="bg-white">
+            {showCanvas && (
+              <TimelineCanvas
+                items={shownList}
+                selectedId={selected?.id}
+                onSelect={handleSelect}
+                yearFrom={yearFrom}
+                yearTo={yearTo}
+                onRangeChange={(from, to) => { setYearFrom(from); setYearTo(to); }}
+                periods={periods}
+                minYear={START_YEAR}
+                maxYear={CURRENT_YEAR}
+              />
+            )}
+            {view === VIEW.MAP && (
+              <MapView
+                items={shownList}
+                registry={registry}
+                selectedId={selected?.id}
+                onSelect={handleSelect}
+                yearFrom={yearFrom}
+                yearTo={yearTo}
+              />
+            )}
+            {showBibliography ? (
+              <Bibliography items={shownAll} onSelectEntry={handleSelect} onClose={() => setShowBibliography(false)} />
+            ) : profileRecord ? (
+              <EntityProfile
+                key={profileRecord.id}
+                kind={profile.kind}
+                record={profileRecord}
+                registry={registry}
+                entries={entriesFor(shownAll, profile.kind, profileRecord.name)}
+                onSelectEntry={handleSelect}
+                onClose={() => setProfile(null)}
+                onSave={SITE ? null : (updated) => updateEntity(profile.kind, updated)}
+                onMerge={SITE ? null : (from, into) => mergeEntity(profile.kind, from, into)}
+                onDelete={SITE ? null : (record) => deleteEntity(profile.kind, record)}
+              />
+            ) : (
+              <Detail
+                item={selected}
+                items={shownAll}
+                fields={allFields}
+                terms={terms}
+                onPrev={handlePrev}
+                onNext={handleNext}
+                onSelect={handleSelect}
+                showAdd={showAdd}
+                setShowAdd={setShowAdd}
+                onAdd={SITE ? null : handleAdd}
+                onUpdate={SITE ? null : handleUpdate}
+                onRestore={SITE ? null : handleRestore}
+                onDelete={SITE ? null : handleDelete}
+                suggestions={{ place: places, event: events, person: persons }}
+                onOpenProfile={openProfile}
+              />
+            )}
+          </section>
+
+          <section>
+            <RightRail
+              items={shownList}
+              view={view}
+              setView={setView}
+              query={query}
+              setQuery={setQuery}
+              terms={terms}
+              yearFrom={yearFrom}
+              setYearFrom={setYearFrom}
+              yearTo={yearTo}
+              setYearTo={setYearTo}
+              place={place}
+              setPlace={setPlace}
+              places={places}
+              event={event}
+              setEvent={setEvent}
+              events={events}
+              person={person}
+              setPerson={setPerson}
+              persons={persons}
+              match={match}
+              setMatch={setMatch}
+              fields={allFields}
+              fieldFilters={fieldFilters}
+              setFieldFilters={setFieldFilters}
+              onAddField={SITE ? null : handleAddField}
+              onUpdateField={SITE ? null : handleUpdateField}
+              onDeleteField={SITE ? null : handleDeleteField}
+              periods={periods}
+              applyPeriod={applyPeriod}
+              onAddPeriod={SITE ? null : handleAddPeriod}
+              onUpdatePeriod={SITE ? null : handleUpdatePeriod}
+              onDeletePeriod={SITE ? null : handleDeletePeriod}
+              registry={registry}
+              allItems={shownAll}
+              datasets={datasets}
+              disabledDatasets={disabledDatasets}
+              onToggleDataset={toggleDataset}
+              presets={presets}
+              onApplyPreset={applyPreset}
+              onSavePreset={SITE ? null : savePreset}
+              onDeletePreset={SITE ? null : (id) => setPresets((prev) => prev.filter((p) => p.id !== id))}
+              collections={collections}
+              activeCollection={activeCollection}
+              onOpenCollection={setCollectionId}
+              onCreateCollection={SITE ? null : createCollection}
+              onUpdateCollection={SITE ? null : updateCollection}
+              onDeleteCollection={SITE ? null : deleteCollection}
+              storageSettings={SITE ? null : stored.settings}
+              lastSaved={lastSaved}
+              onSwitchStorage={switchStorage}
+              onOpenProfile={(kind, id) => { setProfile({ kind, id }); setShowBibliography(false); }}
+              selectedId={selected?.id}
+              onSelect={handleSelect}
+            />
+          </section>
+        </main>
+
+        {columnImport && (
+          <ColumnMappingDialog
+            {...columnImport}
+            fields={allFields}
+            onCancel={() => setColumnImport(null)}
+            onApply={(rawItems) => {
+              setColumnImport(null);
+              setImportPreview(previewItems(rawItems, columnImport.fileName));
+            }}
           />
-        </section>
-
-        <section>
-          <RightRail
-            items={timelineList}
-            view={view}
-            setView={setView}
-            query={query}
-            setQuery={setQuery}
-            yearFrom={yearFrom}
-            setYearFrom={setYearFrom}
-            yearTo={yearTo}
-            setYearTo={setYearTo}
-            place={place}
-            setPlace={setPlace}
-            places={places}
-            event={event}
-            setEvent={setEvent}
-            events={events}
-            person={person}
-            setPerson={setPerson}
-            persons={persons}
-            selectedId={selected?.id}
-            onSelect={handleSelect}
+        )}
+
+        {importPreview && (
+          <ImportDialog
+            preview={importPreview}
+            current={items}
+            onCancel={() => setImportPreview(null)}
+            onApply={(mode, resolved) => {
+              setImportPreview(null);
+              applyImport(importPreview, mode, resolved).catch((err) => alert(t("app.importFailed", { message: errorText(err, t) })));
+            }}
           />
-        </section>
-      </main>
+        )}
 
-      <footer className="border-t bg-white/60 backdrop-blur">
-        <div className="w-full mx-auto px-4 py-3 text-xs text-gray-500 flex flex-wrap items-center gap-3">
-          <span>Add, edit, delete entries. Import/Export JSON to move data between devices. Images can be uploaded or linked.</span>
-        </div>
-      </footer>
-    </div>
+        {toast && (
+          <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-20 flex items-center gap-3 rounded-xl bg-gray-900 text-white shadow-lg px-4 py-2 text-sm">
+            <button onClick={toast.action === "undo" ? handleUndo : handleRedo} className="font-semibold hover:underline">
+              {t(toast.action === "undo" ? "app.undo" : "app.redo", { label: t(toast.label) })}
+            </button>
+            <button onClick={() => setToast(null)} className="opacity-70 hover:opacity-100" title={t("app.dismiss")}>
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        <footer className="border-t bg-white/60 backdrop-blur">
+          <div className="w-full mx-auto px-4 py-3 text-xs text-gray-500 flex flex-wrap items-center gap-3">
+            {SITE ? (
+              <span>
+                {t("app.readOnly")}
+                {SITE.exportedAt ? `, ${t("app.exportedOn", { date: new Date(SITE.exportedAt).toLocaleDateString(lang) })}` : ""}.
+              </span>
+            ) : (
+              <span>{t("app.footerHint")}</span>
+            )}
+          </div>
+        </footer>
+      </div>
+    </I18nContext.Provider>
   );
 }
@@ -0,0 +1,190 @@
+import React, { useMemo } from "react";
+import { ArrowLeft, BookOpen, Plus, Trash2 } from "lucide-react";
+import { foldKey } from "./Registry.jsx";
+import { formatYears } from "./dates.js";
+import { useI18n } from "./i18n.jsx";
+
+/* ---------------------- citations ----------------------
+   Each item holds `citations: [{ author, title, publisher, year, page,
+   url, archive }]` (all strings, any may be empty). Detail shows them as
+   numbered footnotes; the bibliography gathers every distinct source
+   (same author, title, publisher, year and URL — the page may differ)
+   with links back to the entries that cite it. */
+
+export const CITATION_FIELDS = ["author", "title", "publisher", "year", "page", "url", "archive"];
+
+export function coerceCitation(raw) {
+  const src = typeof raw === "string" ? { title: raw } : raw && typeof raw === "object" ? raw : {};
+  const out = {};
+  for (const f of CITATION_FIELDS) out[f] = String(src[f] ?? "").trim();
+  return out;
+}
+
+export function coerceCitations(list) {
+  return (Array.isArray(list) ? list : []).map(coerceCitation).filter((c) => CITATION_FIELDS.some((f) => c[f]));
+}
+
+/** Identity of the source itself, ignoring the cited page. */
+export function citationKey(c) {
+  return ["author", "title", "publisher", "year", "url"].map((f) => foldKey(c[f])).join("|");
+}
+
+/** Plain-text reference: "Author, Title. Publisher, Year, p. 12. Archive. URL" */
+export function formatCitation(c, { page = true, url = true } = {}) {
+  const head = [c.author, c.title].filter(Boolean).join(", ");
+  const pub = [c.publisher, c.year, page && c.page ? `p. ${c.page}` : ""].filter(Boolean).join(", ");
+  return [head, pub, c.archive, url && c.url].filter(Boolean).join(". ");
+}
+
+/** The same reference with the title in italics and the URL linked. */
+export function Citation({ c, page = true }) {
+  const pub = [c.publisher, c.year, page && c.page ? `p. ${c.page}` : ""].filter(Boolean).join(", ");
+  return (
+    <>
+      {c.author}
+      {c.author && c.title && ", "}
+      {c.title && <i>{c.title}</i>}
+      {pub && `${c.author || c.title ? ". " : ""}${pub}`}
+      {c.archive && `. ${c.archive}`}
+      {c.url && (
+        <>
+          {". "}
+          <a href={c.url} target="_blank" rel="noreferrer" className="underline break-all">
+            {c.url}
+          </a>
+        </>
+      )}
+    </>
+  );
+}
+
+/* ---------------------- editor ---------------------- */
+export function CitationsInput({ value, onChange }) {
+  const { t } = useI18n();
+  const update = (i, field, v) => onChange(value.map((c, j) => (j === i ? { ...c, [field]: v } : c)));
+
+  return (
+    <div className="space-y-2">
+      {value.map((c, i) => (
+        <div key={i} className="rounded-xl border p-2 grid grid-cols-2 md:grid-cols-4 gap-2">
+          {CITATION_FIELDS.map((f) => (
+            <input
+              key={f}
+              value={c[f]}
+              onChange={(e) => update(i, f, e.target.value)}
+              placeholder={t(`citations.${f}`)}
+              aria-label={t(`citations.${f}`)}
+              className={`rounded-lg border px-2 py-1 ${f === "title" || f === "url" ? "col-span-2" : ""}`}
+            />
+          ))}
+          <button
+            type="button"
+            onClick={() => onChange(value.filter((_, j) => j !== i))}
+            className="inline-flex items-center justify-center gap-1 rounded-lg border px-2 py-1 text-red-600 border-red-300 hover:bg-red-50"
+            title={t("citations.remove")}
+          >
+            <Trash2 className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...value, coerceCitation({})])}
+        className="inline-flex items-center gap-1 rounded-xl border px-3 py-1.5 hover:bg-gray-50"
+      >
+        <Plus className="w-4 h-4" /> {t("citations.add")}
+      </button>
+    </div>
+  );
+}
+
+/* ---------------------- footnotes ---------------------- */
+/** Superscript markers linking to the entry's footnotes. */
+export function FootnoteRefs({ citations }) {
+  if (!citations?.length) return null;
+  return (
+    <sup className="ml-0.5 text-xs">
+      {citations.map((_, i) => (
+        <React.Fragment key={i}>
+          {i > 0 && ","}
+          <a href={`#fn-${i + 1}`} onClick={(e) => { e.preventDefault(); document.getElementById(`fn-${i + 1}`)?.scrollIntoView({ behavior: "smooth" }); }} className="text-blue-700 hover:underline">
+            {i + 1}
+          </a>
+        </React.Fragment>
+      ))}
+    </sup>
+  );
+}
+
+export function Footnotes({ citations }) {
+  if (!citations?.length) return null;
+  return (
+    <ol className="mt-6 border-t pt-3 text-sm text-gray-700 space-y-1">
+      {citations.map((c, i) => (
+        <li key={i} id={`fn-${i + 1}`} className="flex gap-2">
+          <span className="text-gray-400 tabular-nums">{i + 1}.</span>
+          <span>
+            <Citation c={c} />
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/* ---------------------- bibliography ---------------------- */
+
+/** Every distinct source with the entries (and pages) citing it. */
+export function buildBibliography(items) {
+  const sources = new Map();
+  for (const it of items) {
+    for (const c of it.citations || []) {
+      const key = citationKey(c);
+      if (!sources.has(key)) sources.set(key, { key, citation: c, refs: [] });
+      sources.get(key).refs.push({ item: it, page: c.page });
+    }
+  }
+  const sortKey = (s) => foldKey(s.citation.author || s.citation.title || s.citation.url);
+  return Array.from(sources.values()).sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+}
+
+export function Bibliography({ items, onSelectEntry, onClose }) {
+  const { t } = useI18n();
+  const sources = useMemo(() => buildBibliography(items), [items]);
+
+  return (
+    <div className="p-6">
+      <div className="flex items-start justify-between gap-2">
+        <button onClick={onClose} className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50">
+          <ArrowLeft className="w-4 h-4" /> {t("registry.back")}
+        </button>
+      </div>
+      <h1 className="mt-4 text-2xl font-bold inline-flex items-center gap-2">
+        <BookOpen className="w-6 h-6" /> {t("citations.bibliography")}
+      </h1>
+      <div className="text-sm text-gray-500">
+        {t("citations.count", { n: sources.length })}
+      </div>
+
+      {sources.length === 0 && <p className="mt-6 text-gray-500">{t("citations.empty")}</p>}
+
+      <ul className="mt-4 space-y-3">
+        {sources.map((s) => (
+          <li key={s.key} className="text-sm">
+            <div className="pl-6 -indent-6">
+              <Citation c={s.citation} page={false} />
+            </div>
+            <div className="mt-1 pl-6 flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-500">
+              {t("citations.citedBy")}
+              {s.refs.map(({ item, page }, i) => (
+                <button key={`${item.id}-${i}`} onClick={() => onSelectEntry(item.id)} className="hover:underline hover:text-gray-900">
+                  {item.title} ({formatYears(item.date) || t("relations.undated")}){page ? `, p. ${page}` : ""}
+                </button>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+import React, { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { ArrowDown, ArrowUp, Bookmark, FolderOpen, Plus, Save, Trash2, X } from "lucide-react";
+import { formatYears } from "./dates.js";
+import { useI18n } from "./i18n.jsx";
+
+/* ---------------------- presets & collections ----------------------
+   A preset is a named snapshot of the filters:
+
+     { id, name, filters: { view, query, yearFrom, yearTo, place, event, person, match, fieldFilters } }
+
+   A collection is a hand-picked list of entries in the author's order
+   (a lesson plan, say): { id, name, itemIds }. While a collection is open
+   it replaces the filtered list. Ids of deleted entries are kept, so undo
+   puts an entry back in its place; they are skipped when listing. */
+
+export const PRESET_FILTERS = ["view", "query", "yearFrom", "yearTo", "place", "event", "person", "match", "fieldFilters"];
+
+const newId = (prefix, name) =>
+  `${prefix}-${String(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "") || prefix}-${Math.random().toString(36).slice(2, 6)}`;
+
+const strings = (list) => (Array.isArray(list) ? list.map(String).filter(Boolean) : []);
+
+export function coercePreset(raw) {
+  const name = String(raw?.name ?? "").trim() || "Preset";
+  const f = raw?.filters || {};
+  const filters = {};
+  for (const key of PRESET_FILTERS) {
+    if (f[key] === undefined) continue;
+    if (key === "place" || key === "event" || key === "person" || key === "fieldFilters") filters[key] = strings(f[key]);
+    else if (key === "yearFrom" || key === "yearTo") {
+      const n = parseInt(f[key], 10);
+      if (Number.isFinite(n)) filters[key] = n;
+    } else filters[key] = String(f[key]);
+  }
+  return { id: raw?.id ? String(raw.id) : newId("preset", name), name, filters };
+}
+
+export function coerceCollection(raw) {
+  const name = String(raw?.name ?? "").trim() || "Collection";
+  return {
+    id: raw?.id ? String(raw.id) : newId("collection", name),
+    name,
+    description: String(raw?.description ?? ""),
+    itemIds: Array.from(new Set(strings(raw?.itemIds))),
+  };
+}
+
+/** The collection's entries in its order, skipping ids that no longer exist. */
+export function collectionItems(collection, items) {
+  const byId = new Map(items.map((it) => [it.id, it]));
+  return collection.itemIds.map((id) => byId.get(id)).filter(Boolean);
+}
+
+/** Merge by id (imports); `replace` keeps only the incoming list. */
+export function mergeById(current, incoming, replace) {
+  if (replace) return incoming;
+  const map = new Map(current.map((x) => [x.id, x]));
+  for (const x of incoming) map.set(x.id, x);
+  return Array.from(map.values());
+}
+
+function NameForm({ placeholder, onSave, onCancel }) {
+  const { t } = useI18n();
+  const [name, setName] = useState("");
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (name.trim()) onSave(name.trim());
+      }}
+      className="mt-2 flex items-center gap-1"
+    >
+      <input
+        autoFocus
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder={placeholder}
+        className="flex-1 min-w-0 rounded-xl border px-2 py-1 text-sm"
+      />
+      <button type="submit" className="rounded-xl bg-gray-900 text-white px-2 py-1 text-sm hover:bg-black">{t("form.save")}</button>
+      <button type="button" onClick={onCancel} className="p-1 text-gray-500 hover:text-gray-900" title={t("form.cancel")}>
+        <X className="w-4 h-4" />
+      </button>
+    </form>
+  );
+}
+
+/* ---------------------- panel ----------------------
+   Without the on* editing handlers (exported site) it only lists. */
+export function CollectionsPanel({
+  presets, onApplyPreset, onSavePreset, onDeletePreset,
+  collections, items, activeId, selectedId, onOpen, onSelectEntry, onCreate, onUpdate, onDelete,
+}) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [adding, setAdding] = useState(null); // "preset" | "collection"
+
+  if (!onSavePreset && !presets.length && !collections.length) return null;
+
+  const move = (c, from, to) => {
+    const ids = [...c.itemIds];
+    const [id] = ids.splice(from, 1);
+    ids.splice(to, 0, id);
+    onUpdate({ ...c, itemIds: ids });
+  };
+
+  return (
+    <div className="mt-6">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between text-xs uppercase tracking-wide text-gray-400 mb-2"
+      >
+        <span className="inline-flex items-center gap-1">
+          <Bookmark className="w-3.5 h-3.5" /> {t("collections.title", { n: presets.length + collections.length })}
+        </span>
+        <span>{open ? t("collections.hide") : t("collections.show")}</span>
+      </button>
+
+      <AnimatePresence initial={false}>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className="overflow-hidden space-y-4"
+          >
+            <div>
+              <div className="text-xs text-gray-500 mb-1">{t("collections.presets")}</div>
+              <ul className="space-y-1">
+                {presets.map((p) => (
+                  <li key={p.id} className="flex items-center gap-2 rounded-xl px-2 py-1.5 hover:bg-gray-50">
+                    <button onClick={() => onApplyPreset(p)} className="flex-1 min-w-0 text-left text-sm truncate" title={t("collections.applyPreset")}>
+                      {p.name}
+                    </button>
+                    {onDeletePreset && (
+                      <button
+                        onClick={() => { if (confirm(t("collections.confirmDeletePreset", { name: p.name }))) onDeletePreset(p.id); }}
+                        className="p-1 text-red-500 hover:text-red-700"
+                        title={t("collections.deletePreset")}
+                      >
+                        <Trash2 className="w-3.5 h-3.5" />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {adding === "preset" ? (
+                <NameForm placeholder={t("collections.presetName")} onCancel={() => setAdding(null)} onSave={(name) => { onSavePreset(name); setAdding(null); }} />
+              ) : onSavePreset ? (
+                <button onClick={() => setAdding("preset")} className="mt-1 inline-flex items-center gap-1 rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50">
+                  <Save className="w-4 h-4" /> {t("collections.savePreset")}
+                </button>
+              ) : null}
+            </div>
+
+            <div>
+              <div className="text-xs text-gray-500 mb-1">{t("collections.collections")}</div>
+              <ul className="space-y-1">
+                {collections.map((c) => {
+                  const active = c.id === activeId;
+                  const entries = collectionItems(c, items);
+                  const existing = c.itemIds.filter((id) => entries.some((e) => e.id === id));
+                  return (
+                    <li key={c.id} className={`rounded-xl ${active ? "border" : ""}`}>
+                      <div className="flex items-center gap-2 px-2 py-1.5 rounded-xl hover:bg-gray-50">
+                        <FolderOpen className={`w-3.5 h-3.5 shrink-0 ${active ? "text-gray-900" : "text-gray-400"}`} />
+                        <button onClick={() => onOpen(active ? null : c.id)} className={`flex-1 min-w-0 text-left text-sm truncate ${active ? "font-semibold" : ""}`}>
+                          {c.name}
+                        </button>
+                        <span className="text-xs text-gray-500">{entries.length}</span>
+                        {onDelete && (
+                          <button
+                            onClick={() => { if (confirm(t("collections.confirmDelete", { name: c.name }))) onDelete(c.id); }}
+                            className="p-1 text-red-500 hover:text-red-700"
+                            title={t("collections.delete")}
+                          >
+                            <Trash2 className="w-3.5 h-3.5" />
+                          </button>
+                        )}
+                      </div>
+                      {active && (
+                        <div className="px-2 pb-2">
+                          <ol className="space-y-0.5">
+                            {entries.map((it, i) => (
+                              <li key={it.id} className={`flex items-center gap-1 rounded-lg px-1 text-xs ${it.id === selectedId ? "bg-gray-100" : ""}`}>
+                                <span className="w-4 text-gray-400 tabular-nums">{i + 1}.</span>
+                                <button onClick={() => onSelectEntry(it.id)} className="flex-1 min-w-0 text-left truncate hover:underline">
+                                  {it.title} <span className="text-gray-400">{formatYears(it.date)}</span>
+                                </button>
+                                {onUpdate && (
+                                  <>
+                                    <button
+                                      disabled={i === 0}
+                                      onClick={() => move(c, c.itemIds.indexOf(it.id), c.itemIds.indexOf(existing[i - 1]))}
+                                      className="p-0.5 text-gray-400 hover:text-gray-900 disabled:opacity-30"
+                                      title={t("collections.moveUp")}
+                                    >
+                                      <ArrowUp className="w-3 h-3" />
+                                    </button>
+                                    <button
+                                      disabled={i === entries.length - 1}
+                                      onClick={() => move(c, c.itemIds.indexOf(it.id), c.itemIds.indexOf(existing[i + 1]))}
+                                      className="p-0.5 text-gray-400 hover:text-gray-900 disabled:opacity-30"
+                                      title={t("collections.moveDown")}
+                                    >
+                                      <ArrowDown className="w-3 h-3" />
+                                    </button>
+                                    <button
+                                      onClick={() => onUpdate({ ...c, itemIds: c.itemIds.filter((id) => id !== it.id) })}
+                                      className="p-0.5 text-gray-400 hover:text-red-600"
+                                      title={t("collections.removeEntry")}
+                                    >
+                                      <X className="w-3 h-3" />
+                                    </button>
+                                  </>
+                                )}
+                              </li>
+                            ))}
+                          </ol>
+                          {!entries.length && <p className="text-xs text-gray-500">{t("collections.empty")}</p>}
+                          {onUpdate && selectedId && !c.itemIds.includes(selectedId) && (
+                            <button
+                              onClick={() => onUpdate({ ...c, itemIds: [...c.itemIds, selectedId] })}
+                              className="mt-1 inline-flex items-center gap-1 rounded-lg border px-2 py-1 text-xs hover:bg-gray-50"
+                            >
+                              <Plus className="w-3 h-3" /> {t("collections.addCurrent")}
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+              {adding === "collection" ? (
+                <NameForm placeholder={t("collections.collectionName")} onCancel={() => setAdding(null)} onSave={(name) => { onCreate(name); setAdding(null); }} />
+              ) : onCreate ? (
+                <button onClick={() => setAdding("collection")} className="mt-1 inline-flex items-center gap-1 rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50">
+                  <Plus className="w-4 h-4" /> {t("collections.new")}
+                </button>
+              ) : null}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
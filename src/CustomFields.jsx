@@ -0,0 +1,331 @@
+import React, { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { Plus, Pencil, Trash2, SlidersHorizontal } from "lucide-react";
+import { MultiSelect } from "./TagInput.jsx";
+import { foldKey } from "./Registry.jsx";
+import { translate, useI18n } from "./i18n.jsx";
+
+/* ---------------------- custom fields ----------------------
+   Extra fields a timeline defines for its entries ("casualties", "decree
+   number", "archive box"). The document keeps them in `fields`, and a
+   shipped dataset can bring its own:
+
+     { id, label, type, options }    type: text | number | date | enum | url
+
+   `options` are the choices of an enum field. Entries keep their values
+   by field id in `custom`: { casualties: 120, "archive-box": "B-14" } —
+   numbers as numbers, dates as "YYYY-MM-DD", everything else as text.
+
+   Filters are strings "<id>:<value>", repeated like the place filter:
+   text and URL fields match a substring, enum fields one of the chosen
+   options, number and date fields a "min..max" range (either end open). */
+
+export const FIELD_TYPE = { TEXT: "text", NUMBER: "number", DATE: "date", ENUM: "enum", URL: "url" };
+const TYPES = Object.values(FIELD_TYPE);
+
+const slug = (s) => foldKey(s).replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "");
+
+export function coerceFieldDef(raw) {
+  const label = String(raw?.label ?? raw?.id ?? "").trim() || translate("en", "fields.untitled");
+  const type = TYPES.includes(raw?.type) ? raw.type : FIELD_TYPE.TEXT;
+  const options = type === FIELD_TYPE.ENUM && Array.isArray(raw?.options) ? raw.options.map((o) => String(o).trim()).filter(Boolean) : [];
+  return { id: slug(raw?.id ?? "") || slug(label) || "field", label, type, options: Array.from(new Set(options)) };
+}
+
+/** The timeline's own fields, then shipped ones (marked with their dataset) whose id isn't taken. */
+export function mergeFieldDefs(own, datasets) {
+  const ids = new Set(own.map((f) => f.id));
+  const shipped = datasets.flatMap((d) => d.fields.filter((f) => !ids.has(f.id)).map((f) => ({ ...f, dataset: d.title })));
+  return [...own, ...shipped.filter((f, i) => shipped.findIndex((g) => g.id === f.id) === i)];
+}
+
+/** An entry's `custom`: finite numbers and non-empty text, by field id. */
+export function coerceCustomValues(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+  for (const [id, v] of Object.entries(raw)) {
+    if (typeof v === "number" && Number.isFinite(v)) out[id] = v;
+    else if (typeof v === "string" && v.trim()) out[id] = v.trim();
+  }
+  return out;
+}
+
+function isUrl(text) {
+  try {
+    return /^https?:$/.test(new URL(text).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/** The value to store for what was typed into the form: { value } or { error } (an i18n key). */
+export function parseFieldValue(def, text) {
+  const v = String(text ?? "").trim();
+  if (!v) return { value: undefined };
+  if (def.type === FIELD_TYPE.NUMBER) {
+    const n = Number(v);
+    return Number.isFinite(n) ? { value: n } : { error: "fields.errorNumber" };
+  }
+  if (def.type === FIELD_TYPE.DATE) {
+    // the round trip rejects days that don't exist ("1950-02-30")
+    const real = /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)) && new Date(v).toISOString().slice(0, 10) === v;
+    return real ? { value: v } : { error: "fields.errorDate" };
+  }
+  if (def.type === FIELD_TYPE.ENUM) return def.options.includes(v) ? { value: v } : { error: "fields.errorEnum" };
+  if (def.type === FIELD_TYPE.URL) return isUrl(v) ? { value: v } : { error: "fields.errorUrl" };
+  return { value: v };
+}
+
+export function formatFieldValue(def, value, lang) {
+  if (def.type === FIELD_TYPE.NUMBER && typeof value === "number") return value.toLocaleString(lang);
+  if (def.type === FIELD_TYPE.DATE && !Number.isNaN(Date.parse(value))) {
+    return new Date(value).toLocaleDateString(lang, { timeZone: "UTC", year: "numeric", month: "long", day: "numeric" });
+  }
+  return String(value);
+}
+
+/** The entry's custom values as a definition list (Detail); nothing when it has none. */
+export function CustomValues({ item, fields }) {
+  const { lang } = useI18n();
+  const shown = fields.filter((def) => item.custom?.[def.id] !== undefined);
+  if (!shown.length) return null;
+  return (
+    <dl className="mt-4 grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1 text-sm">
+      {shown.map((def) => {
+        const value = item.custom[def.id];
+        return (
+          <React.Fragment key={def.id}>
+            <dt className="text-gray-500">{def.label}</dt>
+            <dd className="text-gray-800 break-words">
+              {def.type === FIELD_TYPE.URL ? (
+                <a href={value} target="_blank" rel="noopener noreferrer" className="underline hover:text-gray-900">{value}</a>
+              ) : (
+                formatFieldValue(def, value, lang)
+              )}
+            </dd>
+          </React.Fragment>
+        );
+      })}
+    </dl>
+  );
+}
+
+/* ---------------------- filtering ---------------------- */
+
+function splitFilter(entry) {
+  const at = entry.indexOf(":");
+  return [entry.slice(0, at), entry.slice(at + 1)];
+}
+
+/** The filter values set for field `id`. */
+export function fieldFilterValues(filters, id) {
+  return filters.map(splitFilter).filter(([f]) => f === id).map(([, v]) => v);
+}
+
+/** `filters` with field `id`'s values replaced (empty ones dropped). */
+export function withFieldFilter(filters, id, values) {
+  const kept = filters.filter((entry) => splitFilter(entry)[0] !== id);
+  return [...kept, ...values.filter((v) => v && v !== "..").map((v) => `${id}:${v}`)];
+}
+
+function matchesOne(def, value, query) {
+  if (value === undefined) return false;
+  if (def.type === FIELD_TYPE.NUMBER || def.type === FIELD_TYPE.DATE) {
+    const [min = "", max = ""] = query.split("..");
+    if (def.type === FIELD_TYPE.NUMBER) return (min === "" || value >= Number(min)) && (max === "" || value <= Number(max));
+    // dates compare as text; a shorter upper bound ("1955") takes the whole year
+    return (min === "" || value >= min) && (max === "" || String(value).slice(0, max.length) <= max);
+  }
+  if (def.type === FIELD_TYPE.ENUM) return value === query;
+  return foldKey(value).includes(foldKey(query));
+}
+
+/** Every filtered field matches (any of its values); filters on unknown fields are ignored. */
+export function matchesFieldFilters(item, fields, filters) {
+  if (!filters.length) return true;
+  return fields.every((def) => {
+    const queries = fieldFilterValues(filters, def.id);
+    return !queries.length || queries.some((q) => matchesOne(def, item.custom?.[def.id], q));
+  });
+}
+
+/** One filter control per custom field, for the right rail. */
+export function FieldFilters({ fields, value, onChange }) {
+  const { t } = useI18n();
+  const set = (id, values) => onChange(withFieldFilter(value, id, values));
+
+  return fields.map((def) => {
+    const current = fieldFilterValues(value, def.id);
+    let control;
+    if (def.type === FIELD_TYPE.ENUM) {
+      control = <MultiSelect label={def.label} value={current} onChange={(v) => set(def.id, v)} options={def.options} />;
+    } else if (def.type === FIELD_TYPE.NUMBER || def.type === FIELD_TYPE.DATE) {
+      const [min = "", max = ""] = (current[0] || "").split("..");
+      const input = (v, other, isMin) => (
+        <input
+          type={def.type}
+          value={v}
+          onChange={(e) => set(def.id, [isMin ? `${e.target.value}..${other}` : `${other}..${e.target.value}`])}
+          aria-label={`${def.label} (${isMin ? t("filters.from") : t("filters.to")})`}
+          placeholder={isMin ? t("filters.from") : t("filters.to")}
+          className="min-w-0 rounded-xl border px-2 py-1.5"
+        />
+      );
+      control = <div className="grid grid-cols-2 gap-2">{input(min, max, true)}{input(max, min, false)}</div>;
+    } else {
+      control = (
+        <input
+          value={current[0] || ""}
+          onChange={(e) => set(def.id, [e.target.value])}
+          placeholder={t("fields.contains")}
+          className="w-full rounded-xl border px-3 py-2"
+        />
+      );
+    }
+    return (
+      <div key={def.id} className="flex flex-col gap-1 text-sm">
+        <span className="text-gray-500">{def.label}</span>
+        {control}
+      </div>
+    );
+  });
+}
+
+/* ---------------------- definitions panel ---------------------- */
+
+function FieldForm({ field, onSave, onCancel }) {
+  const { t } = useI18n();
+  const [label, setLabel] = useState(field?.label || "");
+  const [type, setType] = useState(field?.type || FIELD_TYPE.TEXT);
+  const [options, setOptions] = useState((field?.options || []).join("\n"));
+
+  function submit(e) {
+    e.preventDefault();
+    onSave({ ...field, label: label.trim(), type, options: options.split(/[\n,]/) });
+  }
+
+  return (
+    <form onSubmit={submit} className="grid grid-cols-1 gap-2 text-sm">
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-500">{t("fields.label")}</span>
+        <input value={label} onChange={(e) => setLabel(e.target.value)} required placeholder={t("fields.labelPlaceholder")} className="rounded-xl border px-3 py-2" />
+      </label>
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-500">{t("fields.type")}</span>
+        <select value={type} onChange={(e) => setType(e.target.value)} className="rounded-xl border px-3 py-2">
+          {TYPES.map((ty) => (<option key={ty} value={ty}>{t(`fields.type.${ty}`)}</option>))}
+        </select>
+      </label>
+      {type === FIELD_TYPE.ENUM && (
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-500">{t("fields.options")}</span>
+          <textarea value={options} onChange={(e) => setOptions(e.target.value)} required rows={3} className="rounded-xl border px-3 py-2" />
+        </label>
+      )}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="rounded-xl border px-3 py-1.5 hover:bg-gray-50">
+          {t("form.cancel")}
+        </button>
+        <button type="submit" className="rounded-xl bg-gray-900 text-white px-3 py-1.5 hover:bg-black">
+          {t("form.save")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * The timeline's custom fields. Fields from a shipped dataset are listed
+ * but edited in the dataset file. Without `onAdd` (read-only site) the
+ * panel isn't shown.
+ */
+export function FieldsPanel({ fields, onAdd, onUpdate, onDelete }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null); // "new" for the add form
+  if (!onAdd) return null;
+
+  function add(raw) {
+    const def = coerceFieldDef({ ...raw, label: String(raw.label ?? "").trim() || t("fields.untitled") });
+    // ids must stay unique: "notes", "notes-2", …
+    let id = def.id;
+    for (let n = 2; fields.some((f) => f.id === id); n++) id = `${def.id}-${n}`;
+    onAdd({ ...def, id });
+  }
+
+  return (
+    <div className="mt-6">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between text-xs uppercase tracking-wide text-gray-400 mb-2"
+      >
+        <span className="inline-flex items-center gap-1">
+          <SlidersHorizontal className="w-3.5 h-3.5" /> {t("fields.title", { n: fields.length })}
+        </span>
+        <span>{open ? t("collections.hide") : t("fields.edit")}</span>
+      </button>
+
+      <AnimatePresence initial={false}>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className="overflow-hidden"
+          >
+            <ul className="space-y-1">
+              {fields.map((f) =>
+                editingId === f.id ? (
+                  <li key={f.id} className="rounded-xl border p-3">
+                    <FieldForm
+                      field={f}
+                      onCancel={() => setEditingId(null)}
+                      onSave={(updated) => { onUpdate(coerceFieldDef({ ...updated, id: f.id })); setEditingId(null); }}
+                    />
+                  </li>
+                ) : (
+                  <li key={f.id} className="flex items-center gap-2 rounded-xl px-2 py-1.5 hover:bg-gray-50">
+                    <span className="flex-1 min-w-0 text-sm truncate">
+                      {f.label}
+                      <span className="ml-1 text-xs text-gray-500">{t(`fields.type.${f.type}`)}</span>
+                    </span>
+                    {f.dataset ? (
+                      <span className="text-xs text-gray-400 truncate" title={t("fields.fromDataset", { name: f.dataset })}>{f.dataset}</span>
+                    ) : (
+                      <>
+                        <button onClick={() => setEditingId(f.id)} className="p-1 text-gray-500 hover:text-gray-900" title={t("fields.editField")}>
+                          <Pencil className="w-3.5 h-3.5" />
+                        </button>
+                        <button
+                          onClick={() => { if (confirm(t("fields.confirmDelete", { name: f.label }))) onDelete(f.id); }}
+                          className="p-1 text-red-500 hover:text-red-700"
+                          title={t("fields.delete")}
+                        >
+                          <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                      </>
+                    )}
+                  </li>
+                )
+              )}
+            </ul>
+            {!fields.length && <p className="text-xs text-gray-500">{t("fields.empty")}</p>}
+
+            {editingId === "new" ? (
+              <div className="mt-2 rounded-xl border p-3">
+                <FieldForm field={null} onCancel={() => setEditingId(null)} onSave={(created) => { add(created); setEditingId(null); }} />
+              </div>
+            ) : (
+              <button
+                onClick={() => setEditingId("new")}
+                className="mt-2 inline-flex items-center gap-1 rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50"
+              >
+                <Plus className="w-4 h-4" /> {t("fields.add")}
+              </button>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { Database } from "lucide-react";
+import { coerceRegistry, findEntity, ENTITY } from "./Registry.jsx";
+import { migrate } from "./schema.js";
+import { coerceFieldDef } from "./CustomFields.jsx";
+import { useI18n } from "./i18n.jsx";
+
+/* ---------------------- shipped datasets ----------------------
+   JSON files in public/datasets/, listed in manifest.json:
+
+     { "datasets": [{ "id", "title", "description", "file" }] }
+
+   Each file is a document in the export shape ({ items, registry, fields },
+   see schema.js) and is migrated like an import. Shipped items are
+   the base; localStorage only keeps the user's overlay — items they added
+   or changed, plus the ids of shipped items they deleted — so an updated
+   dataset still reaches items nobody has touched. */
+
+export const MANIFEST_URL = `${import.meta.env.BASE_URL}datasets/manifest.json`;
+
+async function fetchJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url}: ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Load every dataset in the manifest. Items are returned raw (the caller
+ * runs them through coerceItem); a dataset that fails to load is skipped.
+ */
+export async function loadDatasets(coerce) {
+  const manifest = await fetchJson(MANIFEST_URL);
+  const entries = Array.isArray(manifest?.datasets) ? manifest.datasets : [];
+  const loaded = await Promise.all(
+    entries.map(async (d) => {
+      try {
+        const data = migrate(await fetchJson(new URL(d.file, new URL(MANIFEST_URL, window.location.href)).href));
+        return {
+          id: String(d.id),
+          title: String(d.title || d.id),
+          description: String(d.description || ""),
+          items: (Array.isArray(data?.items) ? data.items : []).map((it) => coerce(it)),
+          registry: coerceRegistry(data?.registry),
+          fields: (Array.isArray(data?.fields) ? data.fields : []).map(coerceFieldDef),
+        };
+      } catch {
+        return null;
+      }
+    })
+  );
+  return loaded.filter(Boolean);
+}
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/** Split the working list into what differs from the shipped base. */
+export function splitOverlay(base, items) {
+  const byId = new Map(base.map((it) => [it.id, it]));
+  const present = new Set(items.map((it) => it.id));
+  return {
+    overlay: items.filter((it) => !byId.has(it.id) || !same(byId.get(it.id), it)),
+    deleted: base.filter((it) => !present.has(it.id)).map((it) => it.id),
+  };
+}
+
+/** Shipped items with the overlay applied; overlay-only items come last. */
+export function applyOverlay(base, overlay, deleted) {
+  const local = new Map(overlay.map((it) => [it.id, it]));
+  const gone = new Set(deleted);
+  const baseIds = new Set(base.map((it) => it.id));
+  return [
+    ...base.filter((it) => !gone.has(it.id)).map((it) => local.get(it.id) || it),
+    ...overlay.filter((it) => !baseIds.has(it.id)),
+  ];
+}
+
+/** Add shipped people/places the local registry doesn't know yet (by name or alias). */
+export function addShippedEntities(registry, shipped) {
+  let next = registry;
+  for (const [kind, key] of [[ENTITY.PERSON, "people"], [ENTITY.PLACE, "places"]]) {
+    const missing = shipped[key].filter((r) => !findEntity(next, kind, r.name));
+    if (missing.length) next = { ...next, [key]: [...next[key], ...missing] };
+  }
+  return next;
+}
+
+/* ---------------------- panel ---------------------- */
+export function DatasetsPanel({ datasets, disabled, onToggle }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  if (!datasets.length) return null;
+
+  return (
+    <div className="mt-6">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between text-xs uppercase tracking-wide text-gray-400 mb-2"
+      >
+        <span className="inline-flex items-center gap-1"><Database className="w-3.5 h-3.5" /> {t("datasets.title", { n: datasets.length })}</span>
+        <span>{t(open ? "collections.hide" : "collections.show")}</span>
+      </button>
+
+      <AnimatePresence initial={false}>
+        {open && (
+          <motion.ul
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className="overflow-hidden space-y-1"
+          >
+            {datasets.map((d) => (
+              <li key={d.id}>
+                <label className="flex items-center gap-2 rounded-xl px-2 py-1.5 hover:bg-gray-50 text-sm" title={d.description}>
+                  <input type="checkbox" checked={!disabled.includes(d.id)} onChange={() => onToggle(d.id)} />
+                  <span className="flex-1 truncate">{d.title}</span>
+                  <span className="text-xs text-gray-500">{d.items.length}</span>
+                </label>
+              </li>
+            ))}
+            <li className="px-2 pt-1 text-xs text-gray-400">{t("datasets.hint")}</li>
+          </motion.ul>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useRef, useState } from "react";
+import { PRECISION, datePrecision, withPrecision, isInverted } from "./dates.js";
+import { useI18n } from "./i18n.jsx";
+
+/* ---------------------- date input ----------------------
+   Edits a fuzzy date: precision, optional end (range) and circa flag.
+   `rangeOnly` always shows the end and hides the circa/range toggles.
+   An end before the start is flagged and blocks the form's submit. */
+
+export default function DateInput({ value, onChange, rangeOnly = false, required = true }) {
+  const { t } = useI18n();
+  // a filled-in date decides; while both ends are empty the user's choice holds
+  const [chosen, setChosen] = useState(() => datePrecision(value.start) || datePrecision(value.end) || PRECISION.DAY);
+  const precision = datePrecision(value.start) || datePrecision(value.end) || chosen;
+  const isRange = rangeOnly || value.end !== "";
+  const inverted = isRange && isInverted(value);
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current?.setCustomValidity(inverted ? t("date.inverted") : "");
+  }, [inverted, t]);
+
+  function setPrecision(p) {
+    setChosen(p);
+    onChange({
+      ...value,
+      start: withPrecision(value.start, p),
+      end: withPrecision(value.end, p),
+    });
+  }
+
+  function partInput(part, setPart, label, ref) {
+    const common = {
+      ref,
+      required,
+      "aria-label": label,
+      className: "rounded-xl border px-3 py-2",
+    };
+    if (precision === PRECISION.YEAR) {
+      return (
+        <input
+          {...common}
+          type="number" min={1} max={9999} placeholder={t("date.yearPlaceholder")}
+          value={part ? parseInt(part, 10) : ""}
+          onChange={(e) => setPart(e.target.value ? String(e.target.value).padStart(4, "0") : "")}
+          className={`${common.className} w-28`}
+        />
+      );
+    }
+    return (
+      <input
+        {...common}
+        type={precision === PRECISION.MONTH ? "month" : "date"}
+        value={part}
+        onChange={(e) => setPart(e.target.value)}
+      />
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={precision}
+        onChange={(e) => setPrecision(e.target.value)}
+        className="rounded-xl border px-2 py-2"
+        aria-label={t("date.precision")}
+      >
+        <option value={PRECISION.YEAR}>{t("date.year")}</option>
+        <option value={PRECISION.MONTH}>{t("date.month")}</option>
+        <option value={PRECISION.DAY}>{t("date.day")}</option>
+      </select>
+      {partInput(value.start, (start) => onChange({ ...value, start }), t(isRange ? "date.start" : "field.date"))}
+      {isRange && (
+        <>
+          <span className="text-gray-400">–</span>
+          {partInput(value.end, (end) => onChange({ ...value, end }), t("date.end"), endRef)}
+        </>
+      )}
+      {inverted && <span className="w-full text-xs text-red-600">{t("date.inverted")}</span>}
+      {!rangeOnly && (
+        <>
+          <label className="inline-flex items-center gap-1 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={value.circa}
+              onChange={(e) => onChange({ ...value, circa: e.target.checked })}
+            />
+            {t("date.circa")}
+          </label>
+          <label className="inline-flex items-center gap-1 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={isRange}
+              onChange={(e) => onChange({ ...value, end: e.target.checked ? value.start : "" })}
+            />
+            {t("date.range")}
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
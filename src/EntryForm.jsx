@@ -0,0 +1,326 @@
+import React, { useState } from "react";
+import DateInput from "./DateInput.jsx";
+import TagInput from "./TagInput.jsx";
+import { CitationsInput, coerceCitations } from "./Citations.jsx";
+import { parseDate } from "./dates.js";
+import { putMediaBlob, mediaErrorMessage } from "./mediaStore.js";
+import { LANGS, LANG_NAMES, useI18n, coerceTranslations } from "./i18n.jsx";
+import { FIELD_TYPE, parseFieldValue } from "./CustomFields.jsx";
+
+/* ---------------------- entry form ----------------------
+   The one form behind "Add entry" and "Edit". ENTRY_FIELDS lists the
+   built-in fields in form order; the timeline's custom fields (see
+   CustomFields.jsx) come after them. A field reads its form value from the
+   entry (`init`), checks it (`validate`, an i18n key or "") and writes it
+   back (`apply`). Title and description edit every language at once, so
+   both work on the shared `texts` value. */
+
+/** Title and description per language, as the form edits them. */
+function textsOf(item) {
+  const out = Object.fromEntries(LANGS.map((l) => [l, { title: "", description: "" }]));
+  if (item) {
+    out[item.lang] = { title: item.title, description: item.description };
+    for (const [l, tr] of Object.entries(item.translations || {})) out[l] = { ...tr };
+  }
+  return out;
+}
+
+/** The item fields for `texts`, written originally in `lang`. */
+function fromTexts(texts, lang) {
+  const { title, description } = texts[lang];
+  return { lang, title: title.trim(), description, translations: coerceTranslations(texts, lang) };
+}
+
+const isUpload = (m) => !!m.ref || String(m.url || "").startsWith("data:");
+
+/**
+ * The form edits an entry's first image and first video; its other media
+ * (imports can bring several) go back unchanged, and so do the captions
+ * of the ones it edits while they stay the same.
+ */
+function mediaOf(item) {
+  const media = item?.media || [];
+  const image = media.find((m) => m.type === "image") || null;
+  const video = media.find((m) => m.type === "video") || null;
+  return {
+    existingImage: image,
+    keepImage: !!image,
+    imageUrl: image && !isUpload(image) ? image.url : "",
+    imageFile: null, // new upload, stored on save
+    existingVideo: video,
+    videoUrl: video?.url || "",
+    others: media.filter((m) => m !== image && m !== video),
+  };
+}
+
+async function mediaFrom(value) {
+  const { existingImage, existingVideo } = value;
+  const media = [];
+  if (value.imageFile) media.push({ type: "image", ref: await putMediaBlob(value.imageFile) });
+  else if (value.imageUrl) media.push(value.imageUrl === existingImage?.url ? existingImage : { type: "image", url: value.imageUrl });
+  else if (value.keepImage && existingImage) media.push(existingImage);
+  if (value.videoUrl) media.push(value.videoUrl === existingVideo?.url ? existingVideo : { type: "video", url: value.videoUrl });
+  return [...media, ...value.others];
+}
+
+const listField = (key, label, extra) => ({
+  key,
+  kind: "tags",
+  label,
+  init: (item) => item?.[key] || [],
+  apply: (value) => ({ [key]: value }),
+  ...extra,
+});
+
+export const ENTRY_FIELDS = [
+  {
+    key: "title",
+    kind: "texts",
+    value: "texts",
+    init: textsOf,
+    validate: (texts, primary) => (texts[primary].title.trim() ? "" : "form.errorTitle"),
+    apply: fromTexts,
+  },
+  {
+    key: "date",
+    kind: "date",
+    label: "form.date",
+    wide: true,
+    init: (item) => parseDate(item ? item.date : "1900-01-01"),
+    validate: (date) => (date.start ? "" : "form.errorDate"),
+    apply: (date) => ({ date }),
+  },
+  listField("place", "form.places", { validate: (v) => (v.length ? "" : "form.errorRequired") }),
+  listField("event", "form.events", { validate: (v) => (v.length ? "" : "form.errorRequired") }),
+  listField("person", "form.people", { placeholder: "form.peoplePlaceholder" }),
+  { key: "description", kind: "texts", value: "texts" },
+  {
+    key: "citations",
+    kind: "citations",
+    label: "form.sources",
+    wide: true,
+    init: (item) => item?.citations || [],
+    apply: (citations) => ({ citations: coerceCitations(citations) }),
+  },
+  { key: "media", kind: "media", init: mediaOf, apply: async (value) => ({ media: await mediaFrom(value) }) },
+];
+
+const valueKey = (f) => f.value || f.key;
+
+function initialValues(item, fields) {
+  const values = {};
+  for (const f of ENTRY_FIELDS) if (f.init) values[valueKey(f)] = f.init(item);
+  values.custom = Object.fromEntries(fields.map((def) => [def.id, item?.custom?.[def.id] ?? ""]));
+  return values;
+}
+
+/** Problems with the form's values: { [value key or "custom.<id>"]: i18n key }. */
+export function validateEntry(values, fields, primary) {
+  const errors = {};
+  for (const f of ENTRY_FIELDS) {
+    const error = f.validate?.(values[valueKey(f)], primary);
+    if (error) errors[valueKey(f)] = error;
+  }
+  for (const def of fields) {
+    const { error } = parseFieldValue(def, values.custom[def.id]);
+    if (error) errors[`custom.${def.id}`] = error;
+  }
+  return errors;
+}
+
+/** `item` (null for a new entry) with the form's values written in. */
+async function entryFrom(item, values, fields, primary) {
+  const entry = { ...item };
+  for (const f of ENTRY_FIELDS) if (f.apply) Object.assign(entry, await f.apply(values[valueKey(f)], primary));
+  // values of fields not defined right now (a dataset switched off) are kept
+  const custom = { ...item?.custom };
+  for (const def of fields) {
+    const { value } = parseFieldValue(def, values.custom[def.id]);
+    if (value === undefined) delete custom[def.id];
+    else custom[def.id] = value;
+  }
+  entry.custom = custom;
+  if (!entry.id) entry.id = `${entry.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "")}-${Date.now()}`;
+  return entry;
+}
+
+/* ---------------------- inputs ---------------------- */
+
+/** One input per language for `field` ("title" or "description"), the original first. */
+function BilingualField({ field, texts, onChange, primary }) {
+  const { t } = useI18n();
+  return [primary, ...LANGS.filter((l) => l !== primary)].map((l) => {
+    const set = (v) => onChange({ ...texts, [l]: { ...texts[l], [field]: v } });
+    const label = `${t(`form.${field}`)} · ${LANG_NAMES[l]} (${l === primary ? t("form.original") : t("form.translation")})`;
+    return field === "title" ? (
+      <label key={l} className="flex flex-col gap-1">
+        <span className="text-gray-500">{label}</span>
+        <input lang={l} value={texts[l].title} onChange={(e) => set(e.target.value)} required={l === primary} className="rounded-xl border px-3 py-2" />
+      </label>
+    ) : (
+      <label key={l} className="flex flex-col gap-1 md:col-span-2">
+        <span className="text-gray-500">{label}</span>
+        <textarea lang={l} value={texts[l].description} onChange={(e) => set(e.target.value)} rows={l === primary ? 4 : 3} className="rounded-xl border px-3 py-2" />
+      </label>
+    );
+  });
+}
+
+/** Image (URL, upload, or the current one) and video URL. */
+function MediaFields({ value, onChange, error }) {
+  const { t } = useI18n();
+  const set = (patch) => onChange({ ...value, ...patch });
+  const { existingImage, keepImage, imageUrl, imageFile, videoUrl, others } = value;
+
+  return (
+    <>
+      {/* Image by URL */}
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-500">{t("form.imageUrlOptional")}</span>
+        <input value={imageUrl} onChange={(e) => set({ imageUrl: e.target.value, keepImage: false })} className="rounded-xl border px-3 py-2" placeholder="https://…" />
+        {existingImage ? (
+          <label className="mt-1 inline-flex items-center gap-2 text-xs text-gray-600">
+            <input type="checkbox" checked={keepImage && !imageFile && !imageUrl} onChange={(e) => set({ keepImage: e.target.checked })} />
+            {t("form.keepImage")}
+          </label>
+        ) : (
+          <span className="text-xs text-gray-400 mt-1">{t("form.orUpload")}</span>
+        )}
+      </label>
+
+      {/* Image by upload */}
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-500">{t("form.uploadImageOptional")}</span>
+        <input
+          type="file"
+          accept="image/*"
+          onChange={(e) => e.target.files?.[0] && set({ imageFile: e.target.files[0], keepImage: false })}
+          className="rounded-xl border px-3 py-2"
+        />
+        {!error && (imageFile || (keepImage && existingImage)) && <span className="text-xs text-gray-500">{t("form.imageWillSave")}</span>}
+        {error && <span className="text-xs text-red-600">{error}</span>}
+      </label>
+
+      {/* Video (URL) */}
+      <label className="flex flex-col gap-1 md:col-span-2">
+        <span className="text-gray-500">{t("form.videoUrlOptional")}</span>
+        <input value={videoUrl} onChange={(e) => set({ videoUrl: e.target.value })} className="rounded-xl border px-3 py-2" placeholder="YouTube/Vimeo/MP4" />
+      </label>
+      {others.length > 0 && <p className="md:col-span-2 text-xs text-gray-500">{t("form.moreMedia", { n: others.length })}</p>}
+    </>
+  );
+}
+
+const INPUT_TYPE = { [FIELD_TYPE.NUMBER]: "number", [FIELD_TYPE.DATE]: "date", [FIELD_TYPE.URL]: "url" };
+
+function CustomFieldInput({ def, value, onChange }) {
+  const { t } = useI18n();
+  if (def.type === FIELD_TYPE.ENUM) {
+    return (
+      <select value={value} onChange={(e) => onChange(e.target.value)} className="rounded-xl border px-3 py-2">
+        <option value="">{t("fields.none")}</option>
+        {def.options.map((o) => (<option key={o} value={o}>{o}</option>))}
+      </select>
+    );
+  }
+  return (
+    <input
+      type={INPUT_TYPE[def.type] || "text"}
+      step={def.type === FIELD_TYPE.NUMBER ? "any" : undefined}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={def.type === FIELD_TYPE.URL ? "https://…" : undefined}
+      className="rounded-xl border px-3 py-2"
+    />
+  );
+}
+
+/* ---------------------- form ---------------------- */
+
+/**
+ * The entry form. `onSubmit(entry, submitter)` gets the entry with the
+ * form's values (a new one for `item` null) and the `value` of the submit
+ * button used. `children` go at the end: extra inputs and the buttons.
+ */
+export default function EntryForm({ item, fields = [], suggestions, onSubmit, children }) {
+  const { lang, t } = useI18n();
+  const primary = item ? item.lang : lang; // new entries are written in the UI language
+  const [values, setValues] = useState(() => initialValues(item, fields));
+  const [errors, setErrors] = useState({});
+
+  const set = (key, value) => {
+    setValues((prev) => ({ ...prev, [key]: value }));
+    setErrors((prev) => ({ ...prev, [key]: undefined }));
+  };
+  const setCustom = (id, value) => {
+    setValues((prev) => ({ ...prev, custom: { ...prev.custom, [id]: value } }));
+    setErrors((prev) => ({ ...prev, [`custom.${id}`]: undefined }));
+  };
+  const errorText = (key) => errors[key] && <span className="text-xs text-red-600">{errors[key]}</span>;
+
+  async function submit(e) {
+    e.preventDefault();
+    const submitter = e.nativeEvent.submitter?.value;
+    const found = validateEntry(values, fields, primary);
+    if (Object.keys(found).length) {
+      setErrors(Object.fromEntries(Object.entries(found).map(([k, key]) => [k, t(key)])));
+      return;
+    }
+    let entry;
+    try {
+      entry = await entryFrom(item, values, fields, primary);
+    } catch (err) {
+      setErrors({ media: mediaErrorMessage(err, t) });
+      return;
+    }
+    onSubmit(entry, submitter);
+  }
+
+  function renderField(f) {
+    const value = values[valueKey(f)];
+    if (f.kind === "texts") {
+      return (
+        <React.Fragment key={f.key}>
+          <BilingualField field={f.key} texts={value} onChange={(v) => set("texts", v)} primary={primary} />
+          {f.validate && errors.texts && <div className="md:col-span-2">{errorText("texts")}</div>}
+        </React.Fragment>
+      );
+    }
+    if (f.kind === "media") return <MediaFields key={f.key} value={value} onChange={(v) => set("media", v)} error={errors.media} />;
+    let input;
+    if (f.kind === "date") input = <DateInput value={value} onChange={(v) => set(f.key, v)} />;
+    else if (f.kind === "citations") input = <CitationsInput value={value} onChange={(v) => set(f.key, v)} />;
+    else {
+      input = (
+        <TagInput
+          value={value}
+          onChange={(v) => set(f.key, v)}
+          suggestions={suggestions?.[f.key]}
+          placeholder={f.placeholder && t(f.placeholder)}
+          required={!!f.validate}
+        />
+      );
+    }
+    return (
+      <div key={f.key} className={`flex flex-col gap-1 ${f.wide ? "md:col-span-2" : ""}`}>
+        <span className="text-gray-500">{t(f.label)}</span>
+        {input}
+        {errorText(f.key)}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={submit} className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+      {ENTRY_FIELDS.map(renderField)}
+      {fields.map((def) => (
+        <label key={def.id} className="flex flex-col gap-1">
+          <span className="text-gray-500">{def.label}</span>
+          <CustomFieldInput def={def} value={String(values.custom[def.id] ?? "")} onChange={(v) => setCustom(def.id, v)} />
+          {errorText(`custom.${def.id}`)}
+        </label>
+      ))}
+      {children}
+    </form>
+  );
+}
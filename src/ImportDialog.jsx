@@ -0,0 +1,408 @@
+import React, { useMemo, useState } from "react";
+import { AlertTriangle, X } from "lucide-react";
+import { stringifyDate, formatYears } from "./dates.js";
+import { formatCitation } from "./Citations.jsx";
+import { LANGS, useI18n } from "./i18n.jsx";
+import { customColumn, guessMapping, rowsToItems } from "./csv.js";
+import { SCHEMA_VERSION } from "./schema.js";
+
+/* ---------------------- import preview ----------------------
+   Compares a file's items with the current ones before anything is
+   applied. Items are matched by id; for each changed item the user keeps
+   their version, takes the file's, or keeps both (the file's copy gets a
+   fresh id). */
+
+export const CHOICE = { MINE: "mine", THEIRS: "theirs", BOTH: "both" };
+
+const isUpload = (m) => !!m.ref || String(m.url || "").startsWith("data:");
+
+// uploaded images are a ref here and embedded data in an export, so they
+// compare by type and caption only
+function mediaKey(m) {
+  const src = isUpload(m) ? "upload" : m.url;
+  return `${m.type}|${m.caption || ""}|${src}`;
+}
+
+function comparable(field, value) {
+  if (field === "date") return stringifyDate(value);
+  if (field === "media") return (value || []).map(mediaKey).join("\n");
+  return JSON.stringify(value ?? "");
+}
+
+/** A field value as short text, for diffs; `t` names uploaded images. */
+export function displayField(field, value, t) {
+  if (field === "date") return stringifyDate(value) || "—";
+  if (field === "media") {
+    const list = value || [];
+    return list.length ? list.map((m) => m.caption || (isUpload(m) ? t("import.uploadedImage") : m.url)).join(", ") : "—";
+  }
+  if (field === "translations") return Object.entries(value || {}).map(([l, tr]) => `${l}: ${tr.title}`).join("; ") || "—";
+  if (field === "relations") return (value || []).map((r) => `${r.type} → ${r.target}`).join(", ") || "—";
+  if (field === "custom") return Object.entries(value || {}).map(([id, v]) => `${id}: ${v}`).join("; ") || "—";
+  if (field === "reviewNotes") return (value || []).map((n) => n.text).join("; ") || "—";
+  if (field === "citations") return (value || []).map((c) => formatCitation(c)).join("; ") || "—";
+  if (Array.isArray(value)) return value.join(", ") || "—";
+  if (value && typeof value === "object") return JSON.stringify(value);
+  return String(value ?? "") || "—";
+}
+
+/** Content fields that differ; bookkeeping (id, timestamps, history) is ignored. */
+export function changedFields(mine, theirs) {
+  const keys = new Set([...Object.keys(mine), ...Object.keys(theirs)]);
+  keys.delete("id");
+  keys.delete("updatedAt");
+  keys.delete("revisions");
+  return [...keys].filter((k) => comparable(k, mine[k]) !== comparable(k, theirs[k]));
+}
+
+/** Sort `incoming` against `current` into added / changed / unchanged / removed. */
+export function diffItems(current, incoming) {
+  const mine = new Map(current.map((i) => [i.id, i]));
+  const seen = new Set();
+  const out = { added: [], changed: [], unchanged: [], removed: [] };
+  for (const theirs of incoming) {
+    seen.add(theirs.id);
+    const m = mine.get(theirs.id);
+    if (!m) out.added.push(theirs);
+    else {
+      const fields = changedFields(m, theirs);
+      if (fields.length) out.changed.push({ mine: m, theirs, fields });
+      else out.unchanged.push(m);
+    }
+  }
+  out.removed = current.filter((i) => !seen.has(i.id));
+  return out;
+}
+
+function copyOf(item) {
+  return { ...item, id: `${item.id}-import-${Math.random().toString(36).slice(2, 6)}` };
+}
+
+/**
+ * The item list an import produces. "merge" keeps items missing from the
+ * file, "replace" drops them; changed items follow `choices[id]`
+ * (default: take theirs).
+ */
+export function resolveImport(current, diff, mode, choices) {
+  const changed = new Map(diff.changed.map((c) => [c.mine.id, c]));
+  const removed = new Set(mode === "replace" ? diff.removed.map((i) => i.id) : []);
+  const pick = (c) => {
+    const choice = choices[c.mine.id] || CHOICE.THEIRS;
+    if (choice === CHOICE.MINE) return [c.mine];
+    if (choice === CHOICE.BOTH) return [c.mine, copyOf(c.theirs)];
+    return [c.theirs];
+  };
+  return current
+    .filter((i) => !removed.has(i.id))
+    .flatMap((i) => (changed.has(i.id) ? pick(changed.get(i.id)) : [i]))
+    .concat(diff.added);
+}
+
+function ItemList({ items }) {
+  const { t } = useI18n();
+  return (
+    <ul className="mt-1 space-y-0.5 text-sm">
+      {items.map((it) => (
+        <li key={it.id} className="flex items-center justify-between gap-2 px-2">
+          <span className="truncate">{it.title || <em className="text-gray-400">{t("import.untitled")}</em>}</span>
+          <span className="text-xs text-gray-500 whitespace-nowrap">{formatYears(it.date)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function Section({ title, items, tone = "text-gray-700" }) {
+  if (!items.length) return null;
+  return (
+    <details className="rounded-xl border px-3 py-2">
+      <summary className={`cursor-pointer text-sm font-medium ${tone}`}>
+        {title} ({items.length})
+      </summary>
+      <ItemList items={items} />
+    </details>
+  );
+}
+
+/**
+ * @param preview { fileName, items, periods, registry, presets, collections, fields, warnings, source? }
+ *                source: { schemaVersion, appVersion, exportedAt } of a native file
+ * @param current the app's items
+ * @param onApply called with (mode, resulting items)
+ */
+export default function ImportDialog({ preview, current, onApply, onCancel }) {
+  const { lang, t } = useI18n();
+  const [mode, setMode] = useState("merge");
+  const [choices, setChoices] = useState({});
+  const diff = useMemo(() => diffItems(current, preview.items), [current, preview.items]);
+
+  const setAll = (choice) => setChoices(Object.fromEntries(diff.changed.map((c) => [c.mine.id, choice])));
+  const extras = [
+    preview.periods ? t("import.periods", { n: preview.periods.length }) : "",
+    preview.registry.people.length ? t("import.people", { n: preview.registry.people.length }) : "",
+    preview.registry.places.length ? t("import.places", { n: preview.registry.places.length }) : "",
+    preview.presets?.length ? t("import.presets", { n: preview.presets.length }) : "",
+    preview.collections?.length ? t("import.collections", { n: preview.collections.length }) : "",
+    preview.fields?.length ? t("import.fields", { n: preview.fields.length }) : "",
+  ].filter(Boolean);
+  const { source } = preview;
+
+  return (
+    <div className="fixed inset-0 z-30 bg-black/40 flex items-center justify-center p-4" onClick={onCancel}>
+      <div
+        role="dialog"
+        aria-label={t("import.preview")}
+        className="w-full max-w-3xl max-h-[90vh] flex flex-col rounded-2xl bg-white shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-2 border-b px-5 py-3">
+          <div>
+            <h2 className="text-lg font-semibold">{t("import.title", { file: preview.fileName })}</h2>
+            <div className="text-xs text-gray-500">
+              {t("import.summary", { added: diff.added.length, changed: diff.changed.length, unchanged: diff.unchanged.length, removed: diff.removed.length })}
+              {extras.length ? ` · ${t("import.also", { list: extras.join(", ") })}` : ""}
+            </div>
+            {source && (
+              <div className="text-xs text-gray-500">
+                {source.appVersion ? t("import.exportedBy", { version: source.appVersion }) : t("import.exportedByOlder")}
+                {source.exportedAt ? ` ${t("import.exportedOn", { date: new Date(source.exportedAt).toLocaleString(lang) })}` : ""}
+                {source.schemaVersion < SCHEMA_VERSION ? ` · ${t("import.upgraded", { from: source.schemaVersion, to: SCHEMA_VERSION })}` : ""}
+              </div>
+            )}
+          </div>
+          <button onClick={onCancel} className="rounded-xl border p-2 hover:bg-gray-50" title={t("form.cancel")}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-5 py-4 space-y-3">
+          <div className="flex flex-wrap gap-4 text-sm">
+            <label className="inline-flex items-center gap-2">
+              <input type="radio" checked={mode === "merge"} onChange={() => setMode("merge")} />
+              {t("import.merge")}
+            </label>
+            <label className="inline-flex items-center gap-2">
+              <input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} />
+              {t("import.replace")}
+            </label>
+          </div>
+
+          {preview.warnings.length > 0 && (
+            <details className="rounded-xl border border-amber-300 bg-amber-50 px-3 py-2" open>
+              <summary className="cursor-pointer text-sm font-medium text-amber-800 inline-flex items-center gap-1">
+                <AlertTriangle className="w-4 h-4" /> {t("import.warnings", { n: preview.warnings.length })}
+              </summary>
+              <ul className="mt-1 space-y-0.5 text-sm text-amber-900">
+                {preview.warnings.map((w, i) => (
+                  <li key={i}>
+                    <span className="font-medium">{w.label}</span>: {t(w.message, w.vars)}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          {diff.changed.length > 0 && (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <h3 className="text-sm font-semibold">{t("import.changed", { n: diff.changed.length })}</h3>
+                <div className="text-xs text-gray-500 flex items-center gap-2">
+                  {t("import.all")}
+                  <button onClick={() => setAll(CHOICE.MINE)} className="hover:underline">{t("import.allMine")}</button>
+                  <button onClick={() => setAll(CHOICE.THEIRS)} className="hover:underline">{t("import.allTheirs")}</button>
+                  <button onClick={() => setAll(CHOICE.BOTH)} className="hover:underline">{t("import.allBoth")}</button>
+                </div>
+              </div>
+              {diff.changed.map(({ mine, theirs, fields }) => {
+                const choice = choices[mine.id] || CHOICE.THEIRS;
+                return (
+                  <div key={mine.id} className="rounded-xl border p-3">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <div className="font-medium truncate">{mine.title || theirs.title}</div>
+                      <div className="inline-flex rounded-xl border overflow-hidden text-xs">
+                        {[
+                          [CHOICE.MINE, t("import.keepMine")],
+                          [CHOICE.THEIRS, t("import.takeTheirs")],
+                          [CHOICE.BOTH, t("import.keepBoth")],
+                        ].map(([value, label]) => (
+                          <button
+                            key={value}
+                            onClick={() => setChoices((prev) => ({ ...prev, [mine.id]: value }))}
+                            className={`px-3 py-1.5 ${choice === value ? "bg-gray-900 text-white" : "hover:bg-gray-100"}`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <table className="mt-2 w-full text-sm table-fixed">
+                      <thead>
+                        <tr className="text-xs text-gray-500 text-left">
+                          <th className="w-28 font-normal">{t("import.field")}</th>
+                          <th className="font-normal">{t("import.mine")}</th>
+                          <th className="font-normal">{t("import.theirs")}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {fields.map((f) => (
+                          <tr key={f} className="align-top border-t">
+                            <td className="py-1 text-gray-500">{t(`field.${f}`)}</td>
+                            <td className={`py-1 pr-2 break-words ${choice === CHOICE.THEIRS ? "line-through text-gray-400" : ""}`}>
+                              {displayField(f, mine[f], t)}
+                            </td>
+                            <td className={`py-1 break-words ${choice === CHOICE.MINE ? "line-through text-gray-400" : ""}`}>
+                              {displayField(f, theirs[f], t)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <Section title={t("import.new")} items={diff.added} tone="text-green-700" />
+          <Section
+            title={t(mode === "replace" ? "import.removed" : "import.kept")}
+            items={diff.removed}
+            tone={mode === "replace" ? "text-red-600" : "text-gray-700"}
+          />
+          <Section title={t("import.unchanged")} items={diff.unchanged} tone="text-gray-500" />
+        </div>
+
+        <div className="flex justify-end gap-2 border-t px-5 py-3">
+          <button onClick={onCancel} className="rounded-xl border px-4 py-2 text-sm hover:bg-gray-50">
+            {t("form.cancel")}
+          </button>
+          <button
+            onClick={() => onApply(mode, resolveImport(current, diff, mode, choices))}
+            className="rounded-xl bg-gray-900 text-white px-4 py-2 text-sm hover:opacity-90"
+          >
+            {t("header.import")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------------- spreadsheet columns ---------------------- */
+
+// [field, message key, translation language]
+const FIELD_OPTIONS = [
+  ["", "columns.ignore"],
+  ["id", "columns.id"],
+  ["title", "columns.title"],
+  ["date", "columns.date"],
+  ["place", "columns.place"],
+  ["event", "columns.event"],
+  ["person", "columns.person"],
+  ["description", "columns.description"],
+  ["image", "columns.image"],
+  ["video", "columns.video"],
+  ["lang", "columns.lang"],
+  ...LANGS.flatMap((l) => [
+    [`title_${l}`, "columns.titleIn", l],
+    [`description_${l}`, "columns.descriptionIn", l],
+  ]),
+];
+
+/**
+ * Map spreadsheet columns onto item fields before the import preview.
+ * @param rows parsed CSV/TSV rows (first row usually the header)
+ * @param fields the custom field definitions, offered as columns too
+ * @param onApply called with the raw item objects
+ */
+export function ColumnMappingDialog({ fileName, rows, fields = [], onApply, onCancel }) {
+  const { t } = useI18n();
+  const [hasHeader, setHasHeader] = useState(true);
+  const width = Math.max(...rows.map((r) => r.length));
+  const headers = Array.from({ length: width }, (_, i) => (hasHeader ? rows[0][i] : "") || t("columns.column", { n: i + 1 }));
+  const [mapping, setMapping] = useState(() => {
+    const guessed = guessMapping(rows[0] || [], fields);
+    return Array.from({ length: width }, (_, i) => guessed[i] || "");
+  });
+  const data = hasHeader ? rows.slice(1) : rows;
+
+  return (
+    <div className="fixed inset-0 z-30 bg-black/40 flex items-center justify-center p-4" onClick={onCancel}>
+      <div
+        role="dialog"
+        aria-label={t("columns.map")}
+        className="w-full max-w-4xl max-h-[90vh] flex flex-col rounded-2xl bg-white shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-2 border-b px-5 py-3">
+          <div>
+            <h2 className="text-lg font-semibold">{t("import.title", { file: fileName })}</h2>
+            <div className="text-xs text-gray-500">{t("columns.rows", { n: data.length })}</div>
+          </div>
+          <button onClick={onCancel} className="rounded-xl border p-2 hover:bg-gray-50" title={t("form.cancel")}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto px-5 py-4 space-y-3">
+          <label className="inline-flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+            {t("columns.header")}
+          </label>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left align-bottom">
+                {headers.map((h, i) => (
+                  <th key={i} className="px-2 pb-2 font-normal min-w-[9rem]">
+                    <div className="text-xs text-gray-500 truncate">{h}</div>
+                    <select
+                      value={mapping[i]}
+                      onChange={(e) => setMapping((prev) => prev.map((f, j) => (j === i ? e.target.value : f)))}
+                      className="mt-1 w-full rounded-xl border px-2 py-1"
+                    >
+                      {FIELD_OPTIONS.map(([value, key, l]) => (
+                        <option key={value} value={value}>
+                          {t(key, l && { lang: t(`lang.${l}`) })}
+                        </option>
+                      ))}
+                      {fields.map((def) => (
+                        <option key={def.id} value={customColumn(def)}>
+                          {def.label}
+                        </option>
+                      ))}
+                    </select>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {data.slice(0, 5).map((row, r) => (
+                <tr key={r} className="border-t align-top">
+                  {headers.map((_, i) => (
+                    <td key={i} className={`px-2 py-1 max-w-[16rem] ${mapping[i] ? "" : "text-gray-400"}`}>
+                      <div className="line-clamp-3 whitespace-pre-line break-words">{row[i]}</div>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {data.length > 5 && <div className="text-xs text-gray-500">{t("columns.more", { n: data.length - 5 })}</div>}
+        </div>
+
+        <div className="flex justify-end gap-2 border-t px-5 py-3">
+          <button onClick={onCancel} className="rounded-xl border px-4 py-2 text-sm hover:bg-gray-50">
+            {t("form.cancel")}
+          </button>
+          <button
+            onClick={() => onApply(rowsToItems(data, mapping, fields))}
+            disabled={!mapping.some(Boolean)}
+            className="rounded-xl bg-gray-900 text-white px-4 py-2 text-sm hover:opacity-90 disabled:opacity-40"
+          >
+            {t("columns.next")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
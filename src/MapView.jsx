@@ -0,0 +1,237 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Play, Pause } from "lucide-react";
+import geo from "./geo/south-america.json";
+import { yearRange, formatYears } from "./dates.js";
+import { foldKey } from "./Registry.jsx";
+import { useI18n } from "./i18n.jsx";
+
+/* ---------------------- map view ----------------------
+   Offline map: the bundled South America / Argentine province outlines
+   (src/geo/south-america.json, from Natural Earth) drawn as SVG with a
+   plain equirectangular projection. Entries are plotted at their places'
+   registry coordinates; a place without coordinates that matches a
+   province or country name falls back to that shape's centroid. */
+
+const EXTENTS = {
+  "South America": { label: "map.southAmerica", lon: [-82, -34], lat: [-56, 13] },
+  Argentina: { label: "map.argentina", lon: [-74, -53], lat: [-55.5, -21.5] },
+};
+const LAT_REF = Math.cos((-30 * Math.PI) / 180);
+const SCALE = 10;
+const RECENT_YEARS = 5;
+
+const project = ([lon, lat]) => [lon * LAT_REF * SCALE, -lat * SCALE];
+
+function pathOf(polygons) {
+  return polygons
+    .map((rings) =>
+      rings.map((ring) => "M" + ring.map((p) => project(p).map((n) => n.toFixed(1)).join(",")).join("L") + "Z").join("")
+    )
+    .join("");
+}
+
+/** Area-weighted centroid of the largest outer ring, as [lon, lat]. */
+function centroid(polygons) {
+  let best = null;
+  for (const rings of polygons) {
+    const ring = rings[0];
+    let a = 0, cx = 0, cy = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [x0, y0] = ring[i];
+      const [x1, y1] = ring[i + 1];
+      const f = x0 * y1 - x1 * y0;
+      a += f;
+      cx += (x0 + x1) * f;
+      cy += (y0 + y1) * f;
+    }
+    if (a && (!best || Math.abs(a) > Math.abs(best.a))) best = { a, c: [cx / (3 * a), cy / (3 * a)] };
+  }
+  return best?.c || null;
+}
+
+const COUNTRY_PATHS = geo.countries.map((c) => ({ name: c.name, d: pathOf(c.polygons) }));
+const PROVINCE_PATHS = geo.provinces.map((p) => ({ name: p.name, d: pathOf(p.polygons) }));
+const FALLBACK_COORDS = new Map(
+  [...geo.provinces, ...geo.countries].map((s) => [foldKey(s.name), centroid(s.polygons)])
+);
+
+function viewBoxOf({ lon, lat }) {
+  const [x0, y0] = project([lon[0], lat[1]]);
+  const [x1, y1] = project([lon[1], lat[0]]);
+  return `${x0} ${y0} ${x1 - x0} ${y1 - y0}`;
+}
+
+/** [lon, lat] for a registry place, or null. */
+export function placeCoords(record) {
+  if (!record) return null;
+  if (record.lat != null && record.lng != null) return [record.lng, record.lat];
+  return FALLBACK_COORDS.get(foldKey(record.name)) || null;
+}
+
+export default function MapView({ items, registry, selectedId, onSelect, yearFrom, yearTo }) {
+  const { t } = useI18n();
+  const [extent, setExtent] = useState("Argentina");
+  const [year, setYear] = useState(null); // null = show every filtered entry
+  const [playing, setPlaying] = useState(false);
+  const [openPlace, setOpenPlace] = useState(null);
+
+  // step the slider one year at a time while playing
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setInterval(() => {
+      setYear((y) => {
+        const next = (y ?? yearFrom - 1) + 1;
+        if (next >= yearTo) setPlaying(false);
+        return Math.min(next, yearTo);
+      });
+    }, 350);
+    return () => clearInterval(timer);
+  }, [playing, yearFrom, yearTo]);
+
+  useEffect(() => {
+    setYear((y) => (y == null ? y : Math.min(Math.max(y, yearFrom), yearTo)));
+  }, [yearFrom, yearTo]);
+
+  const placesByName = useMemo(() => new Map(registry.places.map((r) => [r.name, r])), [registry]);
+
+  const { markers, unplaced } = useMemo(() => {
+    const groups = new Map();
+    let unplaced = 0;
+    for (const it of items) {
+      const range = yearRange(it.date);
+      if (year != null && (!range || range[0] > year)) continue;
+      const recent = year == null || (range && range[1] >= year - RECENT_YEARS);
+      let placed = false;
+      for (const name of it.place) {
+        const coords = placeCoords(placesByName.get(name));
+        if (!coords) continue;
+        placed = true;
+        if (!groups.has(name)) groups.set(name, { name, coords, entries: [], recent: false });
+        const g = groups.get(name);
+        g.entries.push(it);
+        g.recent = g.recent || recent;
+      }
+      if (!placed) unplaced++;
+    }
+    return { markers: Array.from(groups.values()), unplaced };
+  }, [items, year, placesByName]);
+
+  const unit = extent === "Argentina" ? 1 : 2; // marker size relative to the view
+
+  return (
+    <div className="border-b bg-white">
+      <div className="flex flex-wrap items-center justify-between gap-2 px-4 pt-3 text-sm">
+        <div className="inline-flex rounded-xl border overflow-hidden text-xs">
+          {Object.keys(EXTENTS).map((k) => (
+            <button
+              key={k}
+              onClick={() => setExtent(k)}
+              className={`px-3 py-1.5 ${extent === k ? "bg-gray-900 text-white" : "hover:bg-gray-100"}`}
+            >
+              {t(EXTENTS[k].label)}
+            </button>
+          ))}
+        </div>
+        {unplaced > 0 && (
+          <span className="text-xs text-gray-400">
+            {t("map.unplaced", { n: unplaced })}
+          </span>
+        )}
+      </div>
+
+      <div className="relative px-4 py-2">
+        <svg viewBox={viewBoxOf(EXTENTS[extent])} className="w-full h-[26rem] bg-sky-50 rounded-2xl">
+          {COUNTRY_PATHS.map((c) => (
+            <path
+              key={c.name}
+              d={c.d}
+              className={c.name === "Argentina" ? "fill-white stroke-gray-400" : "fill-gray-100 stroke-gray-300"}
+              strokeWidth={0.6 * unit}
+            >
+              <title>{c.name}</title>
+            </path>
+          ))}
+          {PROVINCE_PATHS.map((p) => (
+            <path key={p.name} d={p.d} className="fill-transparent stroke-gray-300" strokeWidth={0.3 * unit}>
+              <title>{p.name}</title>
+            </path>
+          ))}
+
+          {markers.map((m) => {
+            const [x, y] = project(m.coords);
+            const active = m.entries.some((e) => e.id === selectedId);
+            const r = (3 + Math.min(m.entries.length, 12) * 0.5) * unit;
+            return (
+              <g
+                key={m.name}
+                transform={`translate(${x},${y})`}
+                className="cursor-pointer"
+                opacity={m.recent || active ? 1 : 0.35}
+                onClick={() => {
+                  if (m.entries.length === 1) onSelect(m.entries[0].id);
+                  else setOpenPlace(openPlace === m.name ? null : m.name);
+                }}
+              >
+                <title>{`${m.name} — ${t("app.items", { n: m.entries.length })}`}</title>
+                <circle r={r} className={active ? "fill-gray-900" : "fill-rose-500"} stroke="white" strokeWidth={0.8 * unit} />
+                {m.entries.length > 1 && (
+                  <text textAnchor="middle" dy="0.35em" fontSize={r * 1.1} className="fill-white font-semibold pointer-events-none">
+                    {m.entries.length}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+
+        {openPlace && (() => {
+          const m = markers.find((x) => x.name === openPlace);
+          if (!m) return null;
+          return (
+            <div className="absolute right-6 top-4 z-10 w-64 max-h-72 overflow-y-auto rounded-xl border bg-white shadow-lg p-2 text-sm">
+              <div className="px-2 pb-1 text-xs font-semibold text-gray-500">{m.name}</div>
+              {m.entries.map((it) => (
+                <button
+                  key={it.id}
+                  onClick={() => { onSelect(it.id); setOpenPlace(null); }}
+                  className={`w-full flex items-center justify-between gap-2 rounded-lg px-2 py-1 text-left ${it.id === selectedId ? "bg-gray-900 text-white" : "hover:bg-gray-50"}`}
+                >
+                  <span className="truncate">{it.title}</span>
+                  <span className="text-xs opacity-70 whitespace-nowrap">{formatYears(it.date)}</span>
+                </button>
+              ))}
+            </div>
+          );
+        })()}
+      </div>
+
+      <div className="flex items-center gap-3 px-4 pb-3 text-sm">
+        <button
+          onClick={() => {
+            if (!playing && (year == null || year >= yearTo)) setYear(yearFrom);
+            setPlaying(!playing);
+          }}
+          className="rounded-xl border p-2 hover:bg-gray-50"
+          title={t(playing ? "map.pause" : "map.play")}
+        >
+          {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+        </button>
+        <input
+          type="range"
+          min={yearFrom}
+          max={yearTo}
+          value={year ?? yearTo}
+          onChange={(e) => { setPlaying(false); setYear(Number(e.target.value)); }}
+          className="flex-1"
+          aria-label={t("date.year")}
+        />
+        <span className="w-20 text-right tabular-nums">{year ?? t("filters.allYears")}</span>
+        {year != null && (
+          <button onClick={() => { setPlaying(false); setYear(null); }} className="text-xs text-gray-500 hover:underline">
+            {t("map.showAll")}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
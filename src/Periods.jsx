@@ -0,0 +1,197 @@
+import React, { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { Plus, Pencil, Trash2, Layers } from "lucide-react";
+import DateInput from "./DateInput.jsx";
+import { parseDate, yearRange, yearSpan, formatYears } from "./dates.js";
+import { translate, useI18n } from "./i18n.jsx";
+
+/* ---------------------- periods ----------------------
+   Eras are a separate collection from items:
+   `{ id, title, start, end, color, description }` with `start`/`end`
+   in the same partial ISO form as item dates. */
+
+export const PERIOD_COLORS = ["#fde68a", "#bfdbfe", "#fecaca", "#bbf7d0", "#ddd6fe", "#fed7aa", "#e5e7eb"];
+
+const DEFAULT_PERIODS = [
+  { id: "viceroyalty", start: "1776", end: "1810-05", color: "#fde68a" },
+  { id: "independence-wars", start: "1810-05", end: "1824", color: "#bfdbfe" },
+  { id: "rosas", start: "1829", end: "1852", color: "#fecaca" },
+  { id: "generation-80", start: "1880", end: "1916", color: "#bbf7d0" },
+  { id: "peronism", start: "1946-06", end: "1955-09", color: "#ddd6fe" },
+  { id: "dictatorship-1976", start: "1976-03-24", end: "1983-12-10", color: "#e5e7eb" },
+];
+
+/** The eras a new timeline starts with, titled in `lang`. */
+export function defaultPeriods(lang) {
+  return DEFAULT_PERIODS.map((p) => ({ ...p, title: translate(lang, `periods.default.${p.id}`), description: "" }));
+}
+
+export function coercePeriod(raw) {
+  const safe = typeof raw === "object" && raw ? { ...raw } : {};
+  const d = parseDate({ start: safe.start, end: safe.end });
+  safe.title = String(safe.title ?? "").trim();
+  safe.start = d.start;
+  safe.end = d.end || d.start;
+  safe.color = /^#[0-9a-f]{3,8}$/i.test(safe.color) ? safe.color : PERIOD_COLORS[0];
+  safe.description = String(safe.description ?? "");
+  if (!safe.id) {
+    const slug = (safe.title || "period").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "");
+    safe.id = `${slug}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  } else {
+    safe.id = String(safe.id);
+  }
+  return safe;
+}
+
+/** `[fromYear, toYear]` as used by the year filters. */
+export function periodYears(p) {
+  return yearRange({ start: p.start, end: p.end }) || [0, 0];
+}
+
+/** Fractional-year extent, for drawing bands. */
+export function periodSpan(p) {
+  return yearSpan({ start: p.start, end: p.end });
+}
+
+/** Periods whose span overlaps the given item date. */
+export function periodsForDate(periods, date) {
+  const s = yearSpan(date);
+  if (!s) return [];
+  return periods.filter((p) => {
+    const ps = periodSpan(p);
+    return ps && s[0] < ps[1] && s[1] > ps[0];
+  });
+}
+
+/* ---------------------- form ---------------------- */
+function PeriodForm({ period, onSave, onCancel }) {
+  const { t } = useI18n();
+  const [title, setTitle] = useState(period?.title || "");
+  const [range, setRange] = useState(() => ({ start: period?.start || "", end: period?.end || "", circa: false }));
+  const [color, setColor] = useState(period?.color || PERIOD_COLORS[0]);
+  const [description, setDescription] = useState(period?.description || "");
+
+  function submit(e) {
+    e.preventDefault();
+    onSave(coercePeriod({ ...period, title, start: range.start, end: range.end, color, description }));
+  }
+
+  return (
+    <form onSubmit={submit} className="grid grid-cols-1 gap-2 text-sm">
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-500">{t("form.title")}</span>
+        <input value={title} onChange={(e) => setTitle(e.target.value)} required className="rounded-xl border px-3 py-2" />
+      </label>
+      <div className="flex flex-col gap-1">
+        <span className="text-gray-500">{t("periods.span")}</span>
+        <DateInput value={range} onChange={setRange} rangeOnly />
+      </div>
+      <label className="flex items-center gap-2">
+        <span className="text-gray-500">{t("periods.colour")}</span>
+        <input type="color" value={color} onChange={(e) => setColor(e.target.value)} className="h-8 w-12 rounded border" />
+      </label>
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-500">{t("form.description")}</span>
+        <textarea value={description} onChange={(e) => setDescription(e.target.value)} rows={2} className="rounded-xl border px-3 py-2" />
+      </label>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="rounded-xl border px-3 py-1.5 hover:bg-gray-50">
+          {t("form.cancel")}
+        </button>
+        <button type="submit" className="rounded-xl bg-gray-900 text-white px-3 py-1.5 hover:bg-black">
+          {t("form.save")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/* ---------------------- panel ---------------------- */
+/** Without `onUpdate` the panel only lists periods (read-only site). */
+export function PeriodsPanel({ periods, onAdd, onUpdate, onDelete, onApply }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null); // "new" for the add form
+
+  const sorted = [...periods].sort((a, b) => periodYears(a)[0] - periodYears(b)[0]);
+
+  return (
+    <div className="mt-6">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between text-xs uppercase tracking-wide text-gray-400 mb-2"
+      >
+        <span className="inline-flex items-center gap-1"><Layers className="w-3.5 h-3.5" /> {t("periods.title", { n: periods.length })}</span>
+        <span>{t(open ? "collections.hide" : onUpdate ? "fields.edit" : "collections.show")}</span>
+      </button>
+
+      <AnimatePresence initial={false}>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className="overflow-hidden"
+          >
+            <ul className="space-y-1">
+              {sorted.map((p) =>
+                editingId === p.id ? (
+                  <li key={p.id} className="rounded-xl border p-3">
+                    <PeriodForm
+                      period={p}
+                      onCancel={() => setEditingId(null)}
+                      onSave={(updated) => { onUpdate(updated); setEditingId(null); }}
+                    />
+                  </li>
+                ) : (
+                  <li key={p.id} className="flex items-center gap-2 rounded-xl px-2 py-1.5 hover:bg-gray-50">
+                    <span className="h-3 w-3 rounded-sm shrink-0 border" style={{ background: p.color }} />
+                    <button
+                      onClick={() => onApply(p)}
+                      className="flex-1 min-w-0 text-left text-sm truncate"
+                      title={p.description || t("periods.filterTo", { title: p.title })}
+                    >
+                      {p.title}
+                      <span className="ml-1 text-xs text-gray-500">{formatYears({ start: p.start, end: p.end })}</span>
+                    </button>
+                    {onUpdate && (
+                      <>
+                        <button onClick={() => setEditingId(p.id)} className="p-1 text-gray-500 hover:text-gray-900" title={t("periods.edit")}>
+                          <Pencil className="w-3.5 h-3.5" />
+                        </button>
+                        <button
+                          onClick={() => { if (confirm(t("periods.confirmDelete", { title: p.title }))) onDelete(p.id); }}
+                          className="p-1 text-red-500 hover:text-red-700"
+                          title={t("periods.delete")}
+                        >
+                          <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                      </>
+                    )}
+                  </li>
+                )
+              )}
+            </ul>
+
+            {editingId === "new" ? (
+              <div className="mt-2 rounded-xl border p-3">
+                <PeriodForm
+                  period={null}
+                  onCancel={() => setEditingId(null)}
+                  onSave={(created) => { onAdd(created); setEditingId(null); }}
+                />
+              </div>
+            ) : onAdd ? (
+              <button
+                onClick={() => setEditingId("new")}
+                className="mt-2 inline-flex items-center gap-1 rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50"
+              >
+                <Plus className="w-4 h-4" /> {t("periods.add")}
+              </button>
+            ) : null}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import React, { useMemo, useState } from "react";
+import { ArrowLeft, Printer } from "lucide-react";
+import { yearRange, formatDate } from "./dates.js";
+import { useMediaUrl } from "./mediaStore.js";
+import { citationKey, formatCitation } from "./Citations.jsx";
+import { useI18n } from "./i18n.jsx";
+
+/* ---------------------- print report ----------------------
+   A handout of the filtered entries: grouped by the active view (decades
+   for Date), with image thumbnails and numbered source footnotes. The
+   toolbar is hidden when printing; page rules live in index.css. */
+
+const GROUP_KEY = { Place: "place", Map: "place", Event: "event", Person: "person" };
+const URL_RE = /https?:\/\/[^\s)<>"]+/g;
+
+function decadeOf(item, t) {
+  const range = yearRange(item.date);
+  return range ? `${Math.floor(range[0] / 10) * 10}s` : t("print.undated");
+}
+
+/** Headings in order, each with its entries. Entries with several places (etc.) appear under each. */
+export function groupEntries(items, view, t) {
+  const groups = new Map();
+  const add = (heading, it) => {
+    if (!groups.has(heading)) groups.set(heading, []);
+    groups.get(heading).push(it);
+  };
+  const key = GROUP_KEY[view];
+  const blank = key && t(`print.no.${key}`);
+  for (const it of items) {
+    if (!key) add(decadeOf(it, t), it);
+    else if (!it[key].length) add(blank, it);
+    else it[key].forEach((v) => add(v, it));
+  }
+  const out = Array.from(groups, ([heading, entries]) => ({ heading, entries }));
+  // decades follow the (date-sorted) list; names sort alphabetically, blanks last
+  if (key) out.sort((a, b) => (a.heading === blank ? 1 : b.heading === blank ? -1 : a.heading.localeCompare(b.heading)));
+  return out;
+}
+
+/** Sources cited by an entry: its citations, linked media and URLs in the description. */
+export function sourcesOf(item, t) {
+  const out = [];
+  for (const c of item.citations || []) out.push({ key: `${citationKey(c)}|${c.page}`, text: formatCitation(c, { url: false }) || c.url, url: c.url || undefined });
+  for (const m of item.media || []) {
+    if (m.url && !m.url.startsWith("data:")) out.push({ key: m.url, text: m.caption || t(m.type === "video" ? "print.video" : "print.image"), url: m.url });
+    else if (m.ref || m.url) out.push({ key: `${item.id}:${m.ref || out.length}`, text: t("print.noLink", { caption: m.caption || t("print.uploadedImage") }) });
+  }
+  for (const url of String(item.description || "").match(URL_RE) || []) out.push({ key: url, text: url, url });
+  return out;
+}
+
+function Thumb({ m }) {
+  const src = useMediaUrl(m);
+  if (!src) return null;
+  return (
+    <figure className="w-32">
+      <img src={src} alt={m.caption || ""} className="h-24 w-32 object-cover rounded border" />
+      {m.caption && <figcaption className="mt-0.5 text-[10px] leading-tight text-gray-500">{m.caption}</figcaption>}
+    </figure>
+  );
+}
+
+export default function PrintReport({ items, view, title, summary, onClose }) {
+  const [thumbnails, setThumbnails] = useState(true);
+  const { lang, t } = useI18n();
+  const groups = useMemo(() => groupEntries(items, view, t), [items, view, t]);
+
+  // number each distinct source once, in reading order
+  const { notes, refsOf } = useMemo(() => {
+    const notes = [];
+    const index = new Map();
+    const refsOf = new Map();
+    for (const g of groups) {
+      for (const it of g.entries) {
+        if (refsOf.has(it.id)) continue;
+        refsOf.set(
+          it.id,
+          sourcesOf(it, t).map((s) => {
+            if (!index.has(s.key)) {
+              notes.push(s);
+              index.set(s.key, notes.length);
+            }
+            return index.get(s.key);
+          })
+        );
+      }
+    }
+    return { notes, refsOf };
+  }, [groups, t]);
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white">
+      <div className="print:hidden sticky top-0 z-10 bg-white/80 backdrop-blur border-b">
+        <div className="max-w-3xl mx-auto px-4 py-3 flex items-center justify-between gap-3 text-sm">
+          <button onClick={onClose} className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 hover:bg-gray-50">
+            <ArrowLeft className="w-4 h-4" /> {t("registry.back")}
+          </button>
+          <label className="inline-flex items-center gap-2">
+            <input type="checkbox" checked={thumbnails} onChange={(e) => setThumbnails(e.target.checked)} />
+            {t("print.thumbnails")}
+          </label>
+          <button
+            onClick={() => window.print()}
+            className="inline-flex items-center gap-1 rounded-xl bg-gray-900 text-white px-3 py-2 hover:opacity-90"
+          >
+            <Printer className="w-4 h-4" /> {t("print.print")}
+          </button>
+        </div>
+      </div>
+
+      <div className="print-report max-w-3xl mx-auto my-6 print:my-0 bg-white shadow print:shadow-none px-10 py-8 print:p-0 font-serif">
+        <header className="border-b pb-3 mb-4">
+          <h1 className="text-3xl font-bold">{title}</h1>
+          <div className="mt-1 text-sm text-gray-600">
+            {t("app.items", { n: items.length })} · {summary} · {new Date().toLocaleDateString(lang)}
+          </div>
+        </header>
+
+        {groups.map((g) => (
+          <section key={g.heading} className="mb-6">
+            <h2 className="text-xl font-semibold border-b border-gray-300 mb-2 pb-0.5">{g.heading}</h2>
+            {g.entries.map((it) => {
+              const refs = refsOf.get(it.id) || [];
+              const images = thumbnails ? (it.media || []).filter((m) => m.type === "image").slice(0, 3) : [];
+              return (
+                <article key={it.id} className="report-entry mb-4">
+                  <h3 className="font-semibold">
+                    {it.title}
+                    {refs.length > 0 && <sup className="ml-0.5 text-xs font-normal">{refs.join(",")}</sup>}
+                  </h3>
+                  <div className="text-xs text-gray-600">
+                    {[formatDate(it.date, lang), ...it.place, ...it.event, ...it.person].filter(Boolean).join(" · ")}
+                  </div>
+                  {it.description && <p className="mt-1 text-sm whitespace-pre-line">{it.description}</p>}
+                  {images.length > 0 && (
+                    <div className="mt-2 flex gap-2">
+                      {images.map((m, i) => (
+                        <Thumb key={m.ref || m.url || i} m={m} />
+                      ))}
+                    </div>
+                  )}
+                </article>
+              );
+            })}
+          </section>
+        ))}
+
+        {notes.length > 0 && (
+          <section className="report-sources mt-8 border-t pt-3">
+            <h2 className="text-lg font-semibold mb-2">{t("header.sources")}</h2>
+            <ol className="list-decimal pl-6 text-xs space-y-0.5">
+              {notes.map((n) => (
+                <li key={n.key} className="break-words">
+                  {n.text}
+                  {n.url && n.url !== n.text && <> — <a href={n.url}>{n.url}</a></>}
+                </li>
+              ))}
+            </ol>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,458 @@
+import React, { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { ArrowLeft, Pencil, Trash2, Users, MapPin, User, Merge } from "lucide-react";
+import DateInput from "./DateInput.jsx";
+import TagInput from "./TagInput.jsx";
+import { parseDate, compareDates, formatDate, formatYears } from "./dates.js";
+import { putMediaBlob, useMediaUrl, mediaErrorMessage } from "./mediaStore.js";
+import { useI18n } from "./i18n.jsx";
+
+/* ---------------------- entity registry ----------------------
+   People and places are records with a canonical `name` and `aliases`.
+   Items link to them by canonical name in their `person` / `place`
+   lists; `linkEntities` folds aliases onto the canonical name and
+   creates a bare record for any name it has not seen before.
+
+     person: { id, name, aliases, born, died, roles, media, description }
+     place:  { id, name, aliases, province, lat, lng, description }  */
+
+export const ENTITY = { PERSON: "person", PLACE: "place" };
+const COLLECTION = { person: "people", place: "places" };
+
+export const EMPTY_REGISTRY = { people: [], places: [] };
+
+/** Case-, accent- and punctuation-insensitive key: "Juan D. Perón" → "juan d peron". */
+export function foldKey(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[.,\s]+/g, " ")
+    .trim();
+}
+
+function newEntityId(kind, name) {
+  const slug = foldKey(name).replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "") || kind;
+  return `${kind}-${slug}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function cleanList(list) {
+  const arr = Array.isArray(list) ? list : list ? [list] : [];
+  return Array.from(new Set(arr.map((v) => String(v ?? "").trim()).filter(Boolean)));
+}
+
+function toNumber(v) {
+  const n = typeof v === "number" ? v : parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function coerceEntity(kind, raw) {
+  const safe = typeof raw === "object" && raw ? { ...raw } : {};
+  safe.name = String(safe.name ?? "").trim();
+  safe.aliases = cleanList(safe.aliases).filter((a) => foldKey(a) !== foldKey(safe.name));
+  safe.description = String(safe.description ?? "");
+  safe.id = safe.id ? String(safe.id) : newEntityId(kind, safe.name);
+  if (kind === ENTITY.PERSON) {
+    safe.born = parseDate(safe.born);
+    safe.died = parseDate(safe.died);
+    safe.roles = cleanList(safe.roles);
+    safe.media = (Array.isArray(safe.media) ? safe.media : [])
+      .filter((m) => m?.url || m?.ref)
+      .map((m) => ({ type: "image", url: m.ref ? undefined : String(m.url), ref: m.ref ? String(m.ref) : undefined }));
+  } else {
+    safe.province = String(safe.province ?? "").trim();
+    safe.lat = toNumber(safe.lat);
+    safe.lng = toNumber(safe.lng);
+  }
+  return safe;
+}
+
+export function coerceRegistry(raw) {
+  return {
+    people: (Array.isArray(raw?.people) ? raw.people : []).map((r) => coerceEntity(ENTITY.PERSON, r)).filter((r) => r.name),
+    places: (Array.isArray(raw?.places) ? raw.places : []).map((r) => coerceEntity(ENTITY.PLACE, r)).filter((r) => r.name),
+  };
+}
+
+/** Merge two registries by id; records in `incoming` win. */
+export function mergeRegistry(current, incoming) {
+  const merge = (a, b) => {
+    const map = new Map(a.map((r) => [r.id, r]));
+    for (const r of b) map.set(r.id, r);
+    return Array.from(map.values());
+  };
+  return {
+    people: merge(current.people, incoming.people),
+    places: merge(current.places, incoming.places),
+  };
+}
+
+function indexOf(records) {
+  const index = new Map();
+  for (const r of records) {
+    for (const n of [r.name, ...r.aliases]) {
+      const k = foldKey(n);
+      if (k && !index.has(k)) index.set(k, r);
+    }
+  }
+  return index;
+}
+
+export function findEntity(registry, kind, name) {
+  const k = foldKey(name);
+  return registry[COLLECTION[kind]].find((r) => foldKey(r.name) === k || r.aliases.some((a) => foldKey(a) === k)) || null;
+}
+
+/**
+ * Point every item's people/places at canonical registry names, creating
+ * records for unknown names. Unchanged items (and an unchanged registry)
+ * keep their identity so React state does not churn.
+ */
+export function linkEntities(items, registry) {
+  const next = { people: registry.people, places: registry.places };
+  let registryChanged = false;
+  const indexes = { person: indexOf(next.people), place: indexOf(next.places) };
+
+  const linked = items.map((it) => {
+    let changed = false;
+    const out = { ...it };
+    for (const kind of [ENTITY.PERSON, ENTITY.PLACE]) {
+      const names = (it[kind] || []).map((name) => {
+        const k = foldKey(name);
+        let rec = indexes[kind].get(k);
+        if (!rec) {
+          rec = coerceEntity(kind, { name });
+          next[COLLECTION[kind]] = [...next[COLLECTION[kind]], rec];
+          indexes[kind].set(k, rec);
+          registryChanged = true;
+        }
+        return rec.name;
+      });
+      const deduped = Array.from(new Set(names));
+      if (deduped.length !== (it[kind] || []).length || deduped.some((n, i) => n !== it[kind][i])) {
+        out[kind] = deduped;
+        changed = true;
+      }
+    }
+    return changed ? out : it;
+  });
+
+  return {
+    items: linked.some((it, i) => it !== items[i]) ? linked : items,
+    registry: registryChanged ? next : registry,
+  };
+}
+
+/** Replace any of `fromNames` with `toName` in the items' `kind` lists. */
+export function renameInItems(items, kind, fromNames, toName) {
+  const from = new Set(fromNames.map(foldKey));
+  return items.map((it) => {
+    if (!(it[kind] || []).some((n) => from.has(foldKey(n)))) return it;
+    return { ...it, [kind]: Array.from(new Set(it[kind].map((n) => (from.has(foldKey(n)) ? toName : n)))) };
+  });
+}
+
+export function entriesFor(items, kind, name) {
+  return items.filter((it) => (it[kind] || []).includes(name)).sort((a, b) => compareDates(a.date, b.date));
+}
+
+/* ---------------------- form ---------------------- */
+function EntityForm({ kind, record, onSave, onCancel }) {
+  const { t } = useI18n();
+  const [name, setName] = useState(record.name);
+  const [aliases, setAliases] = useState(record.aliases);
+  const [description, setDescription] = useState(record.description);
+  // person
+  const [born, setBorn] = useState(record.born || parseDate(""));
+  const [died, setDied] = useState(record.died || parseDate(""));
+  const [roles, setRoles] = useState(record.roles || []);
+  const [portraitUrl, setPortraitUrl] = useState(record.media?.[0]?.url || "");
+  const [portraitFile, setPortraitFile] = useState(null);
+  const [mediaError, setMediaError] = useState("");
+  // place
+  const [province, setProvince] = useState(record.province || "");
+  const [lat, setLat] = useState(record.lat ?? "");
+  const [lng, setLng] = useState(record.lng ?? "");
+
+  async function submit(e) {
+    e.preventDefault();
+    const base = { ...record, name, aliases, description };
+    if (kind === ENTITY.PLACE) {
+      onSave(coerceEntity(kind, { ...base, province, lat, lng }));
+      return;
+    }
+    let media = record.media || [];
+    if (portraitFile) {
+      try {
+        media = [{ type: "image", ref: await putMediaBlob(portraitFile) }];
+      } catch (err) {
+        setMediaError(mediaErrorMessage(err, t));
+        return;
+      }
+    } else if (portraitUrl !== (record.media?.[0]?.url || "")) {
+      media = portraitUrl ? [{ type: "image", url: portraitUrl }] : [];
+    }
+    onSave(coerceEntity(kind, { ...base, born, died, roles, media }));
+  }
+
+  return (
+    <form onSubmit={submit} className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-500">{t("registry.name")}</span>
+        <input value={name} onChange={(e) => setName(e.target.value)} required className="rounded-xl border px-3 py-2" />
+      </label>
+      <div className="flex flex-col gap-1">
+        <span className="text-gray-500">{t("registry.aliases")}</span>
+        <TagInput value={aliases} onChange={setAliases} placeholder={t(kind === ENTITY.PERSON ? "registry.aliasesPerson" : "registry.aliasesPlace")} />
+      </div>
+
+      {kind === ENTITY.PERSON ? (
+        <>
+          <div className="flex flex-col gap-1">
+            <span className="text-gray-500">{t("registry.born")}</span>
+            <DateInput value={born} onChange={setBorn} required={false} />
+          </div>
+          <div className="flex flex-col gap-1">
+            <span className="text-gray-500">{t("registry.died")}</span>
+            <DateInput value={died} onChange={setDied} required={false} />
+          </div>
+          <div className="flex flex-col gap-1">
+            <span className="text-gray-500">{t("registry.roles")}</span>
+            <TagInput value={roles} onChange={setRoles} placeholder={t("registry.rolesPlaceholder")} />
+          </div>
+          <div className="flex flex-col gap-1">
+            <span className="text-gray-500">{t("registry.portrait")}</span>
+            <input
+              value={portraitUrl}
+              onChange={(e) => setPortraitUrl(e.target.value)}
+              className="rounded-xl border px-3 py-2"
+              placeholder="https://…"
+            />
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => { setPortraitFile(e.target.files?.[0] || null); setMediaError(""); }}
+              className="rounded-xl border px-3 py-2"
+            />
+            {mediaError && <span className="text-xs text-red-600">{mediaError}</span>}
+          </div>
+        </>
+      ) : (
+        <>
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-500">{t("registry.province")}</span>
+            <input value={province} onChange={(e) => setProvince(e.target.value)} className="rounded-xl border px-3 py-2" />
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-500">{t("registry.lat")}</span>
+              <input type="number" step="any" min={-90} max={90} value={lat} onChange={(e) => setLat(e.target.value)} className="rounded-xl border px-3 py-2" />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-500">{t("registry.lng")}</span>
+              <input type="number" step="any" min={-180} max={180} value={lng} onChange={(e) => setLng(e.target.value)} className="rounded-xl border px-3 py-2" />
+            </label>
+          </div>
+        </>
+      )}
+
+      <label className="flex flex-col gap-1 md:col-span-2">
+        <span className="text-gray-500">{t("form.description")}</span>
+        <textarea value={description} onChange={(e) => setDescription(e.target.value)} rows={3} className="rounded-xl border px-3 py-2" />
+      </label>
+
+      <div className="md:col-span-2 flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="rounded-xl border px-4 py-2 hover:bg-gray-50">
+          {t("form.cancel")}
+        </button>
+        <button type="submit" className="rounded-xl bg-gray-900 text-white px-4 py-2 hover:bg-black">
+          {t("form.save")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/* ---------------------- profile ---------------------- */
+function Portrait({ m }) {
+  const src = useMediaUrl(m);
+  if (!src) return null;
+  return <img src={src} alt="" className="w-28 h-28 rounded-2xl object-cover shadow" />;
+}
+
+/** Without `onSave` / `onMerge` the profile is read-only. */
+export function EntityProfile({ kind, record, registry, entries, onSelectEntry, onClose, onSave, onMerge, onDelete }) {
+  const { lang, t } = useI18n();
+  const [editing, setEditing] = useState(false);
+  const [mergeTarget, setMergeTarget] = useState("");
+  const others = registry[COLLECTION[kind]].filter((r) => r.id !== record.id).sort((a, b) => a.name.localeCompare(b.name));
+
+  if (editing) {
+    return (
+      <div className="p-6">
+        <h2 className="text-xl font-semibold mb-3">{t(`registry.edit.${kind}`)}</h2>
+        <EntityForm
+          kind={kind}
+          record={record}
+          onCancel={() => setEditing(false)}
+          onSave={(updated) => { onSave(updated); setEditing(false); }}
+        />
+      </div>
+    );
+  }
+
+  const facts =
+    kind === ENTITY.PERSON
+      ? [
+          record.born?.start || record.died?.start
+            ? `${record.born?.start ? formatDate(record.born, lang) : "?"} – ${record.died?.start ? formatDate(record.died, lang) : ""}`
+            : "",
+          record.roles.join(", "),
+        ]
+      : [
+          record.province,
+          record.lat != null && record.lng != null ? `${record.lat.toFixed(4)}, ${record.lng.toFixed(4)}` : "",
+        ];
+
+  return (
+    <div className="p-6">
+      <div className="flex items-start justify-between gap-2">
+        <button onClick={onClose} className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50">
+          <ArrowLeft className="w-4 h-4" /> {t("registry.back")}
+        </button>
+        {onSave && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setEditing(true)}
+              className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-gray-50"
+            >
+              <Pencil className="w-4 h-4" /> {t("detail.edit")}
+            </button>
+            <button
+              onClick={() => { if (confirm(t("registry.confirmDelete", { name: record.name }))) onDelete(record); }}
+              disabled={entries.length > 0}
+              className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm hover:bg-red-50 text-red-600 border-red-300 disabled:opacity-40 disabled:hover:bg-transparent"
+              title={entries.length ? t("registry.stillLinked") : t("detail.delete")}
+            >
+              <Trash2 className="w-4 h-4" /> {t("detail.delete")}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="mt-4 flex items-start gap-4">
+        {kind === ENTITY.PERSON && record.media?.[0] && <Portrait m={record.media[0]} />}
+        <div>
+          <div className="text-sm text-gray-500 inline-flex items-center gap-1">
+            {kind === ENTITY.PERSON ? <User className="w-4 h-4" /> : <MapPin className="w-4 h-4" />}
+            {t(kind === ENTITY.PERSON ? "filters.person" : "filters.place")}
+          </div>
+          <h1 className="text-2xl font-bold mt-1">{record.name}</h1>
+          {facts.filter(Boolean).length > 0 && (
+            <div className="text-sm text-gray-600 mt-1">{facts.filter(Boolean).join(" • ")}</div>
+          )}
+          {record.aliases.length > 0 && (
+            <div className="text-xs text-gray-500 mt-1">{t("registry.also", { names: record.aliases.join(", ") })}</div>
+          )}
+        </div>
+      </div>
+
+      {record.description && <p className="mt-4 leading-7 text-gray-800">{record.description}</p>}
+
+      <h2 className="mt-6 text-sm font-semibold text-gray-700">{t("registry.entries", { n: entries.length })}</h2>
+      <ol className="mt-2 space-y-1">
+        {entries.map((it) => (
+          <li key={it.id}>
+            <button
+              onClick={() => onSelectEntry(it.id)}
+              className="w-full text-left rounded-xl px-3 py-2 hover:bg-gray-50 flex items-center justify-between gap-3"
+            >
+              <span className="text-sm font-medium truncate">{it.title}</span>
+              <span className="text-xs text-gray-500 whitespace-nowrap">{formatYears(it.date)}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {onMerge && others.length > 0 && (
+        <div className="mt-6 flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-500">{t(`registry.same.${kind}`)}</span>
+          <select value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)} className="rounded-xl border px-2 py-1.5">
+            <option value="">{t("registry.choose")}</option>
+            {others.map((r) => (<option key={r.id} value={r.id}>{r.name}</option>))}
+          </select>
+          <button
+            disabled={!mergeTarget}
+            onClick={() => {
+              const target = others.find((r) => r.id === mergeTarget);
+              if (target && confirm(t("registry.confirmMerge", { name: record.name, target: target.name }))) onMerge(record, target);
+            }}
+            className="inline-flex items-center gap-1 rounded-xl border px-3 py-1.5 hover:bg-gray-50 disabled:opacity-40"
+          >
+            <Merge className="w-4 h-4" /> {t("registry.merge")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------------- panel ---------------------- */
+export function RegistryPanel({ registry, items, onOpen }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [tab, setTab] = useState(ENTITY.PERSON);
+  const records = [...registry[COLLECTION[tab]]].sort((a, b) => a.name.localeCompare(b.name));
+  const counts = new Map();
+  for (const it of items) for (const n of it[tab] || []) counts.set(n, (counts.get(n) || 0) + 1);
+
+  return (
+    <div className="mt-6">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between text-xs uppercase tracking-wide text-gray-400 mb-2"
+      >
+        <span className="inline-flex items-center gap-1">
+          <Users className="w-3.5 h-3.5" /> {t("registry.title", { n: registry.people.length + registry.places.length })}
+        </span>
+        <span>{t(open ? "collections.hide" : "collections.show")}</span>
+      </button>
+
+      <AnimatePresence initial={false}>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className="overflow-hidden"
+          >
+            <div className="inline-flex rounded-xl border overflow-hidden text-xs mb-2">
+              {[ENTITY.PERSON, ENTITY.PLACE].map((k) => (
+                <button
+                  key={k}
+                  onClick={() => setTab(k)}
+                  className={`px-3 py-1 ${tab === k ? "bg-gray-900 text-white" : "hover:bg-gray-100"}`}
+                >
+                  {t(k === ENTITY.PERSON ? "field.person" : "field.place")}
+                </button>
+              ))}
+            </div>
+            <ul className="space-y-0.5 max-h-64 overflow-y-auto">
+              {records.map((r) => (
+                <li key={r.id}>
+                  <button
+                    onClick={() => onOpen(tab, r.id)}
+                    className="w-full flex items-center justify-between gap-2 rounded-xl px-2 py-1 text-left text-sm hover:bg-gray-50"
+                  >
+                    <span className="truncate">{r.name}</span>
+                    <span className="text-xs text-gray-400">{counts.get(r.name) || 0}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
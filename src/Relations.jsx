@@ -0,0 +1,273 @@
+import React, { useId, useMemo, useState } from "react";
+import { Network, Plus, X } from "lucide-react";
+import { formatYears } from "./dates.js";
+import { useI18n } from "./i18n.jsx";
+
+/* ---------------------- relationships ----------------------
+   Typed links between entries, stored on the source item as
+   `relations: [{ type, target }]` (target is an item id). Detail lists
+   both directions — "1930 coup → led to → Infamous Decade" also shows on
+   the Infamous Decade as "followed from" — so a link is only stored once. */
+
+export const RELATION = { CAUSED: "caused", LED_TO: "led-to", PART_OF: "part-of", CONTRADICTS: "contradicts" };
+
+// `out` / `in` are message keys for each direction
+export const RELATION_LABELS = {
+  [RELATION.CAUSED]: { out: "relations.caused", in: "relations.causedBy", color: "#dc2626" },
+  [RELATION.LED_TO]: { out: "relations.ledTo", in: "relations.followedFrom", color: "#d97706" },
+  [RELATION.PART_OF]: { out: "relations.partOf", in: "relations.includes", color: "#2563eb" },
+  [RELATION.CONTRADICTS]: { out: "relations.contradicts", in: "relations.contradictedBy", color: "#6b7280" },
+};
+
+export function coerceRelations(list, selfId) {
+  const seen = new Set();
+  return (Array.isArray(list) ? list : [])
+    .map((r) => ({ type: String(r?.type ?? ""), target: String(r?.target ?? "") }))
+    .filter((r) => {
+      const key = `${r.type}|${r.target}`;
+      if (!RELATION_LABELS[r.type] || !r.target || r.target === selfId || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/** Drop links to an entry that no longer exists. */
+export function unlinkTarget(items, id) {
+  return items.map((it) =>
+    it.relations?.some((r) => r.target === id) ? { ...it, relations: it.relations.filter((r) => r.target !== id) } : it
+  );
+}
+
+/** Every link touching `item`, both stored on it and pointing at it: [{ type, other, outgoing }]. */
+export function relationsOf(item, items) {
+  const byId = new Map(items.map((it) => [it.id, it]));
+  const out = [];
+  for (const r of item.relations || []) {
+    if (byId.has(r.target)) out.push({ type: r.type, other: byId.get(r.target), outgoing: true });
+  }
+  for (const it of items) {
+    if (it.id === item.id) continue;
+    for (const r of it.relations || []) if (r.target === item.id) out.push({ type: r.type, other: it, outgoing: false });
+  }
+  return out;
+}
+
+const labelOf = (it, t) => `${it.title} (${formatYears(it.date) || t("relations.undated")})`;
+
+/* ---------------------- chips & editor ---------------------- */
+export function RelatedEntries({ item, items, onSelect, onChange }) {
+  const { t } = useI18n();
+  const [showGraph, setShowGraph] = useState(false);
+  const [adding, setAdding] = useState(false);
+  const [type, setType] = useState(RELATION.LED_TO);
+  const [text, setText] = useState("");
+  const listId = useId();
+
+  const links = useMemo(() => relationsOf(item, items), [item, items]);
+  const candidates = useMemo(() => items.filter((it) => it.id !== item.id), [items, item.id]);
+
+  // "Led to: A, B" — outgoing links first, then what points here
+  const groups = [];
+  for (const outgoing of [true, false]) {
+    for (const kind of Object.values(RELATION)) {
+      const list = links.filter((l) => l.type === kind && l.outgoing === outgoing);
+      if (list.length) groups.push({ label: t(RELATION_LABELS[kind][outgoing ? "out" : "in"]), type: kind, outgoing, list });
+    }
+  }
+
+  function add(e) {
+    e.preventDefault();
+    const target = candidates.find((it) => labelOf(it, t) === text.trim()) || candidates.find((it) => it.title === text.trim());
+    if (!target) {
+      alert(t("relations.noEntry", { title: text.trim() }));
+      return;
+    }
+    onChange(coerceRelations([...(item.relations || []), { type, target: target.id }], item.id));
+    setText("");
+    setAdding(false);
+  }
+
+  if (!links.length && !onChange) return null;
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-xs uppercase tracking-wide text-gray-400">{t("relations.title")}</div>
+        <div className="flex items-center gap-2 text-xs">
+          {links.length > 0 && (
+            <button
+              onClick={() => setShowGraph(!showGraph)}
+              className={`inline-flex items-center gap-1 rounded-lg border px-2 py-1 ${showGraph ? "bg-gray-900 text-white" : "hover:bg-gray-50"}`}
+            >
+              <Network className="w-3.5 h-3.5" /> {t("relations.graph")}
+            </button>
+          )}
+          {onChange && (
+            <button onClick={() => setAdding(!adding)} className="inline-flex items-center gap-1 rounded-lg border px-2 py-1 hover:bg-gray-50">
+              {adding ? <X className="w-3.5 h-3.5" /> : <Plus className="w-3.5 h-3.5" />} {t(adding ? "detail.close" : "relations.link")}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {adding && (
+        <form onSubmit={add} className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+          <select value={type} onChange={(e) => setType(e.target.value)} className="rounded-xl border px-2 py-1.5">
+            {Object.values(RELATION).map((kind) => (
+              <option key={kind} value={kind}>{t(RELATION_LABELS[kind].out)}</option>
+            ))}
+          </select>
+          <input
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            list={listId}
+            required
+            placeholder={t("relations.entryTitle")}
+            className="flex-1 min-w-[12rem] rounded-xl border px-3 py-1.5"
+          />
+          <datalist id={listId}>
+            {candidates.map((it) => (<option key={it.id} value={labelOf(it, t)} />))}
+          </datalist>
+          <button type="submit" className="rounded-xl bg-gray-900 text-white px-3 py-1.5 hover:bg-black">{t("relations.add")}</button>
+        </form>
+      )}
+
+      {groups.length > 0 && (
+        <dl className="mt-2 space-y-1 text-sm">
+          {groups.map((g) => (
+            <div key={`${g.type}-${g.outgoing}`} className="flex flex-wrap items-center gap-1">
+              <dt className="text-gray-500 mr-1" style={{ color: RELATION_LABELS[g.type].color }}>{g.label}:</dt>
+              {g.list.map(({ other }) => (
+                <dd key={other.id} className="inline-flex items-center gap-1 rounded-lg bg-gray-100 px-2 py-0.5 text-xs">
+                  <button onClick={() => onSelect(other.id)} className="hover:underline">{labelOf(other, t)}</button>
+                  {onChange && g.outgoing && (
+                    <button
+                      onClick={() => onChange(item.relations.filter((r) => !(r.type === g.type && r.target === other.id)))}
+                      className="text-gray-400 hover:text-gray-700"
+                      title={t("relations.remove")}
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  )}
+                </dd>
+              ))}
+            </div>
+          ))}
+        </dl>
+      )}
+      {!groups.length && !adding && <p className="mt-2 text-sm text-gray-500">{t("relations.empty")}</p>}
+
+      {showGraph && links.length > 0 && <RelationGraph item={item} items={items} onSelect={onSelect} />}
+    </div>
+  );
+}
+
+/* ---------------------- neighbourhood graph ----------------------
+   The entry in the middle, its direct links on an inner ring and their
+   links on an outer ring (each placed near the node it hangs from). */
+
+const W = 640;
+const H = 360;
+const RINGS = [0, 110, 170];
+
+function neighbourhood(item, items, depth = 2) {
+  const layer = new Map([[item.id, 0]]);
+  const parent = new Map();
+  const edges = new Map();
+  let frontier = [item];
+  for (let d = 1; d <= depth; d++) {
+    const next = [];
+    for (const node of frontier) {
+      for (const { type, other, outgoing } of relationsOf(node, items)) {
+        const [from, to] = outgoing ? [node.id, other.id] : [other.id, node.id];
+        edges.set(`${from}|${type}|${to}`, { from, to, type });
+        if (!layer.has(other.id)) {
+          layer.set(other.id, d);
+          parent.set(other.id, node.id);
+          next.push(other);
+        }
+      }
+    }
+    frontier = next;
+  }
+  // keep only edges between nodes we show
+  return { layer, parent, edges: [...edges.values()].filter((e) => layer.has(e.from) && layer.has(e.to)) };
+}
+
+function layout(layer, parent) {
+  const pos = new Map();
+  const angle = new Map();
+  for (let d = 0; d < RINGS.length; d++) {
+    const ids = [...layer].filter(([, l]) => l === d).map(([id]) => id);
+    if (d > 1) ids.sort((a, b) => angle.get(parent.get(a)) - angle.get(parent.get(b)));
+    ids.forEach((id, i) => {
+      const a = d === 0 ? 0 : (2 * Math.PI * i) / ids.length - Math.PI / 2;
+      angle.set(id, a);
+      pos.set(id, [W / 2 + RINGS[d] * 1.6 * Math.cos(a), H / 2 + RINGS[d] * Math.sin(a)]);
+    });
+  }
+  return pos;
+}
+
+const short = (s) => (s.length > 22 ? `${s.slice(0, 21)}…` : s);
+
+export function RelationGraph({ item, items, onSelect }) {
+  const { t } = useI18n();
+  const { layer, parent, edges } = useMemo(() => neighbourhood(item, items), [item, items]);
+  const pos = useMemo(() => layout(layer, parent), [layer, parent]);
+  const byId = useMemo(() => new Map(items.map((it) => [it.id, it])), [items]);
+
+  return (
+    <div className="mt-3 rounded-2xl border bg-gray-50">
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+        <defs>
+          {Object.entries(RELATION_LABELS).map(([kind, { color }]) => (
+            <marker key={kind} id={`arrow-${kind}`} viewBox="0 0 10 10" refX="22" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+            </marker>
+          ))}
+        </defs>
+        {edges.map((e) => {
+          const [x1, y1] = pos.get(e.from);
+          const [x2, y2] = pos.get(e.to);
+          const { color, out } = RELATION_LABELS[e.type];
+          return (
+            <line
+              key={`${e.from}|${e.type}|${e.to}`}
+              x1={x1}
+              y1={y1}
+              x2={x2}
+              y2={y2}
+              stroke={color}
+              strokeWidth="1.5"
+              strokeDasharray={e.type === RELATION.CONTRADICTS ? "4 3" : undefined}
+              markerEnd={e.type === RELATION.CONTRADICTS ? undefined : `url(#arrow-${e.type})`}
+            >
+              <title>{`${byId.get(e.from).title} — ${t(out).toLowerCase()} — ${byId.get(e.to).title}`}</title>
+            </line>
+          );
+        })}
+        {[...pos].map(([id, [x, y]]) => {
+          const it = byId.get(id);
+          const center = id === item.id;
+          return (
+            <g key={id} onClick={() => !center && onSelect(id)} className={center ? "" : "cursor-pointer"}>
+              <title>{labelOf(it, t)}</title>
+              <circle cx={x} cy={y} r={center ? 9 : 6} className={center ? "fill-gray-900" : "fill-white stroke-gray-500 hover:fill-gray-200"} strokeWidth="1.5" />
+              <text x={x} y={y + (center ? 22 : 18)} textAnchor="middle" className={`text-[11px] ${center ? "fill-gray-900 font-semibold" : "fill-gray-600"}`}>
+                {short(it.title)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex flex-wrap gap-3 px-3 pb-2 text-xs text-gray-500">
+        {Object.entries(RELATION_LABELS).map(([kind, { out, color }]) => (
+          <span key={kind} className="inline-flex items-center gap-1">
+            <span className="inline-block w-4 h-0.5" style={{ background: color }} /> {t(out)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
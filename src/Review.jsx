@@ -0,0 +1,184 @@
+import React, { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { ClipboardCheck, MessageSquare, Send } from "lucide-react";
+import { formatYears } from "./dates.js";
+import { useI18n } from "./i18n.jsx";
+import { getEditorName } from "./Revisions.jsx";
+
+/* ---------------------- review workflow ----------------------
+   Every entry has a `status`:
+
+     draft → needs-review → published
+
+   New entries start as drafts. Only published entries reach readers: the
+   exported site and the interchange exports leave the rest out (the JSON
+   backup keeps everything). The user's own entries from before the
+   workflow count as published; imported entries without a status wait for
+   review. Reviewers leave notes on an entry:
+
+     reviewNotes: [{ at, author, text }]
+
+   Notes are working comments, not content: they are not part of the
+   revision snapshots and never leave with the published entries. */
+
+export const STATUS = { DRAFT: "draft", REVIEW: "needs-review", PUBLISHED: "published" };
+const STATUSES = Object.values(STATUS);
+
+/** `value` if it is a status, else `fallback`. */
+export function coerceStatus(value, fallback = STATUS.REVIEW) {
+  return STATUSES.includes(value) ? value : fallback;
+}
+
+export function coerceReviewNotes(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((n) => ({
+      at: Number.isNaN(Date.parse(n?.at)) ? "" : String(n.at),
+      author: String(n?.author ?? "").trim(),
+      text: String(n?.text ?? "").trim(),
+    }))
+    .filter((n) => n.text);
+}
+
+export const isPublished = (item) => item.status === STATUS.PUBLISHED;
+
+/** What readers may see of `items`: published entries, without reviewer notes. */
+export function publicItems(items) {
+  return items.filter(isPublished).map(({ reviewNotes, ...rest }) => rest);
+}
+
+const BADGE = {
+  [STATUS.DRAFT]: "bg-gray-200 text-gray-700",
+  [STATUS.REVIEW]: "bg-amber-100 text-amber-800",
+};
+
+/** Small "Draft" / "Needs review" label; nothing for published entries. */
+export function StatusBadge({ status, className = "" }) {
+  const { t } = useI18n();
+  if (!BADGE[status]) return null;
+  return <span className={`rounded-md px-1.5 text-[11px] font-medium whitespace-nowrap ${BADGE[status]} ${className}`}>{t(`status.${status}`)}</span>;
+}
+
+/* ---------------------- detail: status + notes ---------------------- */
+
+/** Status buttons and reviewer notes for one entry; `onChange(updated)` saves it. */
+export function ReviewPanel({ item, onChange }) {
+  const { lang, t } = useI18n();
+  const [text, setText] = useState("");
+  const notes = item.reviewNotes || [];
+
+  function submit(e) {
+    e.preventDefault();
+    if (!text.trim()) return;
+    const note = { at: new Date().toISOString(), author: getEditorName(), text: text.trim() };
+    onChange({ ...item, reviewNotes: [...notes, note] });
+    setText("");
+  }
+
+  return (
+    <div className="mt-6 rounded-2xl border p-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-xs uppercase tracking-wide text-gray-400">{t("review.status")}</span>
+        <div className="inline-flex rounded-xl border overflow-hidden text-xs">
+          {STATUSES.map((s) => (
+            <button
+              key={s}
+              onClick={() => s !== item.status && onChange({ ...item, status: s })}
+              className={`px-3 py-1 ${item.status === s ? "bg-gray-900 text-white" : "hover:bg-gray-100"}`}
+            >
+              {t(`status.${s}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="mt-3">
+        <div className="flex items-center gap-1 text-xs text-gray-500 mb-1">
+          <MessageSquare className="w-3.5 h-3.5" /> {t("review.notes", { n: notes.length })}
+        </div>
+        <ul className="space-y-1">
+          {notes.map((n, i) => (
+            <li key={i} className="rounded-xl bg-gray-50 px-3 py-1.5">
+              <div className="text-xs text-gray-500">
+                {[n.author, n.at ? new Date(n.at).toLocaleString(lang) : ""].filter(Boolean).join(" · ")}
+              </div>
+              <div className="whitespace-pre-wrap">{n.text}</div>
+            </li>
+          ))}
+        </ul>
+        <form onSubmit={submit} className="mt-2 flex gap-2">
+          <input
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={t("review.notePlaceholder")}
+            className="flex-1 min-w-0 rounded-xl border px-3 py-1.5"
+          />
+          <button type="submit" disabled={!text.trim()} className="inline-flex items-center gap-1 rounded-xl border px-3 py-1.5 hover:bg-gray-50 disabled:opacity-40">
+            <Send className="w-3.5 h-3.5" /> {t("review.addNote")}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------------- right rail: review queue ---------------------- */
+
+/** Everything waiting for verification, then the drafts. */
+export function ReviewQueue({ items, selectedId, onSelect }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(true);
+  const waiting = items.filter((it) => it.status === STATUS.REVIEW);
+  const drafts = items.filter((it) => it.status === STATUS.DRAFT);
+  if (!waiting.length && !drafts.length) return null;
+
+  const entry = (it) => (
+    <li key={it.id}>
+      <button
+        onClick={() => onSelect(it.id)}
+        className={`w-full flex items-center gap-2 rounded-lg px-2 py-1 text-left text-xs hover:bg-gray-50 ${it.id === selectedId ? "bg-gray-100" : ""}`}
+      >
+        <span className="flex-1 min-w-0 truncate">{it.title}</span>
+        {it.reviewNotes?.length > 0 && (
+          <span className="inline-flex items-center gap-0.5 text-gray-400"><MessageSquare className="w-3 h-3" />{it.reviewNotes.length}</span>
+        )}
+        <span className="text-gray-400 whitespace-nowrap">{formatYears(it.date)}</span>
+      </button>
+    </li>
+  );
+
+  return (
+    <div className="mt-6">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between text-xs uppercase tracking-wide text-gray-400 mb-2"
+      >
+        <span className="inline-flex items-center gap-1">
+          <ClipboardCheck className="w-3.5 h-3.5" /> {t("review.queue", { n: waiting.length })}
+        </span>
+        <span>{open ? t("collections.hide") : t("collections.show")}</span>
+      </button>
+
+      <AnimatePresence initial={false}>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className="overflow-hidden space-y-3"
+          >
+            <div>
+              <div className="text-xs text-gray-500 mb-1">{t("status.needs-review")}</div>
+              {waiting.length ? <ul className="space-y-0.5">{waiting.map(entry)}</ul> : <p className="text-xs text-gray-500">{t("review.nothingWaiting")}</p>}
+            </div>
+            {drafts.length > 0 && (
+              <div>
+                <div className="text-xs text-gray-500 mb-1">{t("review.drafts", { n: drafts.length })}</div>
+                <ul className="space-y-0.5">{drafts.map(entry)}</ul>
+              </div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { History, RotateCcw } from "lucide-react";
+import { changedFields, displayField } from "./ImportDialog.jsx";
+import { useI18n } from "./i18n.jsx";
+
+/* ---------------------- revisions ----------------------
+   Every save of an entry appends to its `revisions`, oldest first:
+
+     { at, editor, note, snapshot }
+
+   `snapshot` is the entry's content after that save (everything but id,
+   updatedAt, revisions and the review status and notes), so the history panel
+   diffs neighbouring snapshots and restoring one is a save like any other. Entries from
+   before revisions were kept get their old state as the first revision on
+   their next save. Only the newest REVISION_LIMIT are kept. */
+
+export const REVISION_LIMIT = 50;
+const EDITOR_KEY = "timeline-editor-v1"; // name recorded with this browser's edits
+
+export function getEditorName() {
+  try {
+    return localStorage.getItem(EDITOR_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+export function setEditorName(name) {
+  try {
+    localStorage.setItem(EDITOR_KEY, name);
+  } catch {
+    // not worth a warning; the name just has to be typed again
+  }
+}
+
+export function snapshotOf(item) {
+  const { id, updatedAt, revisions, status, reviewNotes, ...content } = item;
+  return content;
+}
+
+export function coerceRevisions(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter((r) => r?.snapshot && typeof r.snapshot === "object")
+    .map((r) => ({
+      at: Number.isNaN(Date.parse(r.at)) ? "" : String(r.at),
+      editor: String(r.editor ?? "").trim(),
+      note: String(r.note ?? "").trim(),
+      snapshot: snapshotOf(r.snapshot),
+    }));
+}
+
+/** `next` (the saved entry) with a revision recording the save of `previous` (null for a new entry). */
+export function withRevision(previous, next, { editor = "", note = "" } = {}) {
+  const revisions = [...(previous?.revisions || [])];
+  if (previous && !revisions.length) revisions.push({ at: previous.updatedAt || "", editor: "", note: "", snapshot: snapshotOf(previous) });
+  const snapshot = snapshotOf(next);
+  const last = revisions[revisions.length - 1];
+  if (!last || note.trim() || changedFields(last.snapshot, snapshot).length) {
+    revisions.push({ at: next.updatedAt || new Date().toISOString(), editor: editor.trim(), note: note.trim(), snapshot });
+  }
+  return { ...next, revisions: revisions.slice(-REVISION_LIMIT) };
+}
+
+/* ---------------------- history panel ---------------------- */
+
+function RevisionDiff({ before, after }) {
+  const { t } = useI18n();
+  const fields = changedFields(before, after);
+  if (!fields.length) return <p className="text-xs text-gray-500">{t("history.noChanges")}</p>;
+  return (
+    <table className="w-full text-xs table-fixed">
+      <tbody>
+        {fields.map((f) => (
+          <tr key={f} className="align-top border-t">
+            <td className="w-24 py-1 text-gray-500">{t(`field.${f}`)}</td>
+            <td className="py-1 pr-2 break-words text-red-700 line-through decoration-red-300">{displayField(f, before[f], t)}</td>
+            <td className="py-1 break-words text-green-700">{displayField(f, after[f], t)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/** Without `onRestore` (exported site) the history is read-only. */
+export function HistoryPanel({ item, onRestore }) {
+  const { lang, t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [expanded, setExpanded] = useState(null); // index of the revision showing its diff
+  const revisions = item.revisions || [];
+  if (!revisions.length) return null;
+
+  const when = (r) => (r.at ? new Date(r.at).toLocaleString(lang) : t("history.beforeHistory"));
+
+  return (
+    <div className="mt-6">
+      <button onClick={() => setOpen(!open)} className="inline-flex items-center gap-1 text-xs uppercase tracking-wide text-gray-400 hover:text-gray-700">
+        <History className="w-3.5 h-3.5" /> {t("history.title", { n: revisions.length })}
+      </button>
+      {open && (
+        <ol className="mt-2 space-y-1">
+          {revisions.map((r, i) => ({ r, i })).reverse().map(({ r, i }) => {
+            const latest = i === revisions.length - 1;
+            return (
+              <li key={i} className="rounded-xl border px-3 py-2 text-sm">
+                <div className="flex flex-wrap items-center gap-x-2 gap-y-1">
+                  <button onClick={() => setExpanded(expanded === i ? null : i)} className="font-medium hover:underline">
+                    {when(r)}
+                  </button>
+                  {r.editor && <span className="text-gray-500">{t("history.by", { name: r.editor })}</span>}
+                  {latest && <span className="rounded-lg bg-gray-100 px-1.5 text-xs text-gray-600">{t("history.current")}</span>}
+                  {!latest && onRestore && (
+                    <button
+                      onClick={() => { if (confirm(t("history.confirmRestore", { date: when(r) }))) onRestore(r); }}
+                      className="ml-auto inline-flex items-center gap-1 rounded-lg border px-2 py-0.5 text-xs hover:bg-gray-50"
+                    >
+                      <RotateCcw className="w-3 h-3" /> {t("history.restore")}
+                    </button>
+                  )}
+                </div>
+                {r.note && <p className="mt-0.5 text-gray-700">{r.note}</p>}
+                {expanded === i && (
+                  <div className="mt-2">
+                    {i === 0 ? (
+                      <p className="text-xs text-gray-500">{t("history.first")}</p>
+                    ) : (
+                      <RevisionDiff before={revisions[i - 1].snapshot} after={r.snapshot} />
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
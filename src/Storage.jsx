@@ -0,0 +1,406 @@
+import React, { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { HardDrive } from "lucide-react";
+import { migrate } from "./schema.js";
+import { externalizeDocumentMedia, inlineDocumentMedia, mediaCache } from "./mediaStore.js";
+import { localizedError, useI18n } from "./i18n.jsx";
+
+/* ---------------------- storage backends ----------------------
+   Where the user's document (see schema.js) is kept. An adapter is
+
+     { kind, load(): Promise<doc|null>, save(doc): Promise<{ doc?, conflicts? }> }
+
+   `load` resolves to the migrated document, or null when nothing is saved
+   there yet. "local" and "indexeddb" keep it in this browser; "server"
+   talks to a sync server (server/sync-server.js, or anything answering
+   the same two routes) so several people can edit one timeline:
+
+     GET /document                    → 200 { revision, doc } | 404
+     PUT /document  If-Match: <rev>   → 200 { revision } | 409 { revision, doc }
+
+   A 409 means someone else saved first. The adapter then merges per id,
+   three ways: the server's document as we last saw it, ours and the
+   server's new one. A change on one side wins; an entry changed on both
+   sides is a conflict. Until the user picks a version, a conflicting entry
+   goes to the server as the server has it. `save` and `pull` resolve with
+   the merged document for the app to take in.
+
+   Uploaded images live in this browser's IndexedDB (mediaStore.js), so the
+   server adapter sends them inline as data URLs and stores what it
+   receives back into IndexedDB; the app only ever sees refs. */
+
+export const BACKEND = { LOCAL: "local", INDEXEDDB: "indexeddb", SERVER: "server" };
+
+const SETTINGS_KEY = "timeline-storage-v1"; // { kind, url }
+// the document itself, for the "local" backend
+const DOCUMENT_KEY = "timeline-document";
+// before the envelope each part had its own key; read once, then removed
+const LEGACY_KEYS = {
+  items: "timeline-items-v1",
+  periods: "timeline-periods-v1",
+  registry: "timeline-registry-v1",
+  deleted: "timeline-deleted-v1", // shipped items removed locally
+  disabledDatasets: "timeline-datasets-v1", // ids of switched-off datasets
+  presets: "timeline-presets-v1",
+  collections: "timeline-collections-v1",
+};
+
+export function readStorageSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
+    const kind = Object.values(BACKEND).includes(raw?.kind) ? raw.kind : BACKEND.LOCAL;
+    return { kind, url: kind === BACKEND.SERVER ? String(raw.url || "") : "" };
+  } catch {
+    return { kind: BACKEND.LOCAL, url: "" };
+  }
+}
+
+export function writeStorageSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/* ---------------------- three-way merge ---------------------- */
+
+const same = (a, b) => a === b || (!!a && !!b && JSON.stringify(a) === JSON.stringify(b));
+// documents differ by their save time alone after every save
+const sameContent = (a, b) => !!a && !!b && same({ ...a, savedAt: null }, { ...b, savedAt: null });
+
+/**
+ * Merge lists of `{ id }` records. Order follows `mine`, with records only
+ * `theirs` has appended. `onConflict(id, mine, theirs)` is called for ids
+ * changed on both sides (either may be undefined: deleted); mine is kept.
+ */
+function mergeList(base = [], mine = [], theirs = [], onConflict) {
+  const index = (list) => new Map(list.map((x) => [x.id, x]));
+  const [b, m, t] = [index(base), index(mine), index(theirs)];
+  const ids = [...m.keys(), ...[...t.keys()].filter((id) => !m.has(id))];
+  const out = [];
+  for (const id of ids) {
+    const [x, y, z] = [b.get(id), m.get(id), t.get(id)];
+    let pick = y;
+    if (same(y, z) || same(x, z)) pick = y;
+    else if (same(x, y)) pick = z;
+    else onConflict?.(id, y, z);
+    if (pick) out.push(pick);
+  }
+  return out;
+}
+
+/** Ids removed on either side stay removed; ids restored on either side come back. */
+function mergeSet(base = [], mine = [], theirs = []) {
+  const b = new Set(base);
+  const out = new Set([...mine, ...theirs]);
+  for (const id of b) if (!mine.includes(id) || !theirs.includes(id)) out.delete(id);
+  return [...out];
+}
+
+/**
+ * Three-way merge of two documents that both started from `base`.
+ * Only item conflicts are reported; for periods, people, places, presets,
+ * collections and custom fields changed on both sides ours is kept.
+ */
+export function mergeDocuments(base, mine, theirs) {
+  const b = base || {};
+  const conflicts = [];
+  const doc = {
+    ...theirs,
+    ...mine,
+    items: mergeList(b.items, mine.items, theirs.items, (id, m, t) => conflicts.push({ id, mine: m || null, theirs: t || null })),
+    deleted: mergeSet(b.deleted, mine.deleted, theirs.deleted),
+    periods: mergeList(b.periods, mine.periods, theirs.periods),
+    presets: mergeList(b.presets, mine.presets, theirs.presets),
+    collections: mergeList(b.collections, mine.collections, theirs.collections),
+    fields: mergeList(b.fields, mine.fields, theirs.fields),
+    registry: {
+      ...mine.registry,
+      people: mergeList(b.registry?.people, mine.registry?.people, theirs.registry?.people),
+      places: mergeList(b.registry?.places, mine.registry?.places, theirs.registry?.places),
+    },
+  };
+  return { doc, conflicts };
+}
+
+/* ---------------------- adapters ---------------------- */
+
+function localStorageAdapter() {
+  let legacy = false;
+  return {
+    kind: BACKEND.LOCAL,
+    async load() {
+      const raw = localStorage.getItem(DOCUMENT_KEY);
+      if (raw) return migrate(JSON.parse(raw));
+      const old = {};
+      for (const [field, key] of Object.entries(LEGACY_KEYS)) {
+        const value = localStorage.getItem(key);
+        if (value != null) old[field] = JSON.parse(value);
+      }
+      if (!Object.keys(old).length) return null;
+      legacy = true;
+      return migrate(old);
+    },
+    async save(doc) {
+      localStorage.setItem(DOCUMENT_KEY, JSON.stringify(doc));
+      if (legacy) Object.values(LEGACY_KEYS).forEach((key) => localStorage.removeItem(key));
+      legacy = false;
+      return {};
+    },
+  };
+}
+
+const IDB_NAME = "timeline-data";
+const IDB_STORE = "documents";
+
+function idbRun(mode, fn) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(localizedError("storage.noIndexedDB"));
+      return;
+    }
+    const open = indexedDB.open(IDB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(IDB_STORE);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const tx = db.transaction(IDB_STORE, mode);
+      const req = fn(tx.objectStore(IDB_STORE));
+      tx.oncomplete = () => { db.close(); resolve(req.result); };
+      tx.onerror = tx.onabort = () => { db.close(); reject(tx.error || req.error); };
+    };
+  });
+}
+
+/** Same document as "local", without the ~5 MB localStorage quota. */
+function indexedDBAdapter() {
+  return {
+    kind: BACKEND.INDEXEDDB,
+    async load() {
+      const doc = await idbRun("readonly", (store) => store.get("current"));
+      return doc ? migrate(doc) : null;
+    },
+    async save(doc) {
+      await idbRun("readwrite", (store) => store.put(doc, "current"));
+      return {};
+    },
+  };
+}
+
+function serverAdapter(url) {
+  const endpoint = `${url.replace(/\/+$/, "")}/document`;
+  let revision = null; // the server's revision, as last seen
+  let server = null; // its document at that revision; ours is always built on it
+  const held = new Set(); // conflicting ids, saved as the server has them until resolved
+  const media = mediaCache(); // so images keep their refs across round trips
+
+  async function request(method, body) {
+    const headers = { Accept: "application/json" };
+    if (body) headers["Content-Type"] = "application/json";
+    if (body && revision != null) headers["If-Match"] = `"${revision}"`;
+    let res;
+    try {
+      res = await fetch(endpoint, { method, headers, body: body && JSON.stringify(body) });
+    } catch (err) {
+      throw localizedError("storage.unreachable", { url, message: err?.message || err });
+    }
+    if (!res.ok && res.status !== 404 && res.status !== 409) {
+      throw localizedError("storage.serverError", { status: res.status, message: (await res.text().catch(() => "")) || res.statusText });
+    }
+    return { status: res.status, body: res.status === 404 ? null : await res.json() };
+  }
+
+  /** Our document with held entries as the server has them. */
+  function outgoing(doc) {
+    if (!held.size) return doc;
+    const theirs = new Map((server?.items || []).map((it) => [it.id, it]));
+    const items = doc.items.filter((it) => !held.has(it.id) || theirs.has(it.id)).map((it) => (held.has(it.id) ? theirs.get(it.id) : it));
+    for (const id of held) if (theirs.has(id) && !items.some((it) => it.id === id)) items.push(theirs.get(id));
+    return { ...doc, items };
+  }
+
+  /** The server's document with its images moved into IndexedDB. */
+  function receive(body) {
+    return externalizeDocumentMedia(migrate(body.doc), media);
+  }
+
+  /** Merge the server's newer document into ours. */
+  async function absorb(doc, body) {
+    const theirs = await receive(body);
+    const merged = mergeDocuments(server, doc, theirs);
+    for (const c of merged.conflicts) held.add(c.id);
+    server = theirs;
+    revision = body.revision;
+    return merged;
+  }
+
+  return {
+    kind: BACKEND.SERVER,
+    async load() {
+      const { status, body } = await request("GET");
+      if (status === 404) return null;
+      server = await receive(body);
+      revision = body.revision;
+      return server;
+    },
+    async save(doc) {
+      let local = doc;
+      let conflicts = [];
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const out = outgoing(local);
+        if (!sameContent(out, server)) {
+          const { status, body } = await request("PUT", await inlineDocumentMedia(out, media));
+          if (status === 409) {
+            ({ doc: local, conflicts } = await absorb(local, body));
+            continue;
+          }
+          revision = body.revision;
+          server = out;
+        }
+        return local === doc ? { conflicts } : { doc: local, conflicts };
+      }
+      throw localizedError("storage.busy");
+    },
+    /** Fetch what others saved; null when nothing changed. */
+    async pull(doc) {
+      const { status, body } = await request("GET");
+      if (status === 404 || body.revision === revision) return null;
+      return absorb(doc, body);
+    },
+    /** Settle a conflict: ours goes out with the next save, or the app takes theirs in. */
+    resolve(id) {
+      held.delete(id);
+    },
+  };
+}
+
+export function createAdapter({ kind, url }) {
+  if (kind === BACKEND.INDEXEDDB) return indexedDBAdapter();
+  if (kind === BACKEND.SERVER) return serverAdapter(url);
+  return localStorageAdapter();
+}
+
+/**
+ * The configured backend and its document. `error` ({ key, error }) is set
+ * when the document can't be read (unreachable server, corrupt data, or
+ * saved by a newer version of the app); the app then starts empty and must
+ * not save over it.
+ */
+export async function openStorage() {
+  const settings = readStorageSettings();
+  const adapter = createAdapter(settings);
+  try {
+    return { settings, adapter, doc: (await adapter.load()) || migrate({}) };
+  } catch (err) {
+    return {
+      settings,
+      adapter,
+      doc: migrate({}),
+      error: { key: "storage.loadFailed", error: err },
+    };
+  }
+}
+
+/**
+ * Runs saves and pulls one at a time. Saves coalesce: while one runs only
+ * the newest document waits. A result carrying a merged document drops
+ * the waiting save — it was built before the merge, and the app saves
+ * again once it has taken the merge in.
+ */
+export function createSyncQueue(adapter, { onResult, onError }) {
+  let chain = Promise.resolve();
+  let waiting = null;
+  const settle = async (sent, job) => {
+    try {
+      const result = await job();
+      if (result?.doc) waiting = null;
+      if (result) onResult(result, sent);
+    } catch (err) {
+      onError(err);
+    }
+  };
+  return {
+    save(doc) {
+      const queued = waiting;
+      waiting = doc;
+      if (queued) return;
+      chain = chain.then(() => {
+        const doc = waiting;
+        if (!doc) return;
+        waiting = null;
+        return settle(doc, () => adapter.save(doc));
+      });
+    },
+    pull(getDoc) {
+      if (!adapter.pull) return;
+      chain = chain.then(() => {
+        const doc = getDoc();
+        return settle(doc, () => adapter.pull(doc));
+      });
+    },
+  };
+}
+
+/* ---------------------- panel ---------------------- */
+const KIND_LABELS = { [BACKEND.LOCAL]: "storage.local", [BACKEND.INDEXEDDB]: "storage.indexeddb", [BACKEND.SERVER]: "storage.server" };
+
+/** Where `settings` keep the data, for messages: the server's URL or the browser store's name. */
+export function storageLabel(settings, t) {
+  return settings.kind === BACKEND.SERVER ? settings.url : t(KIND_LABELS[settings.kind]);
+}
+
+export function StoragePanel({ settings, lastSaved, onSwitch }) {
+  const { lang, t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [kind, setKind] = useState(settings.kind);
+  const [url, setUrl] = useState(settings.url || "http://localhost:8787");
+  const changed = kind !== settings.kind || (kind === BACKEND.SERVER && url.trim() !== settings.url);
+
+  return (
+    <div className="mt-6">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between text-xs uppercase tracking-wide text-gray-400 mb-2"
+      >
+        <span className="inline-flex items-center gap-1"><HardDrive className="w-3.5 h-3.5" /> {t("storage.title")}</span>
+        <span>{open ? t("collections.hide") : t("collections.show")}</span>
+      </button>
+
+      <AnimatePresence initial={false}>
+        {open && (
+          <motion.form
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className="overflow-hidden space-y-2 px-2 text-sm"
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (changed) onSwitch({ kind, url: kind === BACKEND.SERVER ? url.trim() : "" });
+            }}
+          >
+            <div className="text-xs text-gray-500">
+              {t("storage.current", { where: storageLabel(settings, t) })}
+              {lastSaved ? ` · ${t("storage.lastSaved", { time: lastSaved.toLocaleTimeString(lang) })}` : ""}
+            </div>
+            <select value={kind} onChange={(e) => setKind(e.target.value)} className="w-full rounded-xl border px-2 py-1.5">
+              {Object.values(BACKEND).map((k) => (
+                <option key={k} value={k}>{t(KIND_LABELS[k])}</option>
+              ))}
+            </select>
+            {kind === BACKEND.SERVER && (
+              <input
+                type="url"
+                required
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                placeholder="http://localhost:8787"
+                className="w-full rounded-xl border px-2 py-1.5"
+              />
+            )}
+            <button type="submit" disabled={!changed} className="rounded-xl bg-gray-900 text-white px-3 py-1.5 hover:bg-black disabled:opacity-40">
+              {t("storage.switch")}
+            </button>
+            <p className="text-xs text-gray-400">{t("storage.hint")}</p>
+          </motion.form>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useId, useState } from "react";
+import { X } from "lucide-react";
+import { useI18n } from "./i18n.jsx";
+
+/* ---------------------- tag input ----------------------
+   Free-text list editor used for places, events and people. Enter or a
+   comma adds the typed value; Backspace on an empty box removes the last
+   tag. `suggestions` feed a <datalist> so existing values are reused. */
+
+export default function TagInput({ value, onChange, suggestions = [], placeholder, required = false }) {
+  const { t } = useI18n();
+  const [text, setText] = useState("");
+  const listId = useId();
+
+  function add(raw) {
+    const v = raw.trim();
+    if (v && !value.includes(v)) onChange([...value, v]);
+    setText("");
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "Enter" || e.key === ",") {
+      if (!text.trim()) {
+        // let Enter on an empty box submit the form as before
+        if (e.key === ",") e.preventDefault();
+        return;
+      }
+      e.preventDefault();
+      add(text);
+    } else if (e.key === "Backspace" && !text && value.length) {
+      onChange(value.slice(0, -1));
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 rounded-xl border px-2 py-1.5 focus-within:ring-2 focus-within:ring-gray-300">
+      {value.map((v) => (
+        <span key={v} className="inline-flex items-center gap-1 rounded-lg bg-gray-100 px-2 py-0.5 text-xs">
+          {v}
+          <button
+            type="button"
+            onClick={() => onChange(value.filter((x) => x !== v))}
+            className="text-gray-400 hover:text-gray-700"
+            title={t("filters.remove", { value: v })}
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+      <input
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={onKeyDown}
+        onBlur={() => add(text)}
+        list={suggestions.length ? listId : undefined}
+        required={required && value.length === 0}
+        placeholder={value.length ? "" : placeholder}
+        className="flex-1 min-w-[6rem] px-1 py-0.5 outline-none"
+      />
+      {suggestions.length > 0 && (
+        <datalist id={listId}>
+          {suggestions.filter((s) => !value.includes(s)).map((s) => (<option key={s} value={s} />))}
+        </datalist>
+      )}
+    </div>
+  );
+}
+
+/* ---------------------- multi-select filter ----------------------
+   Chips for the chosen values plus a <select> to add one more.
+   An empty selection means "All". */
+
+export function MultiSelect({ value, onChange, options, label }) {
+  const { t } = useI18n();
+  const remaining = options.filter((o) => !value.includes(o));
+  return (
+    <div className="flex flex-col gap-1">
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {value.map((v) => (
+            <span key={v} className="inline-flex items-center gap-1 rounded-lg bg-gray-900 text-white px-2 py-0.5 text-xs">
+              {v}
+              <button onClick={() => onChange(value.filter((x) => x !== v))} title={t("filters.remove", { value: v })}>
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <select
+        value=""
+        onChange={(e) => e.target.value && onChange([...value, e.target.value])}
+        className="w-full rounded-xl border px-3 py-2 text-sm"
+        aria-label={label}
+      >
+        <option value="">{value.length ? t("filters.addValue", { label: label.toLowerCase() }) : t("filters.all")}</option>
+        {remaining.map((o) => (<option key={o} value={o}>{o}</option>))}
+      </select>
+    </div>
+  );
+}
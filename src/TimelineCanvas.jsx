@@ -0,0 +1,337 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Maximize2 } from "lucide-react";
+import { yearSpan, formatDate } from "./dates.js";
+import { periodSpan } from "./Periods.jsx";
+import { useI18n } from "./i18n.jsx";
+
+/* ---------------------- proportional timeline ----------------------
+   Entries sit on a continuous year axis. The visible window is kept in
+   fractional years and mirrored into the yearFrom/yearTo filters. */
+
+const MIN_SPAN = 0.25; // three months
+const CLUSTER_PX = 14;
+const MAX_LANES = 4;
+const TICK_STEPS_MONTHS = [1200, 600, 300, 120, 60, 24, 12, 6, 3, 1];
+
+function clampWindow([a, b], lo, hi) {
+  const span = Math.min(Math.max(b - a, MIN_SPAN), hi - lo);
+  const start = Math.min(Math.max(a, lo), hi - span);
+  return [start, start + span];
+}
+
+function useWidth(ref) {
+  const [width, setWidth] = useState(0);
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const ro = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [ref]);
+  return width;
+}
+
+function monthLabel(monthIndex, lang) {
+  const dt = new Date(Date.UTC(2000, monthIndex % 12, 1));
+  return dt.toLocaleDateString(lang, { month: "short", timeZone: "UTC" });
+}
+
+function buildTicks([a, b], width, lang) {
+  const span = b - a;
+  const maxTicks = Math.max(2, Math.floor(width / 70));
+  const step =
+    [...TICK_STEPS_MONTHS].reverse().find((m) => (span * 12) / m <= maxTicks) ||
+    TICK_STEPS_MONTHS[0];
+  const ticks = [];
+  for (let i = Math.ceil((a * 12) / step) * step; i <= b * 12; i += step) {
+    const t = i / 12;
+    const label = i % 12 === 0 ? String(Math.floor(t)) : monthLabel(i, lang);
+    ticks.push({ t, label, major: i % 12 === 0 });
+  }
+  return ticks;
+}
+
+export default function TimelineCanvas({
+  items,
+  selectedId,
+  onSelect,
+  yearFrom,
+  yearTo,
+  onRangeChange,
+  minYear,
+  maxYear,
+  periods = [],
+}) {
+  const { lang, t } = useI18n();
+  const lo = minYear;
+  const hi = maxYear + 1;
+  const ref = useRef(null);
+  const width = useWidth(ref);
+  const [win, setWin] = useState(() => clampWindow([yearFrom, yearTo + 1], lo, hi));
+  const [openCluster, setOpenCluster] = useState(null);
+  const winRef = useRef(win);
+  winRef.current = win;
+
+  // follow the year filters when they are edited elsewhere
+  useEffect(() => {
+    setWin((w) =>
+      Math.floor(w[0]) === yearFrom && Math.ceil(w[1]) - 1 === yearTo
+        ? w
+        : clampWindow([yearFrom, yearTo + 1], lo, hi)
+    );
+  }, [yearFrom, yearTo, lo, hi]);
+
+  function commit(next) {
+    const w = clampWindow(next, lo, hi);
+    setWin(w);
+    setOpenCluster(null);
+    onRangeChange(Math.floor(w[0]), Math.max(Math.floor(w[0]), Math.ceil(w[1]) - 1));
+  }
+  const commitRef = useRef(commit);
+  commitRef.current = commit;
+
+  function zoom(factor, pivotFraction = 0.5) {
+    const [a, b] = winRef.current;
+    const pivot = a + (b - a) * pivotFraction;
+    const span = (b - a) * factor;
+    commit([pivot - span * pivotFraction, pivot + span * (1 - pivotFraction)]);
+  }
+  const zoomRef = useRef(zoom);
+  zoomRef.current = zoom;
+
+  function pan(fraction) {
+    const [a, b] = winRef.current;
+    const d = (b - a) * fraction;
+    commit([a + d, b + d]);
+  }
+
+  // wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    function onWheel(e) {
+      e.preventDefault();
+      const rect = el.getBoundingClientRect();
+      const f = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+      if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+        const [a, b] = winRef.current;
+        const d = (e.deltaX / rect.width) * (b - a);
+        commitRef.current([a + d, b + d]);
+      } else {
+        zoomRef.current(e.deltaY > 0 ? 1.2 : 1 / 1.2, f);
+      }
+    }
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, []);
+
+  // drag to pan; a drag suppresses the click that follows it
+  const drag = useRef(null);
+  function onPointerDown(e) {
+    if (e.button !== 0) return;
+    drag.current = { x: e.clientX, win: winRef.current, moved: false, id: e.pointerId };
+  }
+  function onPointerMove(e) {
+    const d = drag.current;
+    if (!d || !width) return;
+    const dx = e.clientX - d.x;
+    if (!d.moved && Math.abs(dx) < 4) return;
+    if (!d.moved) {
+      d.moved = true;
+      e.currentTarget.setPointerCapture(d.id);
+    }
+    const shift = (-dx / width) * (d.win[1] - d.win[0]);
+    commit([d.win[0] + shift, d.win[1] + shift]);
+  }
+  function onPointerUp() {
+    const d = drag.current;
+    drag.current = null;
+    if (d?.moved) {
+      // swallow the click generated by this drag
+      const stop = (ev) => { ev.stopPropagation(); window.removeEventListener("click", stop, true); };
+      window.addEventListener("click", stop, true);
+      setTimeout(() => window.removeEventListener("click", stop, true), 0);
+    }
+  }
+
+  const [a, b] = win;
+  const toX = (year) => ((year - a) / (b - a)) * width;
+
+  const { clusters, bars } = useMemo(() => {
+    const points = [];
+    const ranges = [];
+    for (const it of items) {
+      const span = yearSpan(it.date);
+      if (!span) continue;
+      if (it.date.end) ranges.push({ it, span });
+      else points.push({ it, t: span[0] });
+    }
+
+    points.sort((p, q) => p.t - q.t);
+    const clusters = [];
+    for (const p of points) {
+      const x = toX(p.t);
+      if (x < -CLUSTER_PX || x > width + CLUSTER_PX) continue;
+      const last = clusters[clusters.length - 1];
+      if (last && x - last.x1 < CLUSTER_PX) {
+        last.members.push(p);
+        last.x1 = x;
+      } else {
+        clusters.push({ x0: x, x1: x, members: [p] });
+      }
+    }
+
+    ranges.sort((p, q) => p.span[0] - q.span[0]);
+    const laneEnds = [];
+    const bars = [];
+    for (const r of ranges) {
+      const x0 = toX(r.span[0]);
+      const x1 = toX(r.span[1]);
+      if (x1 < 0 || x0 > width) continue;
+      let lane = laneEnds.findIndex((end) => end < x0 - 4);
+      if (lane === -1) lane = laneEnds.length < MAX_LANES ? laneEnds.length : MAX_LANES - 1;
+      laneEnds[lane] = Math.max(laneEnds[lane] ?? -Infinity, x1);
+      bars.push({ ...r, x0, x1, lane });
+    }
+    return { clusters, bars };
+  }, [items, a, b, width]);
+
+  const ticks = useMemo(() => (width ? buildTicks(win, width, lang) : []), [win, width, lang]);
+
+  function onClusterClick(c, key) {
+    if (c.members.length === 1) {
+      onSelect(c.members[0].it.id);
+      return;
+    }
+    const t0 = c.members[0].t;
+    const t1 = c.members[c.members.length - 1].t;
+    if (t1 - t0 > MIN_SPAN / 50 && b - a > MIN_SPAN) {
+      const pad = Math.max((t1 - t0) * 0.25, MIN_SPAN / 4);
+      commit([t0 - pad, t1 + pad]);
+    } else {
+      setOpenCluster(openCluster === key ? null : key);
+    }
+  }
+
+  const axisY = 64;
+  const height = axisY + 28 + MAX_LANES * 14;
+
+  return (
+    <div className="border-b bg-white">
+      <div className="flex items-center justify-between gap-2 px-4 pt-3 text-sm">
+        <div className="text-gray-500">
+          {Math.floor(a)} – {Math.ceil(b) - 1}
+          <span className="ml-2 text-xs text-gray-400">{t("canvas.hint")}</span>
+        </div>
+        <div className="inline-flex rounded-xl overflow-hidden border">
+          <button onClick={() => pan(-0.25)} className="px-2 py-1.5 hover:bg-gray-50" title={t("canvas.earlier")}>
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <button onClick={() => zoom(1 / 1.5)} className="px-2 py-1.5 hover:bg-gray-50" title={t("canvas.zoomIn")}>
+            <ZoomIn className="w-4 h-4" />
+          </button>
+          <button onClick={() => zoom(1.5)} className="px-2 py-1.5 hover:bg-gray-50" title={t("canvas.zoomOut")}>
+            <ZoomOut className="w-4 h-4" />
+          </button>
+          <button onClick={() => commit([lo, hi])} className="px-2 py-1.5 hover:bg-gray-50" title={t("canvas.all")}>
+            <Maximize2 className="w-4 h-4" />
+          </button>
+          <button onClick={() => pan(0.25)} className="px-2 py-1.5 hover:bg-gray-50" title={t("canvas.later")}>
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div
+        ref={ref}
+        className="relative mx-4 my-2 select-none cursor-grab active:cursor-grabbing overflow-hidden touch-none"
+        style={{ height }}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        {/* period bands behind everything else */}
+        {periods.map((p) => {
+          const span = periodSpan(p);
+          if (!span) return null;
+          const x0 = Math.max(toX(span[0]), 0);
+          const x1 = Math.min(toX(span[1]), width);
+          if (x1 <= x0) return null;
+          return (
+            <div
+              key={p.id}
+              className="absolute inset-y-0 border-x border-white/60 pointer-events-none"
+              style={{ left: x0, width: x1 - x0, background: p.color, opacity: 0.45 }}
+            >
+              <div className="truncate px-1 pt-0.5 text-[10px] font-medium text-gray-700">{p.title}</div>
+            </div>
+          );
+        })}
+
+        {/* axis */}
+        <div className="absolute inset-x-0 border-t-2 border-gray-200" style={{ top: axisY }} />
+        {ticks.map((tk) => (
+          <div key={tk.t} className="absolute" style={{ left: toX(tk.t), top: axisY }}>
+            <div className={`w-px ${tk.major ? "h-2 bg-gray-400" : "h-1.5 bg-gray-300"}`} />
+            <div className="-translate-x-1/2 text-[10px] text-gray-500 whitespace-nowrap">{tk.label}</div>
+          </div>
+        ))}
+
+        {/* point events, clustered when they overlap */}
+        {clusters.map((c) => {
+          const key = `${c.members[0].it.id}-${c.members.length}`;
+          const x = (c.x0 + c.x1) / 2;
+          const active = c.members.some((m) => m.it.id === selectedId);
+          const single = c.members.length === 1 ? c.members[0].it : null;
+          return (
+            <div key={key} className="absolute" style={{ left: x, top: axisY - 14 }}>
+              <button
+                onClick={() => onClusterClick(c, key)}
+                title={single ? `${single.title} — ${formatDate(single.date, lang)}` : t("app.items", { n: c.members.length })}
+                className={`-translate-x-1/2 flex items-center justify-center rounded-full border-2 border-white shadow ${
+                  single ? "h-3.5 w-3.5" : "h-6 w-6 -mt-1 text-[10px] font-semibold"
+                } ${active ? "bg-gray-900 text-white" : single ? "bg-gray-400 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+              >
+                {single ? null : c.members.length}
+              </button>
+              {single && active && (
+                <div className="absolute bottom-6 -translate-x-1/2 max-w-[14rem] truncate rounded-lg bg-gray-900 px-2 py-0.5 text-xs text-white">
+                  {single.title}
+                </div>
+              )}
+              {openCluster === key && (
+                <div className="absolute z-10 top-6 -translate-x-1/2 w-56 max-h-48 overflow-y-auto rounded-xl border bg-white shadow-lg p-1 text-left">
+                  {c.members.map(({ it }) => (
+                    <button
+                      key={it.id}
+                      onClick={() => { onSelect(it.id); setOpenCluster(null); }}
+                      className={`block w-full truncate rounded-lg px-2 py-1 text-left text-xs ${it.id === selectedId ? "bg-gray-900 text-white" : "hover:bg-gray-50"}`}
+                    >
+                      {it.title}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+
+        {/* ranged entries as bars below the axis */}
+        {bars.map(({ it, x0, x1, lane }) => {
+          const active = it.id === selectedId;
+          const left = Math.max(x0, 0);
+          return (
+            <button
+              key={it.id}
+              onClick={() => onSelect(it.id)}
+              title={`${it.title} — ${formatDate(it.date, lang)}`}
+              className={`absolute h-2.5 rounded-full ${active ? "bg-gray-900" : "bg-gray-300 hover:bg-gray-500"}`}
+              style={{ left, width: Math.max(Math.min(x1, width) - left, 4), top: axisY + 26 + lane * 14 }}
+            />
+          );
+        })}
+      </div>
+    </div>
+  );
+}
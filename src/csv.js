@@ -0,0 +1,166 @@
+import { stringifyDate } from "./dates.js";
+import { foldKey } from "./Registry.jsx";
+import { LANGS } from "./i18n.jsx";
+import { parseFieldValue } from "./CustomFields.jsx";
+
+/* ---------------------- CSV / TSV ----------------------
+   Spreadsheet round trip. One row per item; list fields (place, event,
+   person, image, video) are joined with "; ". Dates use the same text
+   form as the date parser ("c. 1829/1852"), so they read back exactly.
+   Uploaded images have no URL and are left out. `title`/`description`
+   are in the row's `lang`; `title_es`, `description_en`… hold the
+   translations, and `custom:<id>` the value of each custom field. */
+
+const TRANSLATION_FIELDS = LANGS.flatMap((l) => [`title_${l}`, `description_${l}`]);
+const TRANSLATION_RE = /^(title|description)_(\w+)$/;
+export const CSV_FIELDS = ["id", "title", "date", "place", "event", "person", "description", "image", "video", "lang", ...TRANSLATION_FIELDS];
+const LIST_FIELDS = new Set(["place", "event", "person", "image", "video"]);
+const LIST_SEPARATOR = /\s*[;|\n]\s*/;
+const CUSTOM_PREFIX = "custom:";
+
+/** The column holding custom field `def`. */
+export const customColumn = (def) => CUSTOM_PREFIX + def.id;
+
+// header spellings recognised when guessing the column mapping
+const HEADER_ALIASES = {
+  id: ["id", "identifier"],
+  title: ["title", "titulo", "name", "nombre"],
+  date: ["date", "fecha", "year", "ano", "when"],
+  place: ["place", "places", "lugar", "lugares", "location", "where"],
+  event: ["event", "events", "evento", "eventos", "tags", "etiquetas"],
+  person: ["person", "people", "persona", "personas", "who"],
+  description: ["description", "descripcion", "notes", "notas", "text", "texto"],
+  image: ["image", "images", "imagen", "imagenes", "picture", "media", "url"],
+  video: ["video", "videos"],
+  lang: ["lang", "language", "idioma"],
+  ...Object.fromEntries(
+    TRANSLATION_FIELDS.map((f) => {
+      const [, field, l] = TRANSLATION_RE.exec(f);
+      const es = field === "title" ? "titulo" : "descripcion";
+      return [f, [f, `${field} ${l}`, `${es}_${l}`, `${es} ${l}`]];
+    })
+  ),
+};
+
+/** Pick the likely delimiter from the first line: tab, semicolon (Spanish Excel) or comma. */
+export function detectDelimiter(text) {
+  const line = String(text).split(/\r?\n/, 1)[0];
+  const count = (ch) => line.split(ch).length - 1;
+  if (count("\t") > 0) return "\t";
+  return count(";") > count(",") ? ";" : ",";
+}
+
+/**
+ * RFC 4180 parser: quoted fields may contain the delimiter, doubled
+ * quotes and line breaks. Returns an array of rows (arrays of strings);
+ * blank lines are skipped.
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const s = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else quoted = false;
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((v) => v !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((v) => v !== "")) rows.push(row);
+  return rows;
+}
+
+export function toDelimited(rows, delimiter = ",") {
+  const quote = (v) => {
+    const s = String(v ?? "");
+    return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map((r) => r.map(quote).join(delimiter)).join("\r\n");
+}
+
+/** Items → CSV/TSV text (with a BOM so Excel reads the accents as UTF-8); `fields` are the custom field definitions. */
+export function itemsToDelimited(items, delimiter = ",", fields = []) {
+  const urls = (it, type) => (it.media || []).filter((m) => m.type === type && m.url && !m.url.startsWith("data:")).map((m) => m.url);
+  const header = [...CSV_FIELDS, ...fields.map(customColumn)];
+  const rows = items.map((it) =>
+    header.map((f) => {
+      if (f.startsWith(CUSTOM_PREFIX)) return it.custom?.[f.slice(CUSTOM_PREFIX.length)] ?? "";
+      if (f === "date") return stringifyDate(it.date);
+      if (f === "image" || f === "video") return urls(it, f).join("; ");
+      const tr = TRANSLATION_RE.exec(f);
+      if (tr) return it.translations?.[tr[2]]?.[tr[1]] ?? "";
+      const v = it[f];
+      return Array.isArray(v) ? v.join("; ") : v ?? "";
+    })
+  );
+  return "\uFEFF" + toDelimited([header, ...rows], delimiter);
+}
+
+/** Best-guess field for each header ("" = ignore); a custom field also matches its id or label. */
+export function guessMapping(headers, fields = []) {
+  const aliases = {
+    ...HEADER_ALIASES,
+    ...Object.fromEntries(fields.map((def) => [customColumn(def), [customColumn(def), def.id, def.label].map(foldKey)])),
+  };
+  const used = new Set();
+  return headers.map((h) => {
+    const key = foldKey(h);
+    const field = Object.keys(aliases).find((f) => !used.has(f) && aliases[f].includes(key));
+    if (field) used.add(field);
+    return field || "";
+  });
+}
+
+/**
+ * Data rows → raw item objects for `coerceItem`. `mapping[i]` is the
+ * field for column i; several columns may feed the same list field.
+ * Custom field values are read as their definition in `fields` says
+ * (numbers as numbers); a value that doesn't fit is kept as text.
+ */
+export function rowsToItems(rows, mapping, fields = []) {
+  return rows.map((row) => {
+    const raw = {};
+    mapping.forEach((field, i) => {
+      const value = String(row[i] ?? "").trim();
+      if (!field || !value) return;
+      if (LIST_FIELDS.has(field)) raw[field] = [...(raw[field] || []), ...value.split(LIST_SEPARATOR).filter(Boolean)];
+      else raw[field] = raw[field] ? `${raw[field]}\n${value}` : value;
+    });
+    const { image = [], video = [], ...rest } = raw;
+    const translations = {};
+    const custom = {};
+    for (const key of Object.keys(rest)) {
+      const tr = TRANSLATION_RE.exec(key);
+      const def = fields.find((f) => customColumn(f) === key);
+      if (tr) translations[tr[2]] = { ...translations[tr[2]], [tr[1]]: rest[key] };
+      else if (def) custom[def.id] = parseFieldValue(def, rest[key]).value ?? rest[key];
+      else continue;
+      delete rest[key];
+    }
+    return {
+      ...rest,
+      translations,
+      custom,
+      media: [...image.map((url) => ({ type: "image", url })), ...video.map((url) => ({ type: "video", url }))],
+    };
+  });
+}
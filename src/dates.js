@@ -0,0 +1,160 @@
+/* ---------------------- fuzzy dates ----------------------
+   An item's date is `{ start, end, circa }` where `start`/`end` are
+   partial ISO strings: "1810" (year), "1976-03" (month) or
+   "1945-10-17" (day). `end` is "" for point events. Older data stored a
+   plain string, which `parseDate` still accepts. */
+
+export const PRECISION = { YEAR: "year", MONTH: "month", DAY: "day" };
+
+const MONTHS = {
+  jan: 1, ene: 1, feb: 2, mar: 3, apr: 4, abr: 4, may: 5, jun: 6, jul: 7,
+  aug: 8, ago: 8, sep: 9, set: 9, oct: 10, nov: 11, dec: 12, dic: 12,
+};
+
+const pad = (n, len = 2) => String(n).padStart(len, "0");
+
+function buildPart(y, m, d) {
+  if (!Number.isFinite(y) || y < 1 || y > 9999) return "";
+  if (!m || m < 1 || m > 12) return pad(y, 4);
+  if (!d || d < 1 || d > 31) return `${pad(y, 4)}-${pad(m)}`;
+  return `${pad(y, 4)}-${pad(m)}-${pad(d)}`;
+}
+
+/** Normalise one endpoint ("1976-03-24", "1976-03", "March 1976", "17 oct 1945") */
+function parsePart(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return "";
+  const iso = /^(\d{1,4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?(?:T.*)?$/.exec(s);
+  if (iso) return buildPart(+iso[1], +iso[2], +iso[3]);
+  const words = /^(?:(\d{1,2})\s+(?:de\s+)?)?([a-záéíóú]{3,})\.?\s+(?:de\s+)?(\d{1,4})$/i.exec(s);
+  if (words) {
+    const month = MONTHS[words[2].slice(0, 3).toLowerCase()];
+    if (month) return buildPart(+words[3], month, words[1] ? +words[1] : 0);
+  }
+  return "";
+}
+
+/** Accepts a date object or any legacy/free-text string; always returns `{ start, end, circa }`. */
+export function parseDate(raw) {
+  if (raw && typeof raw === "object") {
+    const start = parsePart(raw.start);
+    const end = parsePart(raw.end);
+    return { start, end: start && end !== start ? end : "", circa: !!raw.circa };
+  }
+  let s = String(raw ?? "").trim();
+  const circa = /^(?:c\.|ca\.|circa\b|~)\s*/i.test(s);
+  s = s
+    .replace(/^(?:c\.|ca\.|circa\b|~)\s*/i, "")
+    .replace(/\s*\(.*\)\s*$/, ""); // "1829–1852 (Rosas era)"
+  let [a, b = ""] = s.split(/\s*(?:–|—|\/|\.\.|\s-\s)\s*/);
+  const years = /^(\d{3,4})-(\d{3,4})$/.exec(s);
+  if (years) [a, b] = [years[1], years[2]];
+  return parseDate({ start: a, end: b, circa });
+}
+
+/** Canonical text form, e.g. "c. 1829/1852"; round-trips through parseDate. */
+export function stringifyDate(date) {
+  const d = parseDate(date);
+  if (!d.start) return "";
+  return `${d.circa ? "c. " : ""}${d.start}${d.end ? `/${d.end}` : ""}`;
+}
+
+export function datePrecision(part) {
+  const n = String(part || "").length;
+  return n >= 10 ? PRECISION.DAY : n >= 7 ? PRECISION.MONTH : n ? PRECISION.YEAR : "";
+}
+
+/** Change an endpoint's precision, keeping what can be kept. */
+export function withPrecision(part, precision) {
+  if (!part) return "";
+  const [y, m = "01", d = "01"] = part.split("-");
+  if (precision === PRECISION.YEAR) return y;
+  if (precision === PRECISION.MONTH) return `${y}-${m}`;
+  return `${y}-${m}-${d}`;
+}
+
+/** `[startYear, endYear]`, or null when the date could not be parsed. */
+export function yearRange(date) {
+  const d = parseDate(date);
+  if (!d.start) return null;
+  const from = parseInt(d.start, 10);
+  const to = d.end ? parseInt(d.end, 10) : from;
+  return [from, Math.max(from, to)];
+}
+
+function partToYears(part, atEnd) {
+  const [y, m = 1, d = 1] = part.split("-").map(Number);
+  const precision = datePrecision(part);
+  let t = y + (m - 1) / 12 + (d - 1) / 365;
+  if (atEnd) t += precision === PRECISION.YEAR ? 1 : precision === PRECISION.MONTH ? 1 / 12 : 1 / 365;
+  return t;
+}
+
+/**
+ * Position on a continuous year axis: `[from, to]` in fractional years,
+ * where `to` is the end of the last period covered (1810 → [1810, 1811]).
+ */
+export function yearSpan(date) {
+  const d = parseDate(date);
+  if (!d.start) return null;
+  const from = partToYears(d.start, false);
+  return [from, Math.max(from, partToYears(d.end || d.start, true))];
+}
+
+function sortKey(part) {
+  if (!part) return Infinity; // undated entries sort last
+  const [y, m = 0, d = 0] = part.split("-").map(Number);
+  return y * 10000 + m * 100 + d;
+}
+
+/** Latest day `part` covers, as a sort key ("1946" → 1946-12-31). */
+function endKey(part) {
+  const [y, m = 12, d = 31] = part.split("-").map(Number);
+  return y * 10000 + m * 100 + d;
+}
+
+/** Whether the range ends before it starts ("1852/1829"); a coarser end covers its whole period, so "1946-06/1946" is fine. */
+export function isInverted(date) {
+  const d = parseDate(date);
+  return !!d.end && endKey(d.end) < sortKey(d.start);
+}
+
+export function compareDates(a, b) {
+  const da = parseDate(a);
+  const db = parseDate(b);
+  const ka = sortKey(da.start);
+  const kb = sortKey(db.start);
+  if (ka !== kb) return ka < kb ? -1 : 1;
+  return sortKey(da.end || da.start) - sortKey(db.end || db.start) || 0;
+}
+
+function formatPart(part, locale) {
+  const precision = datePrecision(part);
+  if (precision === PRECISION.YEAR) return String(parseInt(part, 10));
+  const [y, m, d = 1] = part.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  dt.setUTCFullYear(y); // Date.UTC maps years 0–99 to 1900s
+  return dt.toLocaleDateString(locale, {
+    year: "numeric",
+    month: "short",
+    day: precision === PRECISION.DAY ? "2-digit" : undefined,
+    timeZone: "UTC",
+  });
+}
+
+/** Human-readable date; `locale` defaults to the browser's. */
+export function formatDate(date, locale) {
+  const d = parseDate(date);
+  if (!d.start) return typeof date === "string" ? date : "";
+  const text = d.end ? `${formatPart(d.start, locale)} – ${formatPart(d.end, locale)}` : formatPart(d.start, locale);
+  return d.circa ? `c. ${text}` : text;
+}
+
+/** Compact year label for lists: "1810", "c. 1810", "1829–1852". */
+export function formatYears(date) {
+  const d = parseDate(date);
+  const range = yearRange(d);
+  if (!range) return "";
+  const text = range[0] === range[1] ? String(range[0]) : `${range[0]}–${range[1]}`;
+  return d.circa ? `c. ${text}` : text;
+}
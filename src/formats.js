@@ -0,0 +1,411 @@
+import { parseDate, stringifyDate, formatYears } from "./dates.js";
+import { placeCoords } from "./MapView.jsx";
+
+/* ---------------------- interchange formats ----------------------
+   Exporters return text; importers return `{ items, periods, places }`
+   with raw objects for coerceItem / coercePeriod. Each format carries what
+   it can natively; the rest rides along in the format's own extension
+   point (TimelineJS ignores unknown keys, iCalendar has X- properties,
+   GeoJSON has free-form properties) so a round trip keeps it. */
+
+const splitPart = (part) => {
+  const [year, month, day] = String(part || "").split("-").map(Number);
+  return { year, month, day };
+};
+
+function joinPart({ year, month, day }) {
+  if (!Number.isFinite(Number(year))) return "";
+  const y = String(Math.trunc(year)).padStart(4, "0");
+  if (!month) return y;
+  const m = `${y}-${String(month).padStart(2, "0")}`;
+  return day ? `${m}-${String(day).padStart(2, "0")}` : m;
+}
+
+/* ---------------------- TimelineJS ----------------------
+   Knight Lab TimelineJS3 JSON: https://timeline.knightlab.com/docs/json-format.html
+   Periods become eras; `event` categories become the event `group`. */
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+function htmlToText(html) {
+  return String(html ?? "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>\s*<p[^>]*>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, e) => ({ amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", nbsp: " " })[e]);
+}
+
+function tlDate(part) {
+  if (!part) return undefined;
+  const { year, month, day } = splitPart(part);
+  return { year, ...(month ? { month } : {}), ...(day ? { day } : {}) };
+}
+
+export function toTimelineJS(items, periods, title) {
+  const events = items
+    .filter((it) => it.date?.start)
+    .map((it) => {
+      const [first, ...restMedia] = it.media || [];
+      return {
+        unique_id: it.id,
+        start_date: tlDate(it.date.start),
+        end_date: tlDate(it.date.end),
+        display_date: it.date.circa ? formatYears(it.date) : undefined,
+        text: { headline: escapeHtml(it.title), text: escapeHtml(it.description).replace(/\n/g, "<br>") },
+        media: first?.url ? { url: first.url, caption: first.caption || "" } : undefined,
+        group: it.event[0] || undefined,
+        // not part of the TimelineJS format; kept for round trips
+        timeline: { place: it.place, person: it.person, event: it.event, circa: it.date.circa, media: restMedia, citations: it.citations, relations: it.relations, lang: it.lang, translations: it.translations, custom: it.custom, updatedAt: it.updatedAt, revisions: it.revisions },
+      };
+    });
+  const eras = periods.map((p) => ({
+    start_date: tlDate(p.start),
+    end_date: tlDate(p.end),
+    text: { headline: escapeHtml(p.title), text: escapeHtml(p.description) },
+    timeline: { id: p.id, color: p.color },
+  }));
+  return JSON.stringify({ title: { text: { headline: escapeHtml(title) } }, events, eras }, null, 2);
+}
+
+export function isTimelineJS(parsed) {
+  return !!parsed && !Array.isArray(parsed) && Array.isArray(parsed.events);
+}
+
+export function fromTimelineJS(parsed) {
+  const part = (d) => (d ? joinPart(d) : "");
+  const items = parsed.events.map((e) => {
+    const extra = e.timeline || {};
+    const media = [
+      ...(e.media?.url ? [{ type: /youtu|vimeo|\.mp4$/i.test(e.media.url) ? "video" : "image", url: e.media.url, caption: e.media.caption ? htmlToText(e.media.caption) : undefined }] : []),
+      ...(Array.isArray(extra.media) ? extra.media : []),
+    ];
+    return {
+      id: e.unique_id,
+      title: htmlToText(e.text?.headline),
+      description: htmlToText(e.text?.text),
+      date: {
+        start: part(e.start_date),
+        end: part(e.end_date),
+        circa: extra.circa ?? /^\s*c(a|irca)?\.?\s/i.test(e.display_date || e.start_date?.display_date || ""),
+      },
+      place: extra.place,
+      person: extra.person,
+      event: extra.event ?? (e.group ? [e.group] : []),
+      citations: extra.citations,
+      relations: extra.relations,
+      lang: extra.lang,
+      translations: extra.translations,
+      custom: extra.custom,
+      updatedAt: extra.updatedAt,
+      revisions: extra.revisions,
+      media,
+    };
+  });
+  const periods = (Array.isArray(parsed.eras) ? parsed.eras : []).map((e) => ({
+    id: e.timeline?.id,
+    color: e.timeline?.color,
+    title: htmlToText(e.text?.headline),
+    description: htmlToText(e.text?.text),
+    start: part(e.start_date),
+    end: part(e.end_date),
+  }));
+  return { items, periods, places: [] };
+}
+
+/* ---------------------- iCalendar ----------------------
+   RFC 5545, one all-day VEVENT per dated entry. A year or month is a
+   multi-day event covering it (DTEND is exclusive); the exact fuzzy date
+   is also written as X-TIMELINE-DATE. Uploaded images can't be linked
+   and are left out. */
+
+const icsEscape = (s) => String(s ?? "").replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, "\\n");
+const icsUnescape = (s) => String(s ?? "").replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+const icsParam = (s) => String(s ?? "").replace(/["\r\n]/g, "'");
+
+/** Fold content lines at 75 octets (continuations start with a space). */
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      size = 0;
+    }
+    cur += ch;
+    size += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const ymd = (d) => `${String(d.getUTCFullYear()).padStart(4, "0")}${String(d.getUTCMonth() + 1).padStart(2, "0")}${String(d.getUTCDate()).padStart(2, "0")}`;
+
+function utc(y, m = 1, d = 1) {
+  const date = new Date(Date.UTC(2000, m - 1, d));
+  date.setUTCFullYear(y); // years < 100 would otherwise map to 19xx
+  return date;
+}
+
+/** Exclusive end of a partial ISO date: the day after the year/month/day it names. */
+function dayAfter(part) {
+  const { year, month, day } = splitPart(part);
+  if (!month) return utc(year + 1);
+  if (!day) return utc(year, month + 1);
+  return utc(year, month, day + 1);
+}
+
+export function toICS(items, title) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Timeline//Argentine history//EN", "CALSCALE:GREGORIAN", `X-WR-CALNAME:${icsEscape(title)}`];
+  for (const it of items) {
+    if (!it.date?.start) continue;
+    const { year, month, day } = splitPart(it.date.start);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${icsEscape(it.id)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${ymd(utc(year, month || 1, day || 1))}`,
+      `DTEND;VALUE=DATE:${ymd(dayAfter(it.date.end || it.date.start))}`,
+      `SUMMARY;LANGUAGE=${it.lang}:${icsEscape(it.title)}`,
+      `X-TIMELINE-DATE:${icsEscape(stringifyDate(it.date))}`
+    );
+    if (it.description) lines.push(`DESCRIPTION;LANGUAGE=${it.lang}:${icsEscape(it.description)}`);
+    // a calendar event has one SUMMARY; translations ride in X- properties
+    for (const [l, t] of Object.entries(it.translations || {})) {
+      if (t.title) lines.push(`X-TIMELINE-SUMMARY;LANGUAGE=${l}:${icsEscape(t.title)}`);
+      if (t.description) lines.push(`X-TIMELINE-DESCRIPTION;LANGUAGE=${l}:${icsEscape(t.description)}`);
+    }
+    if (it.place.length) lines.push(`LOCATION:${icsEscape(it.place.join("; "))}`);
+    if (it.event.length) lines.push(`CATEGORIES:${it.event.map(icsEscape).join(",")}`);
+    for (const p of it.person) lines.push(`X-TIMELINE-PERSON:${icsEscape(p)}`);
+    for (const c of it.citations || []) lines.push(`X-TIMELINE-CITATION:${icsEscape(JSON.stringify(c))}`);
+    if (Object.keys(it.custom || {}).length) lines.push(`X-TIMELINE-CUSTOM:${icsEscape(JSON.stringify(it.custom))}`);
+    for (const r of it.revisions || []) lines.push(`X-TIMELINE-REVISION:${icsEscape(JSON.stringify(r))}`);
+    // "part of" is the standard parent link; the other types are extensions
+    for (const r of it.relations || []) lines.push(`RELATED-TO;RELTYPE=${r.type === "part-of" ? "PARENT" : `X-TIMELINE-${r.type.toUpperCase()}`}:${icsEscape(r.target)}`);
+    for (const m of it.media || []) {
+      if (!m.url || m.url.startsWith("data:")) continue;
+      const params = [m.type === "video" ? "X-TIMELINE-TYPE=video" : "", m.caption ? `X-CAPTION="${icsParam(m.caption)}"` : ""];
+      lines.push(`ATTACH${params.filter(Boolean).map((p) => `;${p}`).join("")}:${m.url}`);
+    }
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+export function isICS(text) {
+  return /^\s*BEGIN:VCALENDAR/i.test(text);
+}
+
+/** Split at separators outside double quotes. */
+function splitUnquoted(s, sep) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (const ch of s) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === sep && !quoted) {
+      out.push(cur);
+      cur = "";
+    } else cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+function parseContentLine(line) {
+  let i = 0;
+  let quoted = false;
+  for (; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ":" && !quoted) break;
+  }
+  const [name, ...rawParams] = splitUnquoted(line.slice(0, i), ";");
+  const params = {};
+  for (const p of rawParams) {
+    const [k, ...v] = p.split("=");
+    params[k.toUpperCase()] = v.join("=").replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+/** DTSTART/DTEND (exclusive) → a fuzzy date, guessing the precision from the span. */
+function dateFromSpan(startValue, endValue) {
+  const read = (v) => {
+    const m = /^(\d{4})(\d{2})(\d{2})/.exec(v || "");
+    return m ? utc(+m[1], +m[2], +m[3]) : null;
+  };
+  const start = read(startValue);
+  if (!start) return { start: "" };
+  const endEx = read(endValue);
+  const iso = (d) => `${String(d.getUTCFullYear()).padStart(4, "0")}-${String(d.getUTCMonth() + 1).padStart(2, "0")}-${String(d.getUTCDate()).padStart(2, "0")}`;
+  if (!endEx) return { start: iso(start) };
+  const last = new Date(endEx.getTime() - 86400000);
+  const firstOfMonth = (d) => d.getUTCDate() === 1;
+  const firstOfYear = (d) => firstOfMonth(d) && d.getUTCMonth() === 0;
+  if (firstOfYear(start) && firstOfYear(endEx)) return { start: iso(start).slice(0, 4), end: iso(last).slice(0, 4) };
+  if (firstOfMonth(start) && firstOfMonth(endEx)) return { start: iso(start).slice(0, 7), end: iso(last).slice(0, 7) };
+  return { start: iso(start), end: iso(last) };
+}
+
+export function fromICS(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const items = [];
+  let ev = null;
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const { name, params, value } = parseContentLine(line);
+    if (name === "BEGIN" && value.toUpperCase() === "VEVENT") ev = { props: {}, person: [], event: [], media: [], citations: [], relations: [], translations: {}, revisions: [], custom: {} };
+    else if (name === "END" && value.toUpperCase() === "VEVENT" && ev) {
+      const p = ev.props;
+      const span = dateFromSpan(p.DTSTART, p.DTEND);
+      const exact = p["X-TIMELINE-DATE"] ? parseDate(icsUnescape(p["X-TIMELINE-DATE"])) : null;
+      items.push({
+        id: p.UID ? icsUnescape(p.UID) : undefined,
+        title: icsUnescape(p.SUMMARY),
+        description: icsUnescape(p.DESCRIPTION),
+        date: exact?.start ? exact : { ...span, end: span.end === span.start ? "" : span.end },
+        place: p.LOCATION ? icsUnescape(p.LOCATION).split(/\s*;\s*/) : [],
+        event: ev.event,
+        person: ev.person,
+        citations: ev.citations,
+        relations: ev.relations,
+        lang: ev.lang,
+        translations: ev.translations,
+        media: ev.media,
+        custom: ev.custom,
+        revisions: ev.revisions,
+      });
+      ev = null;
+    } else if (ev) {
+      if (name === "CATEGORIES") ev.event.push(...value.split(/(?<!\\),/).map(icsUnescape));
+      else if (name === "X-TIMELINE-PERSON") ev.person.push(icsUnescape(value));
+      else if (name === "X-TIMELINE-CITATION") {
+        try {
+          ev.citations.push(JSON.parse(icsUnescape(value)));
+        } catch {
+          ev.citations.push(icsUnescape(value));
+        }
+      }
+      else if (name === "X-TIMELINE-CUSTOM") {
+        try {
+          ev.custom = JSON.parse(icsUnescape(value));
+        } catch {
+          // unreadable custom values are dropped; the entry itself is intact
+        }
+      }
+      else if (name === "X-TIMELINE-REVISION") {
+        try {
+          ev.revisions.push(JSON.parse(icsUnescape(value)));
+        } catch {
+          // a damaged revision is dropped; the entry itself is intact
+        }
+      }
+      else if ((name === "X-TIMELINE-SUMMARY" || name === "X-TIMELINE-DESCRIPTION") && params.LANGUAGE) {
+        const l = params.LANGUAGE.slice(0, 2).toLowerCase();
+        ev.translations[l] = { ...ev.translations[l], [name === "X-TIMELINE-SUMMARY" ? "title" : "description"]: icsUnescape(value) };
+      } else if (name === "RELATED-TO") {
+        const type = params.RELTYPE === "PARENT" ? "part-of" : (params.RELTYPE || "").replace(/^X-TIMELINE-/, "").toLowerCase();
+        ev.relations.push({ type, target: icsUnescape(value) });
+      } else if (name === "ATTACH" && /^https?:/i.test(value))
+        ev.media.push({ type: params["X-TIMELINE-TYPE"] === "video" ? "video" : "image", url: value, caption: params["X-CAPTION"] || undefined });
+      else {
+        if (name === "SUMMARY" && params.LANGUAGE) ev.lang = params.LANGUAGE.slice(0, 2).toLowerCase();
+        ev.props[name] = value;
+      }
+    }
+  }
+  return { items, periods: [], places: [] };
+}
+
+/* ---------------------- GeoJSON ----------------------
+   One Feature per entry that has places: a Point for one mapped place, a
+   MultiPoint for several, and a null geometry when none of its places has
+   coordinates. `properties.places` keeps each place's coordinates so
+   importing fills them into the registry. */
+
+export function toGeoJSON(items, registry) {
+  const byName = new Map(registry.places.map((r) => [r.name, r]));
+  const features = items
+    .filter((it) => it.place.length)
+    .map((it) => {
+      const places = it.place.map((name) => {
+        const rec = byName.get(name);
+        const exact = rec?.lat != null && rec?.lng != null;
+        const c = placeCoords(rec);
+        // province/country centroids are only a fallback, not the place's own coordinates
+        return { name, id: rec?.id, coordinates: c || null, ...(c && !exact ? { approximate: true } : {}) };
+      });
+      const points = places.map((p) => p.coordinates).filter(Boolean);
+      return {
+        type: "Feature",
+        id: it.id,
+        geometry: points.length === 0 ? null : points.length === 1 ? { type: "Point", coordinates: points[0] } : { type: "MultiPoint", coordinates: points },
+        properties: {
+          title: it.title,
+          date: stringifyDate(it.date),
+          start: it.date.start,
+          end: it.date.end || it.date.start,
+          description: it.description,
+          place: it.place,
+          event: it.event,
+          person: it.person,
+          citations: it.citations,
+          relations: it.relations,
+          lang: it.lang,
+          translations: it.translations,
+          media: it.media,
+          custom: it.custom,
+          updatedAt: it.updatedAt,
+          revisions: it.revisions,
+          places,
+        },
+      };
+    });
+  return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+}
+
+export function isGeoJSON(parsed) {
+  return parsed?.type === "FeatureCollection" && Array.isArray(parsed.features);
+}
+
+export function fromGeoJSON(parsed) {
+  const places = new Map();
+  const items = parsed.features.map((f) => {
+    const p = f.properties || {};
+    const points = !f.geometry ? [] : f.geometry.type === "Point" ? [f.geometry.coordinates] : f.geometry.coordinates || [];
+    const named = Array.isArray(p.places) ? p.places : [];
+    // foreign files: pair the place names with the points in order
+    const pairs = named.length
+      ? named.filter((x) => !x.approximate).map((x) => [x.name, x.coordinates, x.id])
+      : (Array.isArray(p.place) ? p.place : p.place ? [p.place] : []).map((name, i) => [name, points[i]]);
+    for (const [name, c, id] of pairs) {
+      if (name && Array.isArray(c) && !places.has(name)) places.set(name, { id, name, lng: c[0], lat: c[1] });
+    }
+    return {
+      id: f.id ?? p.id,
+      title: p.title ?? p.name,
+      description: p.description,
+      date: p.date || (p.start ? { start: p.start, end: p.end !== p.start ? p.end : "" } : ""),
+      place: p.place ?? named.map((x) => x.name),
+      event: p.event,
+      person: p.person,
+      citations: p.citations,
+      relations: p.relations,
+      lang: p.lang,
+      translations: p.translations,
+      media: p.media,
+      custom: p.custom,
+      updatedAt: p.updatedAt,
+      revisions: p.revisions,
+    };
+  });
+  return { items, periods: [], places: Array.from(places.values()) };
+}
@@ -0,0 +1,98 @@
+import { useEffect, useRef } from "react";
+
+/* ---------------------- hash routing ----------------------
+   View state lives in the URL fragment so links can be shared and work
+   under the GitHub Pages `base`:
+
+     #/entry/<id>?view=Person&q=peron&from=1943&to=1955&person=Juan+Perón
+
+   List filters repeat their parameter (`place=A&place=B`). Only values
+   that differ from the defaults are written. */
+
+const PARAMS = {
+  view: "view",
+  query: "q",
+  yearFrom: "from",
+  yearTo: "to",
+  place: "place",
+  event: "event",
+  person: "person",
+  match: "match",
+  fieldFilters: "field",
+  profile: "profile",
+  collection: "collection",
+};
+const NUMERIC = new Set(["yearFrom", "yearTo"]);
+const LISTS = new Set(["place", "event", "person", "fieldFilters"]);
+
+export function parseHash(hash) {
+  const raw = String(hash || "").replace(/^#\/?/, "");
+  const [path, search = ""] = raw.split("?");
+  const out = {};
+  const m = /^entry\/(.+)$/.exec(path);
+  out.selectedId = m ? decodeURIComponent(m[1]) : null;
+  const params = new URLSearchParams(search);
+  for (const [key, name] of Object.entries(PARAMS)) {
+    if (!params.has(name)) continue;
+    const v = params.get(name);
+    if (LISTS.has(key)) {
+      out[key] = params.getAll(name).filter(Boolean);
+    } else if (NUMERIC.has(key)) {
+      const n = parseInt(v, 10);
+      if (Number.isFinite(n)) out[key] = n;
+    } else {
+      out[key] = v;
+    }
+  }
+  return out;
+}
+
+export function buildHash(state, defaults) {
+  const params = new URLSearchParams();
+  for (const [key, name] of Object.entries(PARAMS)) {
+    const v = state[key];
+    if (v === undefined || v === null || v === defaults[key]) continue;
+    if (Array.isArray(v)) v.forEach((x) => params.append(name, x));
+    else params.set(name, String(v));
+  }
+  const path = state.selectedId ? `entry/${encodeURIComponent(state.selectedId)}` : "";
+  const search = params.toString();
+  return `#/${path}${search ? `?${search}` : ""}`;
+}
+
+/**
+ * Mirror `state` into location.hash and call `apply` on back/forward or a
+ * hand-edited URL. A new selection pushes a history entry; filter edits
+ * replace the current one so typing in the search box doesn't flood history.
+ */
+export function useHashRoute(state, defaults, apply) {
+  const lastSelected = useRef(state.selectedId);
+  const applyRef = useRef(apply);
+  applyRef.current = apply;
+
+  const hash = buildHash(state, defaults);
+  useEffect(() => {
+    if (hash === window.location.hash) {
+      lastSelected.current = state.selectedId;
+      return;
+    }
+    const push = lastSelected.current && state.selectedId !== lastSelected.current;
+    lastSelected.current = state.selectedId;
+    window.history[push ? "pushState" : "replaceState"](null, "", hash);
+  }, [hash, state.selectedId]);
+
+  useEffect(() => {
+    function onNavigate() {
+      const next = { ...defaults, ...parseHash(window.location.hash) };
+      lastSelected.current = next.selectedId;
+      applyRef.current(next);
+    }
+    window.addEventListener("popstate", onNavigate);
+    window.addEventListener("hashchange", onNavigate);
+    return () => {
+      window.removeEventListener("popstate", onNavigate);
+      window.removeEventListener("hashchange", onNavigate);
+    };
+    // defaults are constants for the app's lifetime
+  }, []);
+}
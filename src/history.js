@@ -0,0 +1,79 @@
+import { useEffect, useState } from "react";
+
+/* ---------------------- undo / redo ----------------------
+   Snapshot history of the editable data. Call `record(label)` right
+   before a change; it stores the state as it is now. The stack lives in
+   sessionStorage so it survives a reload within the same tab. */
+
+const HISTORY_KEY = "timeline-history-v1";
+const LIMIT = 50;
+
+function loadHistory() {
+  try {
+    const raw = sessionStorage.getItem(HISTORY_KEY);
+    const h = raw ? JSON.parse(raw) : null;
+    return {
+      past: Array.isArray(h?.past) ? h.past : [],
+      future: Array.isArray(h?.future) ? h.future : [],
+    };
+  } catch {
+    return { past: [], future: [] };
+  }
+}
+
+/**
+ * @param snapshot current state (e.g. `{ items, registry }`)
+ * @param restore  called with a previous snapshot on undo/redo
+ */
+export function useHistory(snapshot, restore) {
+  const [stack, setStack] = useState(loadHistory);
+
+  useEffect(() => {
+    try {
+      sessionStorage.setItem(HISTORY_KEY, JSON.stringify(stack));
+    } catch {
+      // too big for the session quota: keep only the most recent steps
+      try {
+        sessionStorage.setItem(HISTORY_KEY, JSON.stringify({ past: stack.past.slice(-5), future: [] }));
+      } catch {
+        sessionStorage.removeItem(HISTORY_KEY);
+      }
+    }
+  }, [stack]);
+
+  function record(label) {
+    setStack(({ past }) => ({ past: [...past, { label, state: snapshot }].slice(-LIMIT), future: [] }));
+  }
+
+  function undo() {
+    const last = stack.past[stack.past.length - 1];
+    if (!last) return null;
+    setStack(({ past, future }) => ({
+      past: past.slice(0, -1),
+      future: [...future, { label: last.label, state: snapshot }],
+    }));
+    restore(last.state);
+    return last.label;
+  }
+
+  function redo() {
+    const next = stack.future[stack.future.length - 1];
+    if (!next) return null;
+    setStack(({ past, future }) => ({
+      past: [...past, { label: next.label, state: snapshot }],
+      future: future.slice(0, -1),
+    }));
+    restore(next.state);
+    return next.label;
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    undoLabel: stack.past[stack.past.length - 1]?.label || null,
+    redoLabel: stack.future[stack.future.length - 1]?.label || null,
+    // every snapshot, e.g. to keep their media blobs alive
+    snapshots: [...stack.past, ...stack.future].map((h) => h.state),
+  };
+}
@@ -0,0 +1,876 @@
+import { createContext, useContext } from "react";
+
+/* ---------------------- localisation ----------------------
+   UI strings live in one catalogue per language; `t("key", { n })`
+   looks a key up in the active language, then English, and fills in
+   {placeholders}.
+
+   Entries are bilingual too: `title`/`description` are written in the
+   item's `lang`, and `translations: { es: { title, description } }` holds
+   the other language. `localize` picks the reader's language and falls
+   back to the original text field by field. */
+
+export const LANGS = ["es", "en"];
+export const LANG_NAMES = { es: "Español", en: "English" };
+// existing entries and the shipped datasets are written in English
+export const DEFAULT_CONTENT_LANG = "en";
+
+const MESSAGES = {
+  en: {
+    "app.items": "{n} items",
+    "app.language": "Language",
+    "lang.es": "Spanish",
+    "lang.en": "English",
+    "app.readOnly": "Read-only copy",
+    "app.exportedOn": "exported {date}",
+    "app.footerHint": "Add, edit, delete entries. Import/Export JSON to move data between devices, or CSV/TSV, TimelineJS, iCalendar and GeoJSON for other tools. Images can be uploaded or linked.",
+    "header.undo": "Undo {label} (Ctrl+Z)",
+    "header.redo": "Redo {label} (Ctrl+Shift+Z)",
+    "header.nothingToUndo": "Nothing to undo",
+    "header.nothingToRedo": "Nothing to redo",
+    "header.link": "Link",
+    "header.linkTitle": "Copy a link to this view",
+    "header.copied": "Copied",
+    "header.timeline": "Timeline",
+    "header.timelineTitle": "Toggle proportional timeline",
+    "header.print": "Print",
+    "header.printTitle": "Printable chronology of the filtered entries",
+    "header.sources": "Sources",
+    "header.sourcesTitle": "Every cited source, with the entries that cite it",
+    "header.export": "Export",
+    "header.exportJson": "JSON — everything (backup)",
+    "header.exportSite": "Site — read-only HTML",
+    "header.exportSiteTitle": "One HTML file with a read-only viewer, to host or email",
+    "header.filtered": "Filtered ({n})",
+    "header.all": "All ({n})",
+    "header.import": "Import",
+    "header.importTitle": "Import JSON, CSV/TSV, TimelineJS, iCalendar or GeoJSON",
+    "header.exportBackup": "Export backup",
+    "filters.title": "Filters",
+    "filters.viewBy": "View by {view}",
+    "filters.searchPlaceholder": "Search… e.g. peron, \"plaza de mayo\", place:cordoba",
+    "filters.searchHelp": "Words match any word they start; quote a phrase; person:, place:, event: and title: limit a word to that field",
+    "filters.from": "From",
+    "filters.to": "To",
+    "filters.period": "Period",
+    "filters.allYears": "All years",
+    "filters.customRange": "Custom range",
+    "filters.place": "Place",
+    "filters.event": "Event",
+    "filters.person": "Person",
+    "filters.match": "Match",
+    "filters.matchAny": "any selected value",
+    "filters.matchAll": "all selected values",
+    "filters.timeline": "Timeline",
+    "filters.all": "All",
+    "filters.addValue": "Add {label}…",
+    "filters.remove": "Remove {value}",
+    "view.Date": "Date",
+    "view.Place": "Place",
+    "view.Event": "Event",
+    "view.Person": "Person",
+    "view.Map": "Map",
+    "detail.noMatches": "No entries match the filters.",
+    "detail.empty": "Use {add} to add your first item.",
+    "detail.addEntry": "Add entry",
+    "detail.close": "Close",
+    "detail.quickAddFirst": "Quick add your first entry",
+    "detail.quickAdd": "Quick add a new entry",
+    "detail.editEntry": "Edit entry",
+    "detail.edit": "Edit",
+    "detail.delete": "Delete",
+    "detail.confirmDelete": "Delete this entry?",
+    "detail.previous": "Previous",
+    "detail.next": "Next",
+    "detail.untranslated": "Not yet translated into {lang}; showing the original.",
+    "detail.updated": "Last changed {date}",
+    "history.title": "History ({n})",
+    "history.by": "by {name}",
+    "history.current": "current",
+    "history.restore": "Restore",
+    "history.confirmRestore": "Restore this entry as it was on {date}? The current version stays in the history.",
+    "history.restoredNote": "Restored the version from {date}",
+    "history.first": "First recorded version.",
+    "history.beforeHistory": "Before history was kept",
+    "history.noChanges": "No field changes.",
+    "field.title": "Title",
+    "field.date": "Date",
+    "field.place": "Places",
+    "field.event": "Events",
+    "field.person": "People",
+    "field.description": "Description",
+    "field.citations": "Sources",
+    "field.relations": "Links",
+    "field.lang": "Language",
+    "field.translations": "Translations",
+    "field.media": "Media",
+    "field.status": "Status",
+    "field.custom": "Custom fields",
+    "fields.title": "Custom fields ({n})",
+    "fields.edit": "Edit",
+    "fields.empty": "No custom fields yet. Add one for facts every entry should record, like casualties or an archive box.",
+    "fields.add": "Add field",
+    "fields.label": "Name",
+    "fields.labelPlaceholder": "e.g., Decree number",
+    "fields.type": "Type",
+    "fields.type.text": "Text",
+    "fields.type.number": "Number",
+    "fields.type.date": "Date",
+    "fields.type.enum": "Choice",
+    "fields.type.url": "Link",
+    "fields.options": "Choices (one per line)",
+    "fields.editField": "Edit field",
+    "fields.delete": "Delete field",
+    "fields.confirmDelete": "Delete the field \"{name}\"? Entries keep their values, hidden until a field with this name is added again.",
+    "fields.fromDataset": "From the dataset \"{name}\"",
+    "fields.none": "—",
+    "fields.contains": "Contains…",
+    "fields.errorNumber": "Enter a number.",
+    "fields.errorDate": "Enter a full date (YYYY-MM-DD).",
+    "fields.errorEnum": "Pick one of the choices.",
+    "fields.errorUrl": "Enter a web address starting with http:// or https://.",
+    "status.draft": "Draft",
+    "status.needs-review": "Needs review",
+    "status.published": "Published",
+    "review.status": "Status",
+    "review.notes": "Reviewer notes ({n})",
+    "review.notePlaceholder": "Add a note for the reviewers…",
+    "review.addNote": "Add note",
+    "review.queue": "Review queue ({n})",
+    "review.nothingWaiting": "Nothing is waiting for review.",
+    "review.drafts": "Drafts ({n})",
+    "form.title": "Title",
+    "form.description": "Description",
+    "form.original": "original",
+    "form.translation": "translation, optional",
+    "form.date": "Date",
+    "form.places": "Places",
+    "form.events": "Events / tags",
+    "form.people": "People",
+    "form.peoplePlaceholder": "e.g., Juan Perón",
+    "form.sources": "Sources (optional)",
+    "form.imageUrlOptional": "Image URL (optional)",
+    "form.orUpload": "Or upload a file →",
+    "form.uploadImageOptional": "Upload image (optional)",
+    "form.imageWillSave": "✓ Image will be saved",
+    "form.keepImage": "Keep current image (if no new file/URL)",
+    "form.videoUrlOptional": "Video URL (optional)",
+    "form.moreMedia": "{n} more images or videos are kept as they are.",
+    "form.save": "Save",
+    "form.cancel": "Cancel",
+    "form.saveDraft": "Save as draft",
+    "form.submitReview": "Submit for review",
+    "form.editor": "Your name (optional)",
+    "form.note": "Change note (optional)",
+    "form.notePlaceholder": "What changed and why",
+    "form.errorTitle": "The title is required.",
+    "form.errorDate": "The date is required.",
+    "form.errorRequired": "Add at least one.",
+    "date.inverted": "The end is before the start.",
+    "collections.title": "Saved ({n})",
+    "collections.show": "Show",
+    "collections.hide": "Hide",
+    "collections.presets": "Filter presets",
+    "collections.applyPreset": "Apply these filters",
+    "collections.savePreset": "Save current filters",
+    "collections.presetName": "Preset name…",
+    "collections.deletePreset": "Delete preset",
+    "collections.confirmDeletePreset": "Delete preset \"{name}\"?",
+    "collections.collections": "Collections",
+    "collections.new": "New collection",
+    "collections.collectionName": "Collection name…",
+    "collections.delete": "Delete collection",
+    "collections.confirmDelete": "Delete collection \"{name}\"? The entries stay.",
+    "collections.empty": "No entries yet. Select one and add it here.",
+    "collections.addCurrent": "Add current entry",
+    "collections.removeEntry": "Remove from collection",
+    "collections.moveUp": "Move up",
+    "collections.moveDown": "Move down",
+    "collections.showing": "Collection: {name}",
+    "collections.close": "Back to filters",
+    "storage.title": "Storage",
+    "storage.local": "This browser (localStorage)",
+    "storage.indexeddb": "This browser (IndexedDB, for large timelines)",
+    "storage.server": "Sync server (shared)",
+    "storage.current": "Saved in {where}",
+    "storage.lastSaved": "last saved {time}",
+    "storage.switch": "Switch",
+    "storage.hint": "Switching copies your data over, unless the new place already has a timeline. A sync server lets several people edit one timeline; run it with `npm run sync-server`.",
+    "storage.confirmExisting": "{where} already has a timeline. Switch to it? Your current data stays where it is.",
+    "storage.conflict": "\"{title}\" was also changed by someone else (their version saved {date}).",
+    "storage.conflictDeleted": "\"{title}\" was deleted by someone else while you changed it.",
+    "storage.keepMine": "Keep mine",
+    "storage.takeTheirs": "Take theirs",
+    "app.loading": "Loading…",
+    "app.undo": "Undo {label}",
+    "app.redo": "Redo {label}",
+    "app.dismiss": "Dismiss",
+    "app.exportFailed": "Export failed: {message}",
+    "app.importFailed": "Import failed: {message}",
+    "app.unpublishedLeftOut": "{n} unpublished entries left out.",
+    "app.noPlaceLeftOut": "{n} entries without a place left out.",
+    "app.noDateLeftOut": "{n} entries without a date left out.",
+    "header.copyPrompt": "Copy this link:",
+    "undo.add": "add",
+    "undo.edit": "edit",
+    "undo.delete": "delete",
+    "undo.takeTheirs": "take their version",
+    "undo.edit.person": "edit person",
+    "undo.edit.place": "edit place",
+    "undo.merge.person": "merge person",
+    "undo.merge.place": "merge place",
+    "undo.delete.person": "delete person",
+    "undo.delete.place": "delete place",
+    "undo.import.merge": "import (merge)",
+    "undo.import.replace": "import (replace)",
+    "storage.full": "Browser storage is full — recent changes are NOT saved. Export a backup now, then remove some entries or images.",
+    "storage.saveFailed": "Could not save changes: {message}",
+    "storage.loadFailed": "Saved data could not be loaded from {where} ({message}). Changes are NOT saved, so it isn't overwritten.",
+    "storage.switchFailed": "Could not switch storage: {message}",
+    "storage.noIndexedDB": "IndexedDB is not available in this browser",
+    "storage.unreachable": "Could not reach the sync server at {url} ({message})",
+    "storage.serverError": "Sync server: {status} {message}",
+    "storage.busy": "The sync server kept changing while saving; try again",
+    "schema.notDocument": "Not a timeline document",
+    "schema.newer": "Written by a newer version of the app (data version {version}, this one reads up to {supported}). Update the app to open it.",
+    "site.loadFailed": "Could not load {url} ({status})",
+    "site.needsBuild": "Export site needs the built app — run `npm run build` and `npm run preview`, or use the deployed site.",
+    "site.noScript": "Could not find the app's script",
+    "import.noItems": "File must contain a JSON array or an object with an items array",
+    "import.noRows": "The file has no rows",
+    "media.full": "Storage is full — the image was not saved. Free some space or use an image URL instead.",
+    "media.failed": "Could not store the image: {message}",
+    "media.embeddedVideo": "Embedded video",
+    "media.noVideo": "Your browser does not support the video tag.",
+    "print.undated": "Undated",
+    "print.no.place": "No place",
+    "print.no.event": "No event",
+    "print.no.person": "No person",
+    "print.video": "Video",
+    "print.image": "Image",
+    "print.uploadedImage": "Uploaded image",
+    "print.noLink": "{caption} (no link)",
+    "print.thumbnails": "Thumbnails",
+    "print.print": "Print / Save as PDF",
+    "canvas.hint": "drag to pan, scroll to zoom",
+    "canvas.earlier": "Earlier",
+    "canvas.zoomIn": "Zoom in",
+    "canvas.zoomOut": "Zoom out",
+    "canvas.all": "Show everything",
+    "canvas.later": "Later",
+    "citations.author": "Author",
+    "citations.title": "Title",
+    "citations.publisher": "Publisher",
+    "citations.year": "Year",
+    "citations.page": "Page(s)",
+    "citations.url": "URL",
+    "citations.archive": "Archive ref.",
+    "citations.remove": "Remove source",
+    "citations.add": "Add source",
+    "citations.bibliography": "Bibliography",
+    "citations.count": "{n} source(s) cited by the entries",
+    "citations.empty": "No entry cites a source yet. Add sources when editing an entry.",
+    "citations.citedBy": "Cited by:",
+    "datasets.title": "Datasets ({n})",
+    "datasets.hint": "Your own additions and edits are kept on top of these.",
+    "date.precision": "Date precision",
+    "date.year": "Year",
+    "date.month": "Month",
+    "date.day": "Day",
+    "date.start": "Start date",
+    "date.end": "End date",
+    "date.circa": "circa",
+    "date.range": "range",
+    "field.reviewNotes": "Reviewer notes",
+    "import.uploadedImage": "uploaded image",
+    "import.untitled": "untitled",
+    "import.preview": "Import preview",
+    "import.title": "Import {file}",
+    "import.summary": "{added} new · {changed} changed · {unchanged} unchanged · {removed} not in file",
+    "import.also": "also {list}",
+    "import.periods": "{n} period(s)",
+    "import.people": "{n} people",
+    "import.places": "{n} places",
+    "import.presets": "{n} preset(s)",
+    "import.collections": "{n} collection(s)",
+    "import.fields": "{n} custom field(s)",
+    "import.exportedBy": "Exported by version {version}",
+    "import.exportedByOlder": "Exported by an older version",
+    "import.exportedOn": "on {date}",
+    "import.upgraded": "data format {from}, upgraded to {to}",
+    "import.merge": "Merge — keep entries that are not in the file",
+    "import.replace": "Replace — remove them",
+    "import.warnings": "{n} warning(s) — fixed up on import",
+    "import.changed": "Changed ({n})",
+    "import.all": "All:",
+    "import.allMine": "keep mine",
+    "import.allTheirs": "take theirs",
+    "import.allBoth": "keep both",
+    "import.keepMine": "Keep mine",
+    "import.takeTheirs": "Take theirs",
+    "import.keepBoth": "Keep both",
+    "import.field": "Field",
+    "import.mine": "Mine",
+    "import.theirs": "Theirs",
+    "import.new": "New",
+    "import.removed": "Removed",
+    "import.kept": "Not in file (kept)",
+    "import.unchanged": "Unchanged",
+    "import.warnEmptyTitle": "empty title",
+    "import.warnMissingDate": "missing date",
+    "import.warnBadDate": "date \"{date}\" could not be read",
+    "import.warnInvertedDate": "date \"{date}\" ends before it starts",
+    "import.warnMediaDropped": "{n} media item(s) without a URL dropped",
+    "import.warnDuplicateId": "duplicate id \"{id}\", the later entry is used",
+    "columns.map": "Map columns",
+    "columns.column": "Column {n}",
+    "columns.rows": "{n} row(s) — choose which field each column fills",
+    "columns.header": "First row is a header",
+    "columns.more": "…and {n} more row(s)",
+    "columns.next": "Next: preview",
+    "columns.ignore": "— ignore —",
+    "columns.id": "Id",
+    "columns.title": "Title",
+    "columns.date": "Date",
+    "columns.place": "Place(s)",
+    "columns.event": "Event(s)",
+    "columns.person": "Person(s)",
+    "columns.description": "Description",
+    "columns.image": "Image URL(s)",
+    "columns.video": "Video URL(s)",
+    "columns.lang": "Language (es / en)",
+    "columns.titleIn": "Title, {lang} translation",
+    "columns.descriptionIn": "Description, {lang} translation",
+    "map.southAmerica": "South America",
+    "map.argentina": "Argentina",
+    "map.unplaced": "{n} entries have no mapped place — add coordinates in the place's profile",
+    "map.pause": "Pause",
+    "map.play": "Play through the years",
+    "map.showAll": "Show all",
+    "periods.title": "Periods ({n})",
+    "periods.span": "Span",
+    "periods.colour": "Colour",
+    "periods.filterTo": "Filter to {title}",
+    "periods.edit": "Edit period",
+    "periods.delete": "Delete period",
+    "periods.confirmDelete": "Delete the period \"{title}\"?",
+    "periods.add": "Add period",
+    "registry.title": "People & places ({n})",
+    "registry.name": "Name",
+    "registry.aliases": "Also known as",
+    "registry.aliasesPerson": "e.g., Perón",
+    "registry.aliasesPlace": "e.g., CABA",
+    "registry.born": "Born",
+    "registry.died": "Died",
+    "registry.roles": "Roles",
+    "registry.rolesPlaceholder": "e.g., President",
+    "registry.portrait": "Portrait",
+    "registry.province": "Province",
+    "registry.lat": "Latitude",
+    "registry.lng": "Longitude",
+    "registry.edit.person": "Edit person",
+    "registry.edit.place": "Edit place",
+    "registry.back": "Back",
+    "registry.confirmDelete": "Delete \"{name}\" from the registry?",
+    "registry.stillLinked": "Still linked to entries — merge it instead",
+    "registry.also": "Also: {names}",
+    "registry.entries": "Entries ({n})",
+    "registry.same.person": "Same person as",
+    "registry.same.place": "Same place as",
+    "registry.choose": "Choose…",
+    "registry.confirmMerge": "Merge \"{name}\" into \"{target}\"? Its entries will be relinked.",
+    "registry.merge": "Merge",
+    "relations.title": "Related entries",
+    "relations.caused": "Caused",
+    "relations.causedBy": "Caused by",
+    "relations.ledTo": "Led to",
+    "relations.followedFrom": "Followed from",
+    "relations.partOf": "Part of",
+    "relations.includes": "Includes",
+    "relations.contradicts": "Contradicts",
+    "relations.contradictedBy": "Contradicted by",
+    "relations.undated": "undated",
+    "relations.noEntry": "No entry called \"{title}\".",
+    "relations.graph": "Graph",
+    "relations.link": "Link",
+    "relations.entryTitle": "Entry title…",
+    "relations.add": "Add",
+    "relations.remove": "Remove link",
+    "relations.empty": "No links yet.",
+    "app.title": "History of the testimony in South America",
+    "date.yearPlaceholder": "YYYY",
+    "export.csv": "CSV (spreadsheet)",
+    "export.tsv": "TSV (spreadsheet)",
+    "export.timelinejs": "TimelineJS JSON",
+    "export.ics": "iCalendar (.ics)",
+    "export.geojson": "GeoJSON (entries with places)",
+    "fields.untitled": "Field",
+    "periods.default.viceroyalty": "Viceroyalty of the Río de la Plata",
+    "periods.default.independence-wars": "Independence wars",
+    "periods.default.rosas": "Rosas era",
+    "periods.default.generation-80": "Generation of '80",
+    "periods.default.peronism": "Peronism",
+    "periods.default.dictatorship-1976": "Military dictatorship",
+  },
+  es: {
+    "app.items": "{n} entradas",
+    "app.language": "Idioma",
+    "lang.es": "español",
+    "lang.en": "inglés",
+    "app.readOnly": "Copia de solo lectura",
+    "app.exportedOn": "exportada el {date}",
+    "app.footerHint": "Agregue, edite y elimine entradas. Importe/exporte JSON para pasar los datos de un dispositivo a otro, o CSV/TSV, TimelineJS, iCalendar y GeoJSON para otras herramientas. Las imágenes se pueden subir o enlazar.",
+    "header.undo": "Deshacer {label} (Ctrl+Z)",
+    "header.redo": "Rehacer {label} (Ctrl+Mayús+Z)",
+    "header.nothingToUndo": "Nada para deshacer",
+    "header.nothingToRedo": "Nada para rehacer",
+    "header.link": "Enlace",
+    "header.linkTitle": "Copiar un enlace a esta vista",
+    "header.copied": "Copiado",
+    "header.timeline": "Línea de tiempo",
+    "header.timelineTitle": "Mostrar u ocultar la línea de tiempo proporcional",
+    "header.print": "Imprimir",
+    "header.printTitle": "Cronología imprimible de las entradas filtradas",
+    "header.sources": "Fuentes",
+    "header.sourcesTitle": "Todas las fuentes citadas, con las entradas que las citan",
+    "header.export": "Exportar",
+    "header.exportJson": "JSON — todo (copia de seguridad)",
+    "header.exportSite": "Sitio — HTML de solo lectura",
+    "header.exportSiteTitle": "Un único archivo HTML de solo lectura, para publicar o enviar",
+    "header.filtered": "Filtradas ({n})",
+    "header.all": "Todas ({n})",
+    "header.import": "Importar",
+    "header.importTitle": "Importar JSON, CSV/TSV, TimelineJS, iCalendar o GeoJSON",
+    "header.exportBackup": "Exportar copia",
+    "filters.title": "Filtros",
+    "filters.viewBy": "Ver por {view}",
+    "filters.searchPlaceholder": "Buscar… p. ej. peron, \"plaza de mayo\", place:cordoba",
+    "filters.searchHelp": "Cada palabra encuentra las palabras que empiezan así; use comillas para una frase; person:, place:, event: y title: limitan la búsqueda a ese campo",
+    "filters.from": "Desde",
+    "filters.to": "Hasta",
+    "filters.period": "Período",
+    "filters.allYears": "Todos los años",
+    "filters.customRange": "Rango personalizado",
+    "filters.place": "Lugar",
+    "filters.event": "Evento",
+    "filters.person": "Persona",
+    "filters.match": "Coincidir con",
+    "filters.matchAny": "cualquiera de los valores",
+    "filters.matchAll": "todos los valores",
+    "filters.timeline": "Cronología",
+    "filters.all": "Todos",
+    "filters.addValue": "Agregar {label}…",
+    "filters.remove": "Quitar {value}",
+    "view.Date": "Fecha",
+    "view.Place": "Lugar",
+    "view.Event": "Evento",
+    "view.Person": "Persona",
+    "view.Map": "Mapa",
+    "detail.noMatches": "Ninguna entrada coincide con los filtros.",
+    "detail.empty": "Use {add} para cargar la primera.",
+    "detail.addEntry": "Agregar entrada",
+    "detail.close": "Cerrar",
+    "detail.quickAddFirst": "Cargue su primera entrada",
+    "detail.quickAdd": "Agregar una entrada",
+    "detail.editEntry": "Editar entrada",
+    "detail.edit": "Editar",
+    "detail.delete": "Eliminar",
+    "detail.confirmDelete": "¿Eliminar esta entrada?",
+    "detail.previous": "Anterior",
+    "detail.next": "Siguiente",
+    "detail.untranslated": "Todavía sin traducción al {lang}; se muestra el original.",
+    "detail.updated": "Última modificación: {date}",
+    "history.title": "Historial ({n})",
+    "history.by": "por {name}",
+    "history.current": "actual",
+    "history.restore": "Restaurar",
+    "history.confirmRestore": "¿Restaurar esta entrada tal como estaba el {date}? La versión actual queda en el historial.",
+    "history.restoredNote": "Restaurada la versión del {date}",
+    "history.first": "Primera versión registrada.",
+    "history.beforeHistory": "Antes de guardar el historial",
+    "history.noChanges": "Sin cambios en los campos.",
+    "field.title": "Título",
+    "field.date": "Fecha",
+    "field.place": "Lugares",
+    "field.event": "Eventos",
+    "field.person": "Personas",
+    "field.description": "Descripción",
+    "field.citations": "Fuentes",
+    "field.relations": "Enlaces",
+    "field.lang": "Idioma",
+    "field.translations": "Traducciones",
+    "field.media": "Multimedia",
+    "field.status": "Estado",
+    "field.custom": "Campos propios",
+    "fields.title": "Campos propios ({n})",
+    "fields.edit": "Editar",
+    "fields.empty": "Todavía no hay campos propios. Agregue uno para datos que toda entrada deba registrar, como víctimas o una caja de archivo.",
+    "fields.add": "Agregar campo",
+    "fields.label": "Nombre",
+    "fields.labelPlaceholder": "p. ej., Número de decreto",
+    "fields.type": "Tipo",
+    "fields.type.text": "Texto",
+    "fields.type.number": "Número",
+    "fields.type.date": "Fecha",
+    "fields.type.enum": "Opción",
+    "fields.type.url": "Enlace",
+    "fields.options": "Opciones (una por línea)",
+    "fields.editField": "Editar campo",
+    "fields.delete": "Eliminar campo",
+    "fields.confirmDelete": "¿Eliminar el campo \"{name}\"? Las entradas conservan sus valores, ocultos hasta que se vuelva a agregar un campo con este nombre.",
+    "fields.fromDataset": "Del conjunto de datos \"{name}\"",
+    "fields.none": "—",
+    "fields.contains": "Contiene…",
+    "fields.errorNumber": "Escriba un número.",
+    "fields.errorDate": "Escriba una fecha completa (AAAA-MM-DD).",
+    "fields.errorEnum": "Elija una de las opciones.",
+    "fields.errorUrl": "Escriba una dirección web que empiece con http:// o https://.",
+    "status.draft": "Borrador",
+    "status.needs-review": "Por revisar",
+    "status.published": "Publicada",
+    "review.status": "Estado",
+    "review.notes": "Notas de revisión ({n})",
+    "review.notePlaceholder": "Añada una nota para quien revise…",
+    "review.addNote": "Añadir nota",
+    "review.queue": "Cola de revisión ({n})",
+    "review.nothingWaiting": "No hay nada pendiente de revisión.",
+    "review.drafts": "Borradores ({n})",
+    "form.title": "Título",
+    "form.description": "Descripción",
+    "form.original": "original",
+    "form.translation": "traducción, opcional",
+    "form.date": "Fecha",
+    "form.places": "Lugares",
+    "form.events": "Eventos / etiquetas",
+    "form.people": "Personas",
+    "form.peoplePlaceholder": "p. ej., Juan Perón",
+    "form.sources": "Fuentes (opcional)",
+    "form.imageUrlOptional": "URL de la imagen (opcional)",
+    "form.orUpload": "O suba un archivo →",
+    "form.uploadImageOptional": "Subir imagen (opcional)",
+    "form.imageWillSave": "✓ La imagen se guardará",
+    "form.keepImage": "Conservar la imagen actual (si no hay archivo/URL nuevos)",
+    "form.videoUrlOptional": "URL del video (opcional)",
+    "form.moreMedia": "Otras {n} imágenes o videos se conservan tal como están.",
+    "form.save": "Guardar",
+    "form.cancel": "Cancelar",
+    "form.saveDraft": "Guardar borrador",
+    "form.submitReview": "Enviar a revisión",
+    "form.editor": "Su nombre (opcional)",
+    "form.note": "Nota del cambio (opcional)",
+    "form.notePlaceholder": "Qué cambió y por qué",
+    "form.errorTitle": "El título es obligatorio.",
+    "form.errorDate": "La fecha es obligatoria.",
+    "form.errorRequired": "Agregue al menos uno.",
+    "date.inverted": "El final es anterior al inicio.",
+    "collections.title": "Guardados ({n})",
+    "collections.show": "Mostrar",
+    "collections.hide": "Ocultar",
+    "collections.presets": "Filtros guardados",
+    "collections.applyPreset": "Aplicar estos filtros",
+    "collections.savePreset": "Guardar los filtros actuales",
+    "collections.presetName": "Nombre del filtro…",
+    "collections.deletePreset": "Eliminar filtro guardado",
+    "collections.confirmDeletePreset": "¿Eliminar el filtro \"{name}\"?",
+    "collections.collections": "Colecciones",
+    "collections.new": "Nueva colección",
+    "collections.collectionName": "Nombre de la colección…",
+    "collections.delete": "Eliminar colección",
+    "collections.confirmDelete": "¿Eliminar la colección \"{name}\"? Las entradas no se borran.",
+    "collections.empty": "Todavía no tiene entradas. Seleccione una y agréguela aquí.",
+    "collections.addCurrent": "Agregar la entrada actual",
+    "collections.removeEntry": "Quitar de la colección",
+    "collections.moveUp": "Subir",
+    "collections.moveDown": "Bajar",
+    "collections.showing": "Colección: {name}",
+    "collections.close": "Volver a los filtros",
+    "storage.title": "Almacenamiento",
+    "storage.local": "Este navegador (localStorage)",
+    "storage.indexeddb": "Este navegador (IndexedDB, para líneas de tiempo grandes)",
+    "storage.server": "Servidor de sincronización (compartido)",
+    "storage.current": "Guardado en {where}",
+    "storage.lastSaved": "guardado a las {time}",
+    "storage.switch": "Cambiar",
+    "storage.hint": "Al cambiar se copian sus datos, salvo que el destino ya tenga una línea de tiempo. Con un servidor de sincronización varias personas editan la misma línea de tiempo; se inicia con `npm run sync-server`.",
+    "storage.confirmExisting": "{where} ya tiene una línea de tiempo. ¿Usarla? Sus datos actuales quedan donde están.",
+    "storage.conflict": "Otra persona también modificó \"{title}\" (su versión se guardó el {date}).",
+    "storage.conflictDeleted": "Otra persona eliminó \"{title}\" mientras usted lo modificaba.",
+    "storage.keepMine": "Conservar la mía",
+    "storage.takeTheirs": "Tomar la suya",
+    "app.loading": "Cargando…",
+    "app.undo": "Deshacer {label}",
+    "app.redo": "Rehacer {label}",
+    "app.dismiss": "Cerrar",
+    "app.exportFailed": "No se pudo exportar: {message}",
+    "app.importFailed": "No se pudo importar: {message}",
+    "app.unpublishedLeftOut": "Se omitieron {n} entradas sin publicar.",
+    "app.noPlaceLeftOut": "Se omitieron {n} entradas sin lugar.",
+    "app.noDateLeftOut": "Se omitieron {n} entradas sin fecha.",
+    "header.copyPrompt": "Copie este enlace:",
+    "undo.add": "agregar",
+    "undo.edit": "editar",
+    "undo.delete": "eliminar",
+    "undo.takeTheirs": "tomar su versión",
+    "undo.edit.person": "editar persona",
+    "undo.edit.place": "editar lugar",
+    "undo.merge.person": "combinar persona",
+    "undo.merge.place": "combinar lugar",
+    "undo.delete.person": "eliminar persona",
+    "undo.delete.place": "eliminar lugar",
+    "undo.import.merge": "importar (combinar)",
+    "undo.import.replace": "importar (reemplazar)",
+    "storage.full": "El almacenamiento del navegador está lleno: los cambios recientes NO se guardaron. Exporte una copia de seguridad ahora y luego elimine algunas entradas o imágenes.",
+    "storage.saveFailed": "No se pudieron guardar los cambios: {message}",
+    "storage.loadFailed": "No se pudieron cargar los datos guardados de {where} ({message}). Los cambios NO se guardan, para no sobrescribirlos.",
+    "storage.switchFailed": "No se pudo cambiar el almacenamiento: {message}",
+    "storage.noIndexedDB": "IndexedDB no está disponible en este navegador",
+    "storage.unreachable": "No se pudo conectar con el servidor de sincronización en {url} ({message})",
+    "storage.serverError": "Servidor de sincronización: {status} {message}",
+    "storage.busy": "El servidor de sincronización siguió cambiando mientras se guardaba; inténtelo de nuevo",
+    "schema.notDocument": "No es un documento de línea de tiempo",
+    "schema.newer": "Escrito por una versión más reciente de la aplicación (versión de datos {version}; esta lee hasta la {supported}). Actualice la aplicación para abrirlo.",
+    "site.loadFailed": "No se pudo cargar {url} ({status})",
+    "site.needsBuild": "Para exportar el sitio hace falta la aplicación compilada: ejecute `npm run build` y `npm run preview`, o use el sitio publicado.",
+    "site.noScript": "No se encontró el script de la aplicación",
+    "import.noItems": "El archivo debe contener un arreglo JSON o un objeto con un arreglo items",
+    "import.noRows": "El archivo no tiene filas",
+    "media.full": "El almacenamiento está lleno: la imagen no se guardó. Libere espacio o use una URL de imagen.",
+    "media.failed": "No se pudo guardar la imagen: {message}",
+    "media.embeddedVideo": "Video incrustado",
+    "media.noVideo": "Su navegador no admite la etiqueta de video.",
+    "print.undated": "Sin fecha",
+    "print.no.place": "Sin lugar",
+    "print.no.event": "Sin evento",
+    "print.no.person": "Sin persona",
+    "print.video": "Video",
+    "print.image": "Imagen",
+    "print.uploadedImage": "Imagen subida",
+    "print.noLink": "{caption} (sin enlace)",
+    "print.thumbnails": "Miniaturas",
+    "print.print": "Imprimir / Guardar como PDF",
+    "canvas.hint": "arrastre para desplazarse, use la rueda para acercar",
+    "canvas.earlier": "Antes",
+    "canvas.zoomIn": "Acercar",
+    "canvas.zoomOut": "Alejar",
+    "canvas.all": "Mostrar todo",
+    "canvas.later": "Después",
+    "citations.author": "Autor",
+    "citations.title": "Título",
+    "citations.publisher": "Editorial",
+    "citations.year": "Año",
+    "citations.page": "Página(s)",
+    "citations.url": "URL",
+    "citations.archive": "Ref. de archivo",
+    "citations.remove": "Quitar fuente",
+    "citations.add": "Agregar fuente",
+    "citations.bibliography": "Bibliografía",
+    "citations.count": "{n} fuente(s) citada(s) por las entradas",
+    "citations.empty": "Ninguna entrada cita fuentes todavía. Agréguelas al editar una entrada.",
+    "citations.citedBy": "Citada por:",
+    "datasets.title": "Conjuntos de datos ({n})",
+    "datasets.hint": "Sus propias altas y modificaciones se conservan por encima de estos.",
+    "date.precision": "Precisión de la fecha",
+    "date.year": "Año",
+    "date.month": "Mes",
+    "date.day": "Día",
+    "date.start": "Fecha de inicio",
+    "date.end": "Fecha de fin",
+    "date.circa": "aprox.",
+    "date.range": "intervalo",
+    "field.reviewNotes": "Notas de revisión",
+    "import.uploadedImage": "imagen subida",
+    "import.untitled": "sin título",
+    "import.preview": "Vista previa de la importación",
+    "import.title": "Importar {file}",
+    "import.summary": "{added} nuevas · {changed} modificadas · {unchanged} sin cambios · {removed} ausentes del archivo",
+    "import.also": "además {list}",
+    "import.periods": "{n} período(s)",
+    "import.people": "{n} personas",
+    "import.places": "{n} lugares",
+    "import.presets": "{n} filtro(s) guardado(s)",
+    "import.collections": "{n} colección(es)",
+    "import.fields": "{n} campo(s) personalizado(s)",
+    "import.exportedBy": "Exportado por la versión {version}",
+    "import.exportedByOlder": "Exportado por una versión anterior",
+    "import.exportedOn": "el {date}",
+    "import.upgraded": "formato de datos {from}, actualizado a {to}",
+    "import.merge": "Combinar: conservar las entradas que no están en el archivo",
+    "import.replace": "Reemplazar: eliminarlas",
+    "import.warnings": "{n} advertencia(s): corregidas al importar",
+    "import.changed": "Modificadas ({n})",
+    "import.all": "Todas:",
+    "import.allMine": "conservar las mías",
+    "import.allTheirs": "tomar las del archivo",
+    "import.allBoth": "conservar ambas",
+    "import.keepMine": "Conservar la mía",
+    "import.takeTheirs": "Tomar la del archivo",
+    "import.keepBoth": "Conservar ambas",
+    "import.field": "Campo",
+    "import.mine": "La mía",
+    "import.theirs": "La del archivo",
+    "import.new": "Nuevas",
+    "import.removed": "Eliminadas",
+    "import.kept": "Ausentes del archivo (se conservan)",
+    "import.unchanged": "Sin cambios",
+    "import.warnEmptyTitle": "título vacío",
+    "import.warnMissingDate": "falta la fecha",
+    "import.warnBadDate": "no se pudo leer la fecha \"{date}\"",
+    "import.warnInvertedDate": "la fecha \"{date}\" termina antes de empezar",
+    "import.warnMediaDropped": "se descartaron {n} elemento(s) multimedia sin URL",
+    "import.warnDuplicateId": "id duplicado \"{id}\": se usa la entrada posterior",
+    "columns.map": "Asignar columnas",
+    "columns.column": "Columna {n}",
+    "columns.rows": "{n} fila(s): elija qué campo completa cada columna",
+    "columns.header": "La primera fila es un encabezado",
+    "columns.more": "…y {n} fila(s) más",
+    "columns.next": "Siguiente: vista previa",
+    "columns.ignore": "— ignorar —",
+    "columns.id": "Id",
+    "columns.title": "Título",
+    "columns.date": "Fecha",
+    "columns.place": "Lugar(es)",
+    "columns.event": "Evento(s)",
+    "columns.person": "Persona(s)",
+    "columns.description": "Descripción",
+    "columns.image": "URL(s) de imagen",
+    "columns.video": "URL(s) de video",
+    "columns.lang": "Idioma (es / en)",
+    "columns.titleIn": "Título, traducción al {lang}",
+    "columns.descriptionIn": "Descripción, traducción al {lang}",
+    "map.southAmerica": "América del Sur",
+    "map.argentina": "Argentina",
+    "map.unplaced": "{n} entradas no tienen un lugar en el mapa: agregue coordenadas en el perfil del lugar",
+    "map.pause": "Pausa",
+    "map.play": "Recorrer los años",
+    "map.showAll": "Mostrar todo",
+    "periods.title": "Períodos ({n})",
+    "periods.span": "Lapso",
+    "periods.colour": "Color",
+    "periods.filterTo": "Filtrar por {title}",
+    "periods.edit": "Editar período",
+    "periods.delete": "Eliminar período",
+    "periods.confirmDelete": "¿Eliminar el período \"{title}\"?",
+    "periods.add": "Agregar período",
+    "registry.title": "Personas y lugares ({n})",
+    "registry.name": "Nombre",
+    "registry.aliases": "También conocido como",
+    "registry.aliasesPerson": "p. ej., Perón",
+    "registry.aliasesPlace": "p. ej., CABA",
+    "registry.born": "Nacimiento",
+    "registry.died": "Muerte",
+    "registry.roles": "Cargos",
+    "registry.rolesPlaceholder": "p. ej., Presidente",
+    "registry.portrait": "Retrato",
+    "registry.province": "Provincia",
+    "registry.lat": "Latitud",
+    "registry.lng": "Longitud",
+    "registry.edit.person": "Editar persona",
+    "registry.edit.place": "Editar lugar",
+    "registry.back": "Volver",
+    "registry.confirmDelete": "¿Eliminar \"{name}\" del registro?",
+    "registry.stillLinked": "Todavía tiene entradas vinculadas: combínelo con otro registro",
+    "registry.also": "También: {names}",
+    "registry.entries": "Entradas ({n})",
+    "registry.same.person": "Misma persona que",
+    "registry.same.place": "Mismo lugar que",
+    "registry.choose": "Elegir…",
+    "registry.confirmMerge": "¿Combinar \"{name}\" con \"{target}\"? Sus entradas se volverán a vincular.",
+    "registry.merge": "Combinar",
+    "relations.title": "Entradas relacionadas",
+    "relations.caused": "Causó",
+    "relations.causedBy": "Causado por",
+    "relations.ledTo": "Llevó a",
+    "relations.followedFrom": "Derivó de",
+    "relations.partOf": "Parte de",
+    "relations.includes": "Incluye",
+    "relations.contradicts": "Contradice",
+    "relations.contradictedBy": "Contradicho por",
+    "relations.undated": "sin fecha",
+    "relations.noEntry": "No hay ninguna entrada llamada \"{title}\".",
+    "relations.graph": "Grafo",
+    "relations.link": "Vincular",
+    "relations.entryTitle": "Título de la entrada…",
+    "relations.add": "Agregar",
+    "relations.remove": "Quitar vínculo",
+    "relations.empty": "Todavía no hay vínculos.",
+    "app.title": "Historia del testimonio en América del Sur",
+    "date.yearPlaceholder": "AAAA",
+    "export.csv": "CSV (hoja de cálculo)",
+    "export.tsv": "TSV (hoja de cálculo)",
+    "export.timelinejs": "TimelineJS JSON",
+    "export.ics": "iCalendar (.ics)",
+    "export.geojson": "GeoJSON (entradas con lugar)",
+    "fields.untitled": "Campo",
+    "periods.default.viceroyalty": "Virreinato del Río de la Plata",
+    "periods.default.independence-wars": "Guerras de independencia",
+    "periods.default.rosas": "Época de Rosas",
+    "periods.default.generation-80": "Generación del 80",
+    "periods.default.peronism": "Peronismo",
+    "periods.default.dictatorship-1976": "Dictadura militar",
+  },
+};
+
+export function translate(lang, key, vars) {
+  const text = MESSAGES[lang]?.[key] ?? MESSAGES.en[key] ?? key;
+  return vars ? text.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m)) : text;
+}
+
+/** An Error whose message the app can show in the reader's language (see errorText). */
+export function localizedError(key, vars) {
+  return Object.assign(new Error(translate("en", key, vars)), { key, vars });
+}
+
+/** Text for a caught error: a localizedError in the active language, anything else as is. */
+export function errorText(err, t) {
+  return err?.key ? t(err.key, err.vars) : String(err?.message || err);
+}
+
+/** The browser's language if we have a catalogue for it, else Spanish. */
+export function detectLang() {
+  const nav = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : [];
+  for (const l of nav) {
+    const code = String(l || "").slice(0, 2).toLowerCase();
+    if (LANGS.includes(code)) return code;
+  }
+  return "es";
+}
+
+export const I18nContext = createContext({ lang: "en", t: (key, vars) => translate("en", key, vars) });
+
+/** { lang, t } for the language picked in the header. */
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+/* ---------------------- bilingual entries ---------------------- */
+
+/** Keep known languages other than the item's own, with something in them. */
+export function coerceTranslations(raw, lang) {
+  const out = {};
+  for (const l of LANGS) {
+    if (l === lang) continue;
+    const t = raw?.[l];
+    const title = String(t?.title ?? "").trim();
+    const description = String(t?.description ?? "");
+    if (title || description.trim()) out[l] = { title, description };
+  }
+  return out;
+}
+
+/** Title and description in `lang`, each falling back to the original. */
+export function localize(item, lang) {
+  const t = item.lang === lang ? null : item.translations?.[lang];
+  return {
+    title: t?.title || item.title,
+    description: t?.description || item.description,
+    translated: item.lang === lang || !!t?.title,
+  };
+}
+
+/** Items with title/description swapped for display (not for editing). */
+export function localizeItems(items, lang) {
+  return items.map((it) => {
+    const { title, description } = localize(it, lang);
+    return title === it.title && description === it.description ? it : { ...it, title, description };
+  });
+}
@@ -0,0 +1,241 @@
+import { useEffect, useState } from "react";
+import { localizedError } from "./i18n.jsx";
+
+/* ---------------------- IndexedDB media store ----------------------
+   Uploaded images live here as blobs; items only keep `{ type, ref }`
+   so the JSON in localStorage stays small. */
+
+const DB_NAME = "timeline-media";
+const DB_VERSION = 1;
+const STORE = "blobs";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(localizedError("storage.noIndexedDB"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // allow a retry after a failed open
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+function run(mode, fn) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const req = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error || req?.error);
+        tx.onabort = () => reject(tx.error || req?.error);
+      })
+  );
+}
+
+export function newMediaId() {
+  return `m-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export async function putMediaBlob(blob, id = newMediaId()) {
+  await run("readwrite", (store) => store.put(blob, id));
+  return id;
+}
+
+export function getMediaBlob(id) {
+  return run("readonly", (store) => store.get(id));
+}
+
+export function deleteMediaBlob(id) {
+  return run("readwrite", (store) => store.delete(id));
+}
+
+export function listMediaIds() {
+  return run("readonly", (store) => store.getAllKeys());
+}
+
+/** Drop blobs that no record (item, person portrait, …) or revision of one references any more. */
+export async function pruneMediaBlobs(items) {
+  const keep = new Set();
+  for (const it of items) for (const media of mediaLists(it)) for (const m of media) if (m.ref) keep.add(m.ref);
+  const ids = await listMediaIds();
+  await Promise.all(ids.filter((id) => !keep.has(id)).map(deleteMediaBlob));
+}
+
+export function isQuotaError(err) {
+  return (
+    err?.name === "QuotaExceededError" ||
+    err?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    err?.code === 22 ||
+    err?.code === 1014
+  );
+}
+
+/** Why an upload failed, in the language of `t` (from useI18n). */
+export function mediaErrorMessage(err, t) {
+  return isQuotaError(err) ? t("media.full") : t("media.failed", { message: err?.message || err });
+}
+
+/* ---------------------- data URL <-> blob ---------------------- */
+export function dataUrlToBlob(dataUrl) {
+  const [head, body = ""] = String(dataUrl).split(",");
+  const mime = /data:([^;]+)/.exec(head)?.[1] || "application/octet-stream";
+  if (!/;base64/.test(head)) return new Blob([decodeURIComponent(body)], { type: mime });
+  const bin = atob(body);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type: mime });
+}
+
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/* ---------------------- item helpers ---------------------- */
+
+/** A record's media lists: its own and those of its revision snapshots. */
+function mediaLists(it) {
+  return [it.media || [], ...(it.revisions || []).map((r) => r.snapshot?.media || [])];
+}
+
+/**
+ * `it` with `convert` applied to every media entry `test` matches, in its
+ * own media and its revision snapshots. Untouched parts keep their identity.
+ */
+async function mapMedia(it, test, convert) {
+  const list = async (media) => {
+    if (!media?.some(test)) return media;
+    const next = await Promise.all(media.map((m) => (test(m) ? convert(m) : m)));
+    return next.filter((m) => m.url || m.ref);
+  };
+  const media = await list(it.media);
+  const revisions = await Promise.all(
+    (it.revisions || []).map(async (r) => {
+      const snapMedia = await list(r.snapshot?.media);
+      return snapMedia === r.snapshot?.media ? r : { ...r, snapshot: { ...r.snapshot, media: snapMedia } };
+    })
+  );
+  const revisionsChanged = revisions.some((r, i) => r !== it.revisions[i]);
+  if (media === it.media && !revisionsChanged) return it;
+  return { ...it, media, ...(revisionsChanged ? { revisions } : {}) };
+}
+
+/**
+ * Which blob each data URL is stored as, both ways. Pass the same cache to
+ * inlineMedia and externalizeMedia and a document that goes out inlined
+ * comes back with the refs it left with (and each image is read or
+ * written once).
+ */
+export function mediaCache() {
+  return { refs: new Map(), urls: new Map() }; // data URL → Promise<ref>, ref → Promise<data URL | "">
+}
+
+const isInline = (m) => String(m.url || "").startsWith("data:");
+
+/**
+ * Move inline `data:` media into IndexedDB, returning new items with refs.
+ * Items without inline media are returned as-is (same object), so callers
+ * can cheaply tell whether anything changed.
+ */
+export async function externalizeMedia(items, cache = mediaCache()) {
+  const store = (url) => {
+    if (!cache.refs.has(url)) {
+      const ref = putMediaBlob(dataUrlToBlob(url));
+      cache.refs.set(url, ref);
+      ref.then((id) => cache.urls.set(id, Promise.resolve(url)), () => cache.refs.delete(url));
+    }
+    return cache.refs.get(url);
+  };
+  return Promise.all(
+    items.map((it) =>
+      mapMedia(it, isInline, async (m) => {
+        const { url, ...rest } = m;
+        return { ...rest, ref: await store(url) };
+      })
+    )
+  );
+}
+
+/** Inverse of externalizeMedia: embed blobs as data URLs for export. */
+export async function inlineMedia(items, cache = mediaCache()) {
+  const load = (ref) => {
+    if (!cache.urls.has(ref)) {
+      const url = getMediaBlob(ref).then((blob) => (blob ? blobToDataUrl(blob) : ""));
+      cache.urls.set(ref, url);
+      url.then((u) => u && cache.refs.set(u, Promise.resolve(ref)), () => cache.urls.delete(ref));
+    }
+    return cache.urls.get(ref);
+  };
+  return Promise.all(
+    items.map((it) =>
+      mapMedia(it, (m) => m.ref, async (m) => {
+        const { ref, ...rest } = m;
+        const url = await load(ref);
+        return url ? { ...rest, url } : rest;
+      })
+    )
+  );
+}
+
+/** A document (see schema.js) with its items' and people's media inlined or externalized. */
+export async function inlineDocumentMedia(doc, cache) {
+  const people = doc.registry?.people;
+  return {
+    ...doc,
+    items: await inlineMedia(doc.items || [], cache),
+    ...(people ? { registry: { ...doc.registry, people: await inlineMedia(people, cache) } } : {}),
+  };
+}
+
+export async function externalizeDocumentMedia(doc, cache) {
+  const people = doc.registry?.people;
+  return {
+    ...doc,
+    items: await externalizeMedia(doc.items || [], cache),
+    ...(people ? { registry: { ...doc.registry, people: await externalizeMedia(people, cache) } } : {}),
+  };
+}
+
+/** Resolve a media entry to something usable as `src`. */
+export function useMediaUrl(m) {
+  const ref = m?.ref;
+  const [url, setUrl] = useState(ref ? "" : m?.url || "");
+
+  useEffect(() => {
+    if (!ref) {
+      setUrl(m?.url || "");
+      return;
+    }
+    let objectUrl = "";
+    let cancelled = false;
+    getMediaBlob(ref)
+      .then((blob) => {
+        if (cancelled || !blob) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [ref, m?.url]);
+
+  return url;
+}
@@ -0,0 +1,64 @@
+import { version as APP_VERSION } from "../package.json";
+import { localizedError } from "./i18n.jsx";
+
+/* ---------------------- document schema ----------------------
+   Stored data, export files, shipped datasets and exported sites share one
+   envelope:
+
+     { format: "timeline", schemaVersion: 2, appVersion: "1.0.0",
+       exportedAt: "2024-…", items, periods, registry, presets, collections, fields }
+
+   Version 1 is everything written before the envelope: a bare array of
+   items (the oldest exports) or an object with `items` and whatever else
+   existed at the time. `migrate` upgrades a document one step at a time,
+   so a new step only has to know the version right before it. When the
+   shape changes: bump SCHEMA_VERSION and add the step to MIGRATIONS. */
+
+export const FORMAT = "timeline";
+export const SCHEMA_VERSION = 2;
+export { APP_VERSION };
+
+const asList = (value) => (Array.isArray(value) ? value : value == null || value === "" ? [] : [value]);
+
+/** Steps keyed by the version they upgrade from; each returns the next version's document. */
+const MIGRATIONS = {
+  // place/event/person used to be single strings
+  1: (doc) => ({
+    ...doc,
+    items: asList(doc.items).map((it) =>
+      it && typeof it === "object" ? { ...it, place: asList(it.place), event: asList(it.event), person: asList(it.person) } : it
+    ),
+  }),
+};
+
+/** Schema version of a raw document; anything without one predates the envelope. */
+export function versionOf(raw) {
+  const v = Array.isArray(raw) ? 1 : parseInt(raw?.schemaVersion, 10);
+  return Number.isFinite(v) && v > 0 ? v : 1;
+}
+
+/**
+ * Upgrade a raw document (parsed JSON) to SCHEMA_VERSION. Throws on
+ * anything that isn't a document, or one written by a newer app.
+ */
+export function migrate(raw) {
+  if (!raw || typeof raw !== "object") throw localizedError("schema.notDocument");
+  let version = versionOf(raw);
+  if (version > SCHEMA_VERSION) {
+    throw localizedError("schema.newer", { version, supported: SCHEMA_VERSION });
+  }
+  let doc = Array.isArray(raw) ? { items: raw } : raw;
+  for (; version < SCHEMA_VERSION; version++) doc = MIGRATIONS[version](doc);
+  return { ...doc, format: FORMAT, schemaVersion: SCHEMA_VERSION };
+}
+
+/** Wrap `data` in the current envelope; `stamp` names the timestamp field. */
+export function makeDocument(data, stamp = "exportedAt") {
+  return {
+    format: FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    appVersion: APP_VERSION,
+    [stamp]: new Date().toISOString(),
+    ...data,
+  };
+}
@@ -0,0 +1,136 @@
+import { formatDate, stringifyDate } from "./dates.js";
+
+/* ---------------------- search ----------------------
+   Queries are words, "quoted phrases" and field operators
+   (`person:peron`, `place:"plaza de mayo"`, `event:`, `title:`). Text is
+   folded (case and accents) and split into words; a query word matches
+   any word it is a prefix of. Every term must match somewhere; the score
+   adds the weight of the best field each term matched in, so a title hit
+   outranks a description hit. People and places also match on their
+   registry aliases ("Evita"). */
+
+export const SEARCH_FIELDS = { title: 5, person: 3, place: 3, event: 3, date: 2, description: 1 };
+const OPERATORS = { person: "person", people: "person", place: "place", event: "event", tag: "event", title: "title", date: "date" };
+
+/** Lower case without diacritics, one character in for one character out. */
+export function foldText(s) {
+  return Array.from(String(s ?? ""), (ch) =>
+    // astral characters are two code units; leave them alone to keep offsets
+    ch.length > 1 ? ch : ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().slice(0, 1) || ch
+  ).join("");
+}
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+const tokenize = (s) => foldText(s).match(WORD_RE) || [];
+
+/** [{ field: string|null, words: string[], phrase: boolean }] */
+export function parseQuery(query) {
+  const terms = [];
+  const re = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  let m;
+  while ((m = re.exec(String(query ?? "")))) {
+    const op = m[1] && OPERATORS[m[1].toLowerCase()];
+    // "foo:bar" with an unknown foo is plain text
+    const raw = m[2] ?? (m[1] && !op ? `${m[1]}:${m[3] ?? ""}` : m[3] ?? "");
+    const words = tokenize(raw);
+    if (words.length) terms.push({ field: op || null, words, phrase: m[2] != null && words.length > 1 });
+  }
+  return terms;
+}
+
+/** Per item, the words of each searchable field. */
+export function buildIndex(items, registry) {
+  const aliases = (records, names) =>
+    names.flatMap((n) => {
+      const rec = records.find((r) => r.name === n);
+      return [n, ...(rec?.aliases || [])];
+    });
+  const index = new Map();
+  for (const it of items) {
+    index.set(it.id, {
+      // both languages of a bilingual entry
+      title: tokenize([it.title, ...Object.values(it.translations || {}).map((t) => t.title)].join("\n")),
+      description: tokenize([it.description, ...Object.values(it.translations || {}).map((t) => t.description)].join("\n")),
+      place: aliases(registry?.places || [], it.place).map(tokenize),
+      event: it.event.map(tokenize),
+      person: aliases(registry?.people || [], it.person).map(tokenize),
+      date: tokenize(`${formatDate(it.date)} ${stringifyDate(it.date)}`),
+    });
+  }
+  return index;
+}
+
+/** Does `words` contain the term: each word a prefix match, phrases consecutive. */
+function hits(words, term) {
+  if (!term.phrase) return term.words.every((w) => words.some((x) => x.startsWith(w)));
+  const n = term.words.length;
+  for (let i = 0; i + n <= words.length; i++) {
+    if (term.words.every((w, j) => (j === n - 1 ? words[i + j].startsWith(w) : words[i + j] === w))) return true;
+  }
+  return false;
+}
+
+function termScore(entry, term) {
+  let best = 0;
+  for (const [field, weight] of Object.entries(SEARCH_FIELDS)) {
+    if (term.field && term.field !== field) continue;
+    const lists = Array.isArray(entry[field][0]) ? entry[field] : [entry[field]];
+    if (weight > best && lists.some((words) => hits(words, term))) best = weight;
+  }
+  return best;
+}
+
+/** Score per matching item id, or null when the query is empty (everything matches). */
+export function searchIndex(index, terms) {
+  if (!terms.length) return null;
+  const scores = new Map();
+  for (const [id, entry] of index) {
+    let total = 0;
+    for (const term of terms) {
+      const s = termScore(entry, term);
+      if (!s) {
+        total = 0;
+        break;
+      }
+      total += s;
+    }
+    if (total) scores.set(id, total);
+  }
+  return scores;
+}
+
+/* ---------------------- highlighting ---------------------- */
+
+/**
+ * Ranges [start, end) in `text` matched by the terms that apply to `field`.
+ * Folding keeps one character per character, so folded offsets are the
+ * original ones.
+ */
+export function matchRanges(text, terms, field) {
+  const folded = foldText(text);
+  const words = [...folded.matchAll(WORD_RE)].map((m) => ({ word: m[0], start: m.index }));
+  const ranges = [];
+  for (const term of terms) {
+    if (term.field && term.field !== field) continue;
+    if (term.phrase) {
+      const n = term.words.length;
+      for (let i = 0; i + n <= words.length; i++) {
+        const ok = term.words.every((w, j) => (j === n - 1 ? words[i + j].word.startsWith(w) : words[i + j].word === w));
+        if (ok) ranges.push([words[i].start, words[i + n - 1].start + term.words[n - 1].length]);
+      }
+    } else {
+      for (const w of term.words) {
+        for (const x of words) if (x.word.startsWith(w)) ranges.push([x.start, x.start + w.length]);
+      }
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  // merge overlaps
+  const out = [];
+  for (const r of ranges) {
+    const last = out[out.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else out.push([...r]);
+  }
+  return out;
+}
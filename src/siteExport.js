@@ -0,0 +1,60 @@
+/* ---------------------- static site export ----------------------
+   "Export site" writes one HTML file: the built app's own JS and CSS
+   inlined, plus the data as a JSON <script>. When the app boots and finds
+   that script it runs as a read-only viewer and never touches
+   localStorage, so the file can be hosted anywhere or emailed. */
+
+import { migrate } from "./schema.js";
+import { localizedError } from "./i18n.jsx";
+
+const DATA_ID = "timeline-site-data";
+
+/** The embedded data of an exported site, or null in the editor. */
+export function readSiteData() {
+  const el = typeof document !== "undefined" ? document.getElementById(DATA_ID) : null;
+  if (!el) return null;
+  try {
+    return migrate(JSON.parse(el.textContent));
+  } catch {
+    return null;
+  }
+}
+
+async function fetchText(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw localizedError("site.loadFailed", { url, status: res.status });
+  return res.text();
+}
+
+const escapeHtml = (s) => String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+/**
+ * @param data  a document (see schema.js) with media already inlined
+ * @param title page title
+ */
+export async function buildSiteHtml(data, title) {
+  if (import.meta.env.DEV) {
+    throw localizedError("site.needsBuild");
+  }
+  const script = document.querySelector('script[type="module"][src]');
+  if (!script) throw localizedError("site.noScript");
+  const styles = Array.from(document.querySelectorAll('link[rel="stylesheet"][href]'));
+  const [js, ...css] = await Promise.all([script.src, ...styles.map((l) => l.href)].map(fetchText));
+
+  const json = JSON.stringify(data).replace(/</g, "\\u003c");
+  return `<!doctype html>
+<html lang="${document.documentElement.lang || "en"}">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(title)}</title>
+    ${css.map((c) => `<style>${c.replace(/<\/style/gi, "<\\/style")}</style>`).join("\n    ")}
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="application/json" id="${DATA_ID}">${json}</script>
+    <script type="module">${js.replace(/<\/script/gi, "<\\/script")}</script>
+  </body>
+</html>
+`;
+}